@@ -0,0 +1,558 @@
+/**
+ * Fake Mindbody Public API v6 for offline development and tests
+ *
+ * Implements the endpoints the proxy calls, seeded from mock/fixtures.json:
+ * staff work a weekly schedule, bookable items are those schedules minus booked
+ * appointments, and bookings, cancellations and new clients are kept in memory.
+ * List endpoints page with limit/offset and return PaginationResponse like Mindbody.
+ *
+ * Run it on its own:      node mock/mindbody.js            (port MINDBODY_MOCK_PORT || 4010)
+ * Or let the proxy start it: MINDBODY_MOCK=true npm start
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fixtures = require('./fixtures.json');
+
+const BASE_PATH = '/public/v6';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+const INACTIVE_STATUSES = ['Cancelled', 'LateCancelled'];
+
+// ============================================
+// Date helpers (site-local, no offsets - like Mindbody)
+// ============================================
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const addDays = (day, n) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + n);
+    return date.toISOString().slice(0, 10);
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const formatDateTime = (day, minutes) => `${day}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
+
+const splitDateTime = (value) => ({
+    day: String(value).slice(0, 10),
+    minutes: toMinutes(String(value).slice(11, 16))
+});
+
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+const listDays = (start, end) => {
+    const days = [];
+    for (let day = start; day <= end && days.length < 366; day = addDays(day, 1)) days.push(day);
+    return days;
+};
+
+// Wall-clock time in `timeZone` as YYYY-MM-DDTHH:mm:ss (en-CA formats dates as YYYY-MM-DD)
+const siteDateTime = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+}).format(date).replace(', ', 'T');
+
+/**
+ * Create a fake Mindbody with its own in-memory state.
+ * `now` (a function returning a Date) pins "today" for tests; "today" and the
+ * current time are read in `timeZone`, the site's zone (the locations' TimeZone).
+ */
+function createMockMindbody({ now = () => new Date(), timeZone = fixtures.locations[0].TimeZone } = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const state = {
+        appointments: new Map(),
+        clients: new Map(),
+        tokens: new Set(),
+        passwordResets: [],
+        calls: [],
+        failures: [],
+        nextAppointmentId: 6000,
+        nextClientId: 200000
+    };
+
+    const today = () => siteDateTime(now(), timeZone).slice(0, 10);
+    const minutesNow = () => splitDateTime(siteDateTime(now(), timeZone)).minutes;
+
+    const sessionTypeById = (id) => fixtures.sessionTypes.find(st => String(st.Id) === String(id));
+    const staffById = (id) => fixtures.staff.find(s => String(s.Id) === String(id));
+    const locationById = (id) => fixtures.locations.find(l => String(l.Id) === String(id));
+
+    // Internal fields (schedules, passwords) never leave the mock
+    const publicStaff = ({ schedule, ...staff }) => ({ ...staff, Name: `${staff.FirstName} ${staff.LastName}` });
+    const publicSessionType = ({ LocationIds, ...sessionType }) => sessionType;
+    const publicClient = ({ password, ...client }) => client;
+
+    function reset() {
+        state.appointments.clear();
+        state.clients.clear();
+        state.tokens.clear();
+        state.passwordResets.length = 0;
+        state.calls.length = 0;
+        state.failures.length = 0;
+        state.nextAppointmentId = 6000;
+        state.nextClientId = 200000;
+
+        fixtures.clients.forEach(client => state.clients.set(client.Id, { ...client }));
+        fixtures.appointments.forEach(({ dayOffset, start, ...apt }) => {
+            const day = addDays(today(), dayOffset);
+            const duration = sessionTypeById(apt.SessionTypeId).DefaultTimeLength;
+            state.appointments.set(apt.Id, {
+                ...apt,
+                StartDateTime: formatDateTime(day, toMinutes(start)),
+                EndDateTime: formatDateTime(day, toMinutes(start) + duration),
+                Duration: duration,
+                ProgramId: sessionTypeById(apt.SessionTypeId).ProgramId,
+                Notes: null,
+                StaffRequested: true
+            });
+        });
+    }
+
+    /**
+     * Make the next `times` calls to `path` (e.g. '/site/locations') fail with `status`,
+     * after letting `skip` calls through (to fail the second of several bookings)
+     */
+    function failNext(path, status = 500, times = 1, code = 'InternalError', { skip = 0 } = {}) {
+        state.failures.push({ path: path.toLowerCase(), status, remaining: times, code, skip });
+    }
+
+    /**
+     * Invalidate every issued staff token, as if they had expired
+     */
+    function revokeTokens() {
+        state.tokens.clear();
+    }
+
+    const fail = (res, status, code, message) => res.status(status).json({ Error: { Message: message, Code: code } });
+
+    // Mindbody query parameters are case-insensitive and may carry a "request." prefix
+    function param(req, name) {
+        const wanted = name.toLowerCase();
+        const key = Object.keys(req.query).find(k => k.toLowerCase().replace(/^request\./, '') === wanted);
+        return key === undefined ? undefined : req.query[key];
+    }
+
+    function listParam(req, name) {
+        const value = param(req, name);
+        if (value === undefined || value === '') return null;
+        return [].concat(value).join(',').split(',').map(v => v.trim()).filter(Boolean);
+    }
+
+    function paginate(req, res, key, items) {
+        const limit = Math.min(Number(param(req, 'limit')) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const offset = Number(param(req, 'offset')) || 0;
+        const page = items.slice(offset, offset + limit);
+        res.json({
+            PaginationResponse: {
+                RequestedLimit: limit,
+                RequestedOffset: offset,
+                PageSize: page.length,
+                TotalResults: items.length
+            },
+            [key]: page
+        });
+    }
+
+    // ============================================
+    // Availability
+    // ============================================
+
+    /**
+     * Free windows for one staff member, session type and day: the schedule minus
+     * active appointments (and minus the past, for today)
+     */
+    function freeWindows(staff, sessionType, day, ignoreAppointmentId = null) {
+        const schedule = staff.schedule;
+        if (!schedule || !schedule.weekdays.includes(weekday(day))) return [];
+        if (!schedule.SessionTypeIds.includes(sessionType.Id)) return [];
+        if (sessionType.Type !== 'Appointment' || !sessionType.LocationIds.includes(schedule.LocationId)) return [];
+        if (day < today()) return [];
+
+        let windowStart = toMinutes(schedule.start);
+        if (day === today()) windowStart = Math.max(windowStart, Math.ceil(minutesNow() / 15) * 15);
+        const windowEnd = toMinutes(schedule.end);
+
+        const busy = Array.from(state.appointments.values())
+            .filter(apt => String(apt.StaffId) === String(staff.Id) &&
+                apt.Id !== ignoreAppointmentId &&
+                !INACTIVE_STATUSES.includes(apt.Status) &&
+                apt.StartDateTime.startsWith(day))
+            .map(apt => [splitDateTime(apt.StartDateTime).minutes, splitDateTime(apt.EndDateTime).minutes])
+            .sort((a, b) => a[0] - b[0]);
+
+        const windows = [];
+        let cursor = windowStart;
+        busy.forEach(([start, end]) => {
+            if (start > cursor) windows.push([cursor, Math.min(start, windowEnd)]);
+            cursor = Math.max(cursor, end);
+        });
+        if (cursor < windowEnd) windows.push([cursor, windowEnd]);
+
+        return windows.filter(([start, end]) => end - start >= sessionType.DefaultTimeLength);
+    }
+
+    function bookableItems({ sessionTypeIds, locationIds, staffIds, startDate, endDate }) {
+        const items = [];
+        listDays(startDate, endDate).forEach(day => {
+            fixtures.staff.forEach(staff => {
+                if (staffIds && !staffIds.includes(String(staff.Id))) return;
+                if (locationIds && !locationIds.includes(String(staff.schedule.LocationId))) return;
+                sessionTypeIds.forEach(sessionTypeId => {
+                    const sessionType = sessionTypeById(sessionTypeId);
+                    if (!sessionType) return;
+                    freeWindows(staff, sessionType, day).forEach(([start, end]) => {
+                        items.push({
+                            Staff: publicStaff(staff),
+                            SessionType: publicSessionType(sessionType),
+                            Programs: [{ Id: sessionType.ProgramId }],
+                            Location: locationById(staff.schedule.LocationId),
+                            StartDateTime: formatDateTime(day, start),
+                            EndDateTime: formatDateTime(day, end),
+                            BookableEndDateTime: formatDateTime(day, end - sessionType.DefaultTimeLength)
+                        });
+                    });
+                });
+            });
+        });
+        return items;
+    }
+
+    function isBookable(staff, sessionType, startDateTime, ignoreAppointmentId = null) {
+        const { day, minutes } = splitDateTime(startDateTime);
+        return freeWindows(staff, sessionType, day, ignoreAppointmentId)
+            .some(([start, end]) => minutes >= start && minutes + sessionType.DefaultTimeLength <= end);
+    }
+
+    // ============================================
+    // Request handling: call log, injected failures, API key, staff tokens
+    // ============================================
+
+    const api = express.Router();
+
+    api.use((req, res, next) => {
+        state.calls.push({
+            method: req.method,
+            path: req.path,
+            query: req.query,
+            body: req.body,
+            authorization: req.get('Authorization') || null,
+            siteId: req.get('SiteId') || null,
+            requestId: req.get('X-Request-Id') || null
+        });
+
+        const failure = state.failures.find(f => f.path === req.path.toLowerCase() && f.remaining > 0);
+        if (failure && failure.skip > 0) {
+            failure.skip--;
+        } else if (failure) {
+            failure.remaining--;
+            return fail(res, failure.status, failure.code, `Injected failure for ${req.path}`);
+        }
+
+        if (!req.get('Api-Key')) return fail(res, 401, 'DeniedAccess', 'Api-Key header is required');
+        if (!req.get('SiteId')) return fail(res, 400, 'InvalidSiteId', 'SiteId header is required');
+
+        const authorization = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+        if (authorization && !state.tokens.has(authorization)) {
+            return fail(res, 401, 'InvalidAccessToken', 'The access token is invalid or has expired');
+        }
+        req.staffToken = authorization || null;
+        next();
+    });
+
+    const requireStaffToken = (req, res, next) => {
+        if (!req.staffToken) return fail(res, 401, 'DeniedAccess', 'A staff user token is required');
+        next();
+    };
+
+    // ============================================
+    // Endpoints
+    // ============================================
+
+    api.post('/usertoken/issue', (req, res) => {
+        const { Username, Password } = req.body || {};
+        if (Username !== fixtures.credentials.username || Password !== fixtures.credentials.password) {
+            return fail(res, 401, 'InvalidCredentials', 'Invalid username or password');
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        state.tokens.add(token);
+        res.json({ TokenType: 'Bearer', AccessToken: token, User: fixtures.staffUser });
+    });
+
+    api.get('/site/locations', (req, res) => paginate(req, res, 'Locations', fixtures.locations));
+
+    api.get('/site/programs', (req, res) => {
+        const scheduleType = param(req, 'ScheduleType');
+        paginate(req, res, 'Programs', fixtures.programs.filter(p => !scheduleType || p.ScheduleType === scheduleType));
+    });
+
+    api.get('/site/servicecategories', (req, res) => paginate(req, res, 'ServiceCategories', fixtures.serviceCategories));
+
+    api.get('/site/sessiontypes', (req, res) => {
+        const onlineOnly = String(param(req, 'OnlineOnly')) === 'true';
+        const locationIds = listParam(req, 'LocationIds');
+        const sessionTypes = fixtures.sessionTypes
+            .filter(st => !onlineOnly || !st.OnlineBookingDisabled)
+            .filter(st => !locationIds || st.LocationIds.some(id => locationIds.includes(String(id))))
+            .map(publicSessionType);
+        paginate(req, res, 'SessionTypes', sessionTypes);
+    });
+
+    api.get('/sale/services', (req, res) => paginate(req, res, 'Services', fixtures.services));
+    api.get('/sale/pricingoptions', (req, res) => paginate(req, res, 'PricingOptions', fixtures.pricingOptions));
+    api.get('/sale/products', (req, res) => paginate(req, res, 'Products', fixtures.products));
+
+    api.get('/staff/staff', (req, res) => {
+        const staffIds = listParam(req, 'StaffIds');
+        const locationId = param(req, 'LocationId');
+        const sessionTypeIds = listParam(req, 'SessionTypeIds');
+        const staff = fixtures.staff
+            .filter(s => !staffIds || staffIds.includes(String(s.Id)))
+            .filter(s => !locationId || String(s.schedule.LocationId) === String(locationId))
+            .filter(s => !sessionTypeIds || s.schedule.SessionTypeIds.some(id => sessionTypeIds.includes(String(id))))
+            .map(publicStaff);
+        paginate(req, res, 'StaffMembers', staff);
+    });
+
+    api.get('/appointment/bookableitems', (req, res) => {
+        const sessionTypeIds = listParam(req, 'SessionTypeIds');
+        if (!sessionTypeIds) return fail(res, 400, 'MissingRequiredFields', 'SessionTypeIds is required');
+
+        const startDate = String(param(req, 'StartDate') || today()).slice(0, 10);
+        const endDate = String(param(req, 'EndDate') || startDate).slice(0, 10);
+        const items = bookableItems({
+            sessionTypeIds,
+            locationIds: listParam(req, 'LocationIds'),
+            staffIds: listParam(req, 'StaffIds'),
+            startDate,
+            endDate
+        });
+        paginate(req, res, 'Availabilities', items);
+    });
+
+    api.get('/appointment/availabledates', (req, res) => {
+        const sessionTypeId = param(req, 'SessionTypeId');
+        if (!sessionTypeId) return fail(res, 400, 'MissingRequiredFields', 'SessionTypeId is required');
+
+        const startDate = String(param(req, 'StartDate') || today()).slice(0, 10);
+        const endDate = String(param(req, 'EndDate') || addDays(startDate, 30)).slice(0, 10);
+        const locationId = param(req, 'LocationId');
+        const staffId = param(req, 'StaffId');
+
+        const days = listDays(startDate, endDate).filter(day => bookableItems({
+            sessionTypeIds: [String(sessionTypeId)],
+            locationIds: locationId ? [String(locationId)] : null,
+            staffIds: staffId ? [String(staffId)] : null,
+            startDate: day,
+            endDate: day
+        }).length > 0);
+        res.json({ AvailableDates: days.map(day => `${day}T00:00:00`) });
+    });
+
+    api.get('/appointment/staffappointments', requireStaffToken, (req, res) => {
+        const appointmentIds = listParam(req, 'AppointmentIds');
+        const staffIds = listParam(req, 'StaffIds');
+        const startDate = String(param(req, 'StartDate') || today()).slice(0, 10);
+        const endDate = String(param(req, 'EndDate') || startDate).slice(0, 10);
+
+        // Like Mindbody, the date range applies even when asking for specific IDs
+        const appointments = Array.from(state.appointments.values()).filter(apt => {
+            const day = apt.StartDateTime.slice(0, 10);
+            return day >= startDate && day <= endDate &&
+                (!appointmentIds || appointmentIds.includes(String(apt.Id))) &&
+                (!staffIds || staffIds.includes(String(apt.StaffId)));
+        });
+        paginate(req, res, 'Appointments', appointments);
+    });
+
+    api.get('/appointment/clientappointments', requireStaffToken, (req, res) => {
+        const clientId = param(req, 'ClientId');
+        if (!clientId) return fail(res, 400, 'MissingRequiredFields', 'ClientId is required');
+        if (!state.clients.has(String(clientId))) return fail(res, 400, 'InvalidClientId', 'Client not found');
+
+        const startDate = String(param(req, 'StartDate') || today()).slice(0, 10);
+        const endDate = String(param(req, 'EndDate') || addDays(startDate, 30)).slice(0, 10);
+        const appointments = Array.from(state.appointments.values())
+            .filter(apt => String(apt.ClientId) === String(clientId))
+            .filter(apt => apt.StartDateTime.slice(0, 10) >= startDate && apt.StartDateTime.slice(0, 10) <= endDate)
+            .sort((a, b) => a.StartDateTime.localeCompare(b.StartDateTime));
+        paginate(req, res, 'Appointments', appointments);
+    });
+
+    api.post('/appointment/addappointment', (req, res) => {
+        const body = req.body || {};
+        // Appointment requests may be made anonymously; direct bookings need a staff token
+        if (!req.staffToken && body.IsRequest !== true) {
+            return fail(res, 401, 'DeniedAccess', 'A staff user token is required');
+        }
+        if (!body.StartDateTime || !body.StaffId || !body.SessionTypeId || !body.ClientId) {
+            return fail(res, 400, 'MissingRequiredFields', 'StartDateTime, StaffId, SessionTypeId and ClientId are required');
+        }
+
+        const staff = staffById(body.StaffId);
+        const sessionType = sessionTypeById(body.SessionTypeId);
+        if (!state.clients.has(String(body.ClientId))) return fail(res, 400, 'InvalidClientId', 'Client not found');
+        if (!staff) return fail(res, 400, 'InvalidStaffId', 'Staff member not found');
+        if (!sessionType) return fail(res, 400, 'InvalidSessionTypeId', 'Session type not found');
+        if (body.LocationId && String(body.LocationId) !== String(staff.schedule.LocationId)) {
+            return fail(res, 400, 'InvalidLocationId', 'Staff member does not work at this location');
+        }
+        if (!isBookable(staff, sessionType, body.StartDateTime)) {
+            return fail(res, 400, 'AppointmentNotAvailable', 'The staff member is not available at this time');
+        }
+
+        const { day, minutes } = splitDateTime(body.StartDateTime);
+        const appointment = {
+            Id: state.nextAppointmentId++,
+            ClientId: String(body.ClientId),
+            StaffId: staff.Id,
+            SessionTypeId: sessionType.Id,
+            LocationId: staff.schedule.LocationId,
+            ProgramId: sessionType.ProgramId,
+            StartDateTime: formatDateTime(day, minutes),
+            EndDateTime: formatDateTime(day, minutes + sessionType.DefaultTimeLength),
+            Duration: sessionType.DefaultTimeLength,
+            Status: body.IsRequest ? 'Requested' : 'Booked',
+            Notes: body.Notes || null,
+            StaffRequested: true
+        };
+        state.appointments.set(appointment.Id, appointment);
+        res.json({ Appointment: appointment });
+    });
+
+    api.post('/appointment/updateappointment', requireStaffToken, (req, res) => {
+        const body = req.body || {};
+        const appointment = state.appointments.get(Number(body.AppointmentId));
+        if (!appointment) return fail(res, 400, 'InvalidAppointmentId', 'Appointment not found');
+
+        if (body.Execute) {
+            if (!['cancel', 'latecancel'].includes(String(body.Execute).toLowerCase())) {
+                return fail(res, 400, 'InvalidParameter', `Unknown Execute value "${body.Execute}"`);
+            }
+            if (INACTIVE_STATUSES.includes(appointment.Status)) {
+                return fail(res, 400, 'AppointmentAlreadyCancelled', 'Appointment is already cancelled');
+            }
+            appointment.Status = String(body.Execute).toLowerCase() === 'latecancel' ? 'LateCancelled' : 'Cancelled';
+            return res.json({ Appointment: appointment });
+        }
+
+        const staff = staffById(body.StaffId || appointment.StaffId);
+        const sessionType = sessionTypeById(body.SessionTypeId || appointment.SessionTypeId);
+        const startDateTime = body.StartDateTime || appointment.StartDateTime;
+        if (!staff || !sessionType) return fail(res, 400, 'InvalidParameter', 'Unknown staff member or session type');
+        if (!isBookable(staff, sessionType, startDateTime, appointment.Id)) {
+            return fail(res, 400, 'AppointmentNotAvailable', 'The staff member is not available at this time');
+        }
+
+        const { day, minutes } = splitDateTime(startDateTime);
+        Object.assign(appointment, {
+            StaffId: staff.Id,
+            SessionTypeId: sessionType.Id,
+            LocationId: staff.schedule.LocationId,
+            ProgramId: sessionType.ProgramId,
+            StartDateTime: formatDateTime(day, minutes),
+            EndDateTime: formatDateTime(day, minutes + sessionType.DefaultTimeLength),
+            Duration: sessionType.DefaultTimeLength
+        });
+        res.json({ Appointment: appointment });
+    });
+
+    api.get('/client/clients', requireStaffToken, (req, res) => {
+        const searchText = String(param(req, 'SearchText') || '').toLowerCase();
+        const searchDigits = searchText.replace(/\D/g, '');
+        const clientIds = listParam(req, 'ClientIds');
+
+        const clients = Array.from(state.clients.values())
+            .filter(c => !clientIds || clientIds.includes(c.Id))
+            .filter(c => {
+                if (!searchText) return true;
+                const text = `${c.FirstName} ${c.LastName} ${c.Email || ''}`.toLowerCase();
+                const phone = String(c.MobilePhone || '').replace(/\D/g, '');
+                return text.includes(searchText) || (searchDigits.length >= 4 && phone.includes(searchDigits));
+            })
+            .map(publicClient);
+        paginate(req, res, 'Clients', clients);
+    });
+
+    api.post('/client/validateclientcredentials', requireStaffToken, (req, res) => {
+        const { Username, Password } = req.body || {};
+        const client = Array.from(state.clients.values())
+            .find(c => c.Email && c.Email.toLowerCase() === String(Username || '').toLowerCase());
+        if (!client || !client.password || client.password !== Password) {
+            return fail(res, 400, 'InvalidLogin', 'Invalid username or password');
+        }
+        res.json({ Client: publicClient(client), Guid: crypto.randomUUID() });
+    });
+
+    api.post('/client/addclient', requireStaffToken, (req, res) => {
+        const body = req.body || {};
+        if (!body.FirstName || !body.LastName) {
+            return fail(res, 400, 'MissingRequiredFields', 'FirstName and LastName are required');
+        }
+        const email = String(body.Email || '').toLowerCase();
+        if (email && Array.from(state.clients.values()).some(c => (c.Email || '').toLowerCase() === email)) {
+            return fail(res, 400, 'InvalidParameter', 'A client with this email already exists');
+        }
+
+        const client = {
+            Id: String(state.nextClientId++),
+            FirstName: body.FirstName,
+            LastName: body.LastName,
+            Email: body.Email || null,
+            MobilePhone: body.MobilePhone || null,
+            Gender: body.Gender || null,
+            BirthDate: body.BirthDate || null,
+            AddressLine1: body.AddressLine1 || null,
+            ReferredBy: body.ReferredBy || null,
+            Active: true,
+            password: body.Password || null
+        };
+        state.clients.set(client.Id, client);
+        res.json({ Client: publicClient(client) });
+    });
+
+    api.post('/client/sendpasswordresetemail', (req, res) => {
+        const email = String(req.body?.UserEmail || '').toLowerCase();
+        const client = Array.from(state.clients.values()).find(c => (c.Email || '').toLowerCase() === email);
+        if (!client) return fail(res, 400, 'InvalidUserEmail', 'No client with this email');
+        state.passwordResets.push(client.Email);
+        res.json({});
+    });
+
+    api.use((req, res) => fail(res, 404, 'NotFound', `The mock does not implement ${req.method} ${req.path}`));
+
+    app.use(BASE_PATH, api);
+    reset();
+
+    return { app, state, reset, failNext, revokeTokens, credentials: fixtures.credentials, fixtures };
+}
+
+/**
+ * Start a fake Mindbody on `port` (0 = any free port). Resolves with the mock plus
+ * its `server` and the `url` to use as the proxy's Mindbody base URL.
+ */
+function startMockMindbody({ port = 0, host = '127.0.0.1', ...options } = {}) {
+    const mock = createMockMindbody(options);
+    return new Promise((resolve, reject) => {
+        const server = mock.app.listen(port, host, () => {
+            resolve({ ...mock, server, url: `http://${host}:${server.address().port}${BASE_PATH}` });
+        });
+        server.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.MINDBODY_MOCK_PORT) || 4010;
+    startMockMindbody({ port }).then(({ url, credentials }) => {
+        console.log(`🧪 Mock Mindbody listening at ${url}`);
+        console.log(`   Site ${credentials.siteId} | staff login ${credentials.username} / ${credentials.password}`);
+    });
+}
+
+module.exports = { createMockMindbody, startMockMindbody, BASE_PATH, MOCK_CREDENTIALS: fixtures.credentials };
@@ -0,0 +1,1030 @@
+/**
+ * OpenAPI 3 description of the proxy's public routes
+ *
+ * Served by server.js at /api/openapi.json (docs page at /api/docs).
+ * test/openapi.test.js calls every route and checks the responses against these
+ * schemas, so update this file in the same change as the route.
+ *
+ * Objects the proxy builds itself are closed (additionalProperties: false);
+ * records passed through from Mindbody (Staff, Client, SessionType...) stay open.
+ */
+
+const { version } = require('./package.json');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+
+/**
+ * Closed object: every listed property is required unless named in `optional`
+ */
+function object(properties, optional = []) {
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties).filter(name => !optional.includes(name)),
+        additionalProperties: false
+    };
+}
+
+/**
+ * Open object for Mindbody records: only the fields the front end relies on are listed
+ */
+function record(properties, required = []) {
+    return { type: 'object', properties, required, additionalProperties: true };
+}
+
+const json = (description, schema, headers) => ({
+    description,
+    ...(headers ? { headers } : {}),
+    content: { 'application/json': { schema } }
+});
+
+const error = (description) => json(description, ref('Error'));
+
+// Errors every Mindbody-backed route can return
+const upstreamErrors = {
+    400: error('Invalid input (VALIDATION_ERROR), a body that is not JSON (INVALID_JSON) or rejected by Mindbody (UPSTREAM_BAD_REQUEST)'),
+    404: error('Unknown tenant (UNKNOWN_TENANT) or not found in Mindbody (NOT_FOUND)'),
+    502: error('Mindbody failed or returned an unexpected error (UPSTREAM_ERROR)'),
+    503: error('Mindbody unavailable: circuit open or call budget exhausted; see Retry-After')
+};
+
+const sessionErrors = {
+    401: error('Missing or expired X-Session-Token (SESSION_REQUIRED)'),
+    403: error('clientId does not belong to the session (CLIENT_MISMATCH)')
+};
+
+const rateLimited = { 429: error('Too many attempts (RATE_LIMITED); see Retry-After') };
+
+const param = (location, name, schema, description, required = false) => ({
+    name,
+    in: location,
+    required: location === 'path' ? true : required,
+    description,
+    schema
+});
+
+const query = (...args) => param('query', ...args);
+const path = (...args) => param('path', ...args);
+
+const ids = { type: 'string', pattern: '^\\d+(,\\d+)*$', example: '12,15' };
+const date = { type: 'string', format: 'date', example: '2026-10-20' };
+// Mindbody date-times are the site's wall-clock time, without an offset;
+// the ones the proxy builds itself carry the site's UTC offset
+const dateTime = { type: 'string', example: '2026-10-20T14:30:00' };
+const offsetDateTime = { type: 'string', format: 'date-time', example: '2026-10-20T14:30:00-05:00' };
+const timeZone = { type: 'string', description: "The site's IANA time zone", example: 'America/Panama' };
+const dateTimeInput = {
+    type: 'string',
+    description: "Site wall-clock time; a time with an offset or Z is converted into the site's zone",
+    example: '2026-10-20T14:30:00'
+};
+
+const dateRangeParams = (days) => [
+    query('startDate', date, 'First day (YYYY-MM-DD); defaults to today in the site\'s time zone'),
+    query('endDate', date, `Last day (YYYY-MM-DD); defaults to ${days} after today`)
+];
+
+const stepParam = query('step', { type: 'integer', enum: [15, 30, 60] },
+    'Minutes between offered start times; defaults to the server setting (SLOT_STEP_MINUTES)');
+
+// Bookings are checked against the same step the start time was offered with
+const stepField = {
+    type: 'integer',
+    enum: [15, 30, 60],
+    description: 'The `step` the start time was offered with; defaults to the server setting (SLOT_STEP_MINUTES)'
+};
+
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+
+const idempotencyKey = {
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: false,
+    description: 'Retries with the same key replay the first response (Idempotent-Replayed: true)',
+    schema: { type: 'string', maxLength: 200 }
+};
+
+const cacheHeader = {
+    'X-Cache': {
+        description: 'HIT, MISS or COALESCED (shared an in-flight Mindbody call)',
+        schema: { type: 'string', enum: ['HIT', 'MISS', 'COALESCED'] }
+    }
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        description: 'Uniform error envelope. `error` repeats `message` for older clients.',
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            code: { type: 'string', example: 'VALIDATION_ERROR' },
+            message: { type: 'string' },
+            error: { type: 'string' },
+            field: nullable({ type: 'string' }),
+            upstream: nullable(object({
+                status: nullable({ type: 'integer' }),
+                code: nullable({ type: 'string' }),
+                message: nullable({ type: 'string' })
+            })),
+            errors: arrayOf(object({ field: { type: 'string' }, message: { type: 'string' } })),
+            retryAfter: { type: 'integer' },
+            alternatives: arrayOf(ref('AlternativeSlot')),
+            options: arrayOf(ref('Itinerary')),
+            failedLeg: { type: 'integer' },
+            groupSlots: arrayOf(ref('GroupSlot')),
+            failedAppointment: { type: 'integer' },
+            rollback: object({ cancelled: arrayOf({ type: 'integer' }), failed: arrayOf({ type: 'integer' }) })
+        },
+        required: ['success', 'code', 'message', 'error', 'field', 'upstream'],
+        additionalProperties: true
+    },
+    Pagination: object({
+        totalResults: { type: 'integer' },
+        fetched: { type: 'integer' },
+        truncated: { type: 'boolean' },
+        truncatedReason: nullable({ type: 'string', enum: ['max_results', 'page_error', 'incomplete'] }),
+        maxResults: { type: 'integer' },
+        failedOffsets: arrayOf({ type: 'integer' })
+    }),
+    Staff: record({
+        Id: { type: 'integer' },
+        FirstName: nullable({ type: 'string' }),
+        LastName: nullable({ type: 'string' })
+    }, ['Id']),
+    Location: record({
+        Id: { type: 'integer' },
+        Name: nullable({ type: 'string' })
+    }, ['Id']),
+    SessionType: record({
+        Id: { type: 'integer' },
+        Name: { type: 'string' },
+        DefaultTimeLength: nullable({ type: 'integer' })
+    }, ['Id']),
+    Availability: record({
+        StartDateTime: dateTime,
+        EndDateTime: dateTime,
+        Staff: ref('Staff'),
+        SessionType: ref('SessionType'),
+        Location: ref('Location')
+    }, ['StartDateTime', 'EndDateTime', 'Staff']),
+    Client: record({
+        Id: { type: 'string' },
+        FirstName: nullable({ type: 'string' }),
+        LastName: nullable({ type: 'string' }),
+        Email: nullable({ type: 'string' })
+    }, ['Id']),
+    Appointment: record({
+        Id: { type: 'integer' },
+        Status: { type: 'string' },
+        StartDateTime: dateTime
+    }, ['Id']),
+    ClientAppointment: object({
+        id: { type: 'integer' },
+        startDateTime: offsetDateTime,
+        endDateTime: nullable(offsetDateTime),
+        serviceName: { type: 'string' },
+        staffName: { type: 'string' },
+        locationName: { type: 'string' },
+        status: { type: 'string' }
+    }, ['endDateTime']),
+    AlternativeSlot: object({
+        startDateTime: offsetDateTime,
+        endDateTime: nullable(offsetDateTime),
+        staffId: { type: 'integer' },
+        staffName: { type: 'string' },
+        locationId: nullable({ type: 'integer' })
+    }),
+    StaffDaySlots: object({
+        date,
+        staffId: { type: 'integer' },
+        staffName: { type: 'string' },
+        slots: arrayOf(object({
+            startDateTime: offsetDateTime,
+            endDateTime: nullable(offsetDateTime),
+            sessionTypeId: nullable({ type: 'integer' }),
+            locationId: nullable({ type: 'integer' })
+        }))
+    }),
+    ItineraryLeg: object({
+        sessionTypeId: { type: 'integer' },
+        sessionTypeName: { type: 'string' },
+        staffId: { type: 'integer' },
+        staffName: { type: 'string' },
+        startDateTime: offsetDateTime,
+        endDateTime: offsetDateTime,
+        appointmentId: nullable({ type: 'integer' }),
+        status: nullable({ type: 'string' })
+    }, ['appointmentId', 'status']),
+    Itinerary: object({
+        reference: { type: 'string', example: 'IT-3F9A1C2B', description: 'Also written in every leg\'s appointment notes' },
+        locationId: nullable({ type: 'integer' }),
+        startDateTime: offsetDateTime,
+        endDateTime: offsetDateTime,
+        legs: arrayOf(ref('ItineraryLeg'))
+    }, ['reference']),
+    GroupSlot: object({
+        sessionTypeId: { type: 'integer' },
+        locationId: nullable({ type: 'integer' }),
+        startDateTime: offsetDateTime,
+        endDateTime: offsetDateTime,
+        staff: arrayOf(object({ staffId: { type: 'integer' }, staffName: { type: 'string' } }))
+    }),
+    GroupBooking: object({
+        reference: { type: 'string', example: 'GR-3F9A1C2B', description: 'Also written in every appointment\'s notes' },
+        sessionTypeId: { type: 'integer' },
+        locationId: nullable({ type: 'integer' }),
+        startDateTime: offsetDateTime,
+        endDateTime: offsetDateTime,
+        appointments: arrayOf(object({
+            appointmentId: nullable({ type: 'integer' }),
+            clientId: { type: 'string' },
+            staffId: { type: 'integer' },
+            staffName: { type: 'string' },
+            status: nullable({ type: 'string' })
+        }))
+    }),
+    NextAvailableSlot: object({
+        startDateTime: offsetDateTime,
+        endDateTime: nullable(offsetDateTime),
+        sessionType: object({
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            durationMinutes: nullable({ type: 'integer' })
+        }),
+        staff: object({
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            gender: nullable({ type: 'string' }),
+            imageUrl: nullable({ type: 'string' })
+        }),
+        location: object({
+            id: nullable({ type: 'integer' }),
+            name: nullable({ type: 'string' })
+        })
+    }),
+    EnrichedSessionType: record({
+        Id: { type: 'integer' },
+        Name: { type: 'string' },
+        CategoryName: { type: 'string' },
+        Price: nullable({ type: 'number' }),
+        Description: nullable({ type: 'string' })
+    }, ['Id', 'Name', 'CategoryName', 'Price', 'Description']),
+    Liveness: object({
+        status: { type: 'string', enum: ['ok'] },
+        message: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        tenant: { type: 'string' },
+        appointmentRequestMode: { type: 'string', enum: ['enabled', 'disabled'] },
+        upstream: object({
+            circuit: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+            consecutiveFailures: { type: 'integer' },
+            openedAt: nullable({ type: 'string', format: 'date-time' }),
+            lastFailure: nullable({ type: 'object', additionalProperties: true })
+        })
+    }),
+    ReadinessComponent: object({
+        status: { type: 'string', enum: ['ok', 'fail', 'skipped'] },
+        durationMs: { type: 'integer' },
+        missing: { ...arrayOf({ type: 'string' }), description: 'config only: the tenant settings that are not set' },
+        error: object({
+            status: nullable({ type: 'integer' }),
+            code: nullable({ type: 'string' }),
+            message: nullable({ type: 'string' })
+        })
+    }, ['durationMs', 'missing', 'error']),
+    Readiness: object({
+        status: { type: 'string', enum: ['ok', 'degraded'] },
+        tenant: { type: 'string' },
+        checkedAt: { type: 'string', format: 'date-time' },
+        components: object({
+            config: ref('ReadinessComponent'),
+            staffAuth: ref('ReadinessComponent'),
+            mindbody: ref('ReadinessComponent')
+        })
+    })
+};
+
+const paths = {
+    '/api/health': {
+        get: {
+            tags: ['system'],
+            summary: 'Liveness (same as /api/health/live)',
+            responses: { 200: json('Server is up', ref('Liveness')) }
+        }
+    },
+    '/api/health/live': {
+        get: {
+            tags: ['system'],
+            summary: 'Liveness: the process is up; does not call Mindbody',
+            responses: { 200: json('Server is up', ref('Liveness')) }
+        }
+    },
+    '/api/health/ready': {
+        get: {
+            tags: ['system'],
+            summary: 'Readiness: config, staff token and a Mindbody call, reused for a few seconds',
+            responses: {
+                200: json('Ready to serve this tenant', ref('Readiness'), cacheHeader),
+                503: json('Degraded: see the failing components', ref('Readiness'), cacheHeader)
+            }
+        }
+    },
+    '/metrics': {
+        get: {
+            tags: ['system'],
+            summary: 'Prometheus metrics: requests, Mindbody calls, token refreshes, caches and bookings',
+            responses: {
+                200: {
+                    description: 'Prometheus text exposition format',
+                    content: { 'text/plain': { schema: { type: 'string' } } }
+                }
+            }
+        }
+    },
+    '/api/tenant': {
+        get: {
+            tags: ['system'],
+            summary: 'Selected tenant: id, request mode and branding (no credentials)',
+            responses: {
+                200: json('Tenant', object({
+                    success: { type: 'boolean' },
+                    tenant: object({
+                        id: { type: 'string' },
+                        appointmentRequestMode: { type: 'boolean' },
+                        branding: { type: 'object', additionalProperties: true }
+                    })
+                })),
+                404: error('Unknown tenant (UNKNOWN_TENANT)')
+            }
+        }
+    },
+    '/api/auth/login': {
+        post: {
+            tags: ['auth'],
+            summary: 'Issue a Mindbody staff user token',
+            requestBody: jsonBody(object({
+                username: { type: 'string' },
+                password: { type: 'string' }
+            })),
+            responses: {
+                200: json('Token issued', object({
+                    success: { type: 'boolean' },
+                    accessToken: { type: 'string' },
+                    user: { type: 'object', additionalProperties: true }
+                }, ['user'])),
+                400: error('Missing username or password (VALIDATION_ERROR)'),
+                401: error('Rejected by Mindbody (INVALID_CREDENTIALS)'),
+                502: upstreamErrors[502],
+                503: upstreamErrors[503]
+            }
+        }
+    },
+    '/api/locations': {
+        get: {
+            tags: ['catalog'],
+            summary: 'Site locations',
+            responses: {
+                200: json('Locations', object({
+                    success: { type: 'boolean' },
+                    locations: arrayOf(ref('Location'))
+                })),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/session-types': {
+        get: {
+            tags: ['catalog'],
+            summary: 'Bookable treatments with category, price and description',
+            description: 'Served from the catalog cache. Send If-None-Match with the last ETag to get a 304.',
+            parameters: [query('locationId', { type: 'integer' }, 'Only session types offered at this location')],
+            responses: {
+                200: json('Session types', object({
+                    success: { type: 'boolean' },
+                    sessionTypes: arrayOf(ref('EnrichedSessionType')),
+                    programs: { type: 'object', additionalProperties: { type: 'string' } },
+                    servicesPrices: { type: 'object', additionalProperties: { type: 'number' } },
+                    categories: arrayOf({ type: 'string' }),
+                    priceStats: object({ withPrices: { type: 'integer' }, total: { type: 'integer' } }),
+                    allTypes: arrayOf(ref('SessionType')),
+                    catalog: object({
+                        updatedAt: nullable({ type: 'string', format: 'date-time' }),
+                        stale: { type: 'boolean' }
+                    })
+                }), { ETag: { schema: { type: 'string' } } }),
+                304: { description: 'Catalog unchanged since the ETag sent in If-None-Match' },
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/staff': {
+        get: {
+            tags: ['catalog'],
+            summary: 'Staff list (not availability)',
+            parameters: [
+                query('locationId', { type: 'integer' }, 'Location filter'),
+                query('sessionTypeIds', ids, 'Comma-separated session type IDs')
+            ],
+            responses: {
+                200: json('Staff', object({
+                    success: { type: 'boolean' },
+                    staff: arrayOf(ref('Staff'))
+                })),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/available-dates': {
+        get: {
+            tags: ['availability'],
+            summary: 'Days with any availability for one session type',
+            parameters: [
+                query('sessionTypeIds', { type: 'integer' }, 'Session type ID (one)', true),
+                query('locationIds', { type: 'integer' }, 'Location ID (one)'),
+                query('staffIds', { type: 'integer' }, 'Staff ID (one)'),
+                ...dateRangeParams('29 days')
+            ],
+            responses: {
+                200: json('Available dates', object({
+                    success: { type: 'boolean' },
+                    availableDates: arrayOf(dateTime),
+                    dateRange: object({ start: date, end: date }),
+                    timeZone
+                })),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/bookable-items': {
+        get: {
+            tags: ['availability'],
+            summary: 'Availability windows and the staff who have them',
+            description: 'Availabilities, ScheduleItems and scheduleItems carry the same list, as do ' +
+                'StaffWithAvailability and staffWithAvailability; the duplicates are kept for older clients. ' +
+                'slotsByStaff expands the windows into the start times that can be booked (step, padding, ' +
+                'lead time and booking horizon applied), per staff member and day.',
+            parameters: [
+                query('sessionTypeIds', ids, 'Comma-separated session type IDs', true),
+                query('locationIds', ids, 'Comma-separated location IDs'),
+                query('staffIds', ids, 'Comma-separated staff IDs'),
+                ...dateRangeParams('1 day'),
+                stepParam
+            ],
+            responses: {
+                200: json('Bookable items', object({
+                    success: { type: 'boolean' },
+                    Availabilities: arrayOf(ref('Availability')),
+                    ScheduleItems: arrayOf(ref('Availability')),
+                    scheduleItems: arrayOf(ref('Availability')),
+                    StaffWithAvailability: arrayOf(ref('StaffAvailabilitySummary')),
+                    staffWithAvailability: arrayOf(ref('StaffAvailabilitySummary')),
+                    totalSlots: { type: 'integer' },
+                    slotsByStaff: arrayOf(ref('StaffDaySlots')),
+                    dateRange: object({ start: date, end: date }),
+                    timeZone,
+                    pagination: ref('Pagination')
+                }), cacheHeader),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/staff-with-availability': {
+        get: {
+            tags: ['availability'],
+            summary: 'Staff who have at least one availability window',
+            parameters: [
+                query('sessionTypeIds', ids, 'Comma-separated session type IDs', true),
+                query('locationIds', ids, 'Comma-separated location IDs'),
+                ...dateRangeParams('14 days'),
+                stepParam
+            ],
+            responses: {
+                200: json('Staff with availability', object({
+                    success: { type: 'boolean' },
+                    staff: arrayOf(object({
+                        Id: { type: 'integer' },
+                        FirstName: nullable({ type: 'string' }),
+                        LastName: nullable({ type: 'string' }),
+                        Name: { type: 'string' },
+                        Gender: nullable({ type: 'string' }),
+                        ImageUrl: nullable({ type: 'string' }),
+                        Bio: nullable({ type: 'string' }),
+                        availableSlotCount: { type: 'integer' },
+                        availableSlots: arrayOf(object({ StartDateTime: offsetDateTime, EndDateTime: offsetDateTime }))
+                    }, ['FirstName', 'LastName', 'Gender', 'ImageUrl', 'Bio'])),
+                    totalStaffWithAvailability: { type: 'integer' },
+                    totalAvailableSlots: { type: 'integer' },
+                    slotsByStaff: arrayOf(ref('StaffDaySlots')),
+                    dateRange: object({ startDate: date, endDate: date }),
+                    timeZone,
+                    pagination: ref('Pagination'),
+                    message: { type: 'string' }
+                }), cacheHeader),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/available-slots': {
+        get: {
+            tags: ['availability'],
+            summary: 'Availability windows, also grouped by day',
+            parameters: [
+                query('sessionTypeIds', ids, 'Comma-separated session type IDs', true),
+                query('locationIds', ids, 'Comma-separated location IDs'),
+                query('staffId', { type: 'integer' }, 'Staff ID'),
+                ...dateRangeParams('14 days'),
+                stepParam
+            ],
+            responses: {
+                200: json('Slots', object({
+                    success: { type: 'boolean' },
+                    slots: arrayOf(ref('Availability')),
+                    slotsByDate: {
+                        type: 'object',
+                        additionalProperties: arrayOf(object({
+                            startDateTime: offsetDateTime,
+                            endDateTime: offsetDateTime,
+                            staff: ref('Staff'),
+                            sessionType: ref('SessionType')
+                        }, ['sessionType']))
+                    },
+                    slotsByStaff: arrayOf(ref('StaffDaySlots')),
+                    totalSlots: { type: 'integer' },
+                    timeZone,
+                    pagination: ref('Pagination')
+                }), cacheHeader),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/next-available': {
+        get: {
+            tags: ['availability'],
+            summary: 'The soonest slots for one or more session types',
+            description: 'Scans forward day by day from startDate, skipping days without availability, ' +
+                'and returns the first `limit` start times (the earliest each availability window offers), soonest first.',
+            parameters: [
+                query('sessionTypeIds', ids, 'Comma-separated session type IDs', true),
+                query('locationIds', ids, 'Comma-separated location IDs'),
+                query('staffIds', ids, 'Comma-separated staff IDs'),
+                query('gender', { type: 'string', enum: ['female', 'male'] }, 'Preferred therapist gender'),
+                query('startDate', date, 'First day to search (YYYY-MM-DD); defaults to today in the site\'s time zone'),
+                query('days', { type: 'integer', minimum: 1, maximum: 90, default: 30 }, 'How many days to search'),
+                query('limit', { type: 'integer', minimum: 1, maximum: 20, default: 5 }, 'How many slots to return'),
+                stepParam
+            ],
+            responses: {
+                200: json('Slots', object({
+                    success: { type: 'boolean' },
+                    slots: arrayOf(ref('NextAvailableSlot')),
+                    totalSlots: { type: 'integer' },
+                    searched: object({ startDate: date, endDate: date, daysChecked: { type: 'integer' } }),
+                    timeZone
+                })),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/clients/{clientId}/appointments': {
+        get: {
+            tags: ['appointments'],
+            summary: "Upcoming appointments of the session's client (next 60 days)",
+            security: [{ sessionToken: [] }],
+            parameters: [path('clientId', { type: 'string' }, 'Must match the session client')],
+            responses: {
+                200: json('Appointments', object({
+                    success: { type: 'boolean' },
+                    appointments: arrayOf(ref('ClientAppointment')),
+                    timeZone
+                })),
+                ...sessionErrors,
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/appointments/book': {
+        post: {
+            tags: ['appointments'],
+            summary: 'Book an appointment (or create a request in appointment request mode)',
+            description: 'The slot is re-checked against Mindbody first. PascalCase field names are also accepted.',
+            security: [{ sessionToken: [] }],
+            parameters: [idempotencyKey],
+            requestBody: jsonBody(object({
+                startDateTime: dateTimeInput,
+                staffId: { type: 'integer' },
+                sessionTypeId: { type: 'integer' },
+                locationId: { type: 'integer' },
+                clientId: { type: 'string', description: 'Defaults to the session client' },
+                applyPayment: { type: 'boolean', default: false },
+                sendEmail: { type: 'boolean', default: true },
+                notes: { type: 'string' },
+                isRequest: { type: 'boolean', description: "Defaults to the tenant's appointment request mode" },
+                step: stepField
+            }, ['locationId', 'clientId', 'applyPayment', 'sendEmail', 'notes', 'isRequest', 'step'])),
+            responses: {
+                200: json('Booked', object({
+                    success: { type: 'boolean' },
+                    appointment: ref('Appointment'),
+                    isRequest: { type: 'boolean' },
+                    timeZone,
+                    message: { type: 'string' }
+                })),
+                ...sessionErrors,
+                409: error('Slot taken (SLOT_NO_LONGER_AVAILABLE, with `alternatives`) or idempotency key in use'),
+                ...rateLimited,
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/appointments/{id}/cancel': {
+        post: {
+            tags: ['appointments'],
+            summary: 'Cancel an appointment',
+            description: 'Inside the late-cancel window the request is refused (LATE_CANCEL_WINDOW) unless lateCancel is true.',
+            security: [{ sessionToken: [] }],
+            parameters: [path('id', { type: 'integer' }, 'Appointment ID')],
+            requestBody: {
+                content: {
+                    'application/json': {
+                        schema: object({
+                            clientId: { type: 'string' },
+                            lateCancel: { type: 'boolean', default: false },
+                            sendEmail: { type: 'boolean', default: true }
+                        }, ['clientId', 'lateCancel', 'sendEmail'])
+                    }
+                }
+            },
+            responses: {
+                200: json('Cancelled', object({
+                    success: { type: 'boolean' },
+                    appointment: ref('ClientAppointment'),
+                    lateCancel: { type: 'boolean' },
+                    timeZone,
+                    message: { type: 'string' }
+                })),
+                ...sessionErrors,
+                409: error('Already cancelled, already started or finished (APPOINTMENT_ALREADY_STARTED) or inside the late-cancel window'),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/appointments/{id}/reschedule': {
+        post: {
+            tags: ['appointments'],
+            summary: 'Move an appointment to a new time or therapist',
+            description: 'On any failure the original appointment is left as it was.',
+            security: [{ sessionToken: [] }],
+            parameters: [path('id', { type: 'integer' }, 'Appointment ID')],
+            requestBody: jsonBody(object({
+                startDateTime: dateTimeInput,
+                staffId: { type: 'integer' },
+                sessionTypeId: { type: 'integer' },
+                clientId: { type: 'string' },
+                sendEmail: { type: 'boolean', default: true },
+                step: stepField
+            }, ['sessionTypeId', 'clientId', 'sendEmail', 'step'])),
+            responses: {
+                200: json('Rescheduled', object({
+                    success: { type: 'boolean' },
+                    appointment: ref('ClientAppointment'),
+                    previous: ref('ClientAppointment'),
+                    timeZone,
+                    message: { type: 'string' }
+                })),
+                ...sessionErrors,
+                409: error('Already cancelled, already started or finished (APPOINTMENT_ALREADY_STARTED) or the new slot is taken (with `alternatives`)'),
+                ...upstreamErrors,
+                502: error('Mindbody refused the move (RESCHEDULE_FAILED) or failed (UPSTREAM_ERROR)')
+            }
+        }
+    },
+    '/api/itineraries/options': {
+        get: {
+            tags: ['appointments'],
+            summary: 'Back-to-back treatments on one day (e.g. massage then facial)',
+            description: 'Each option is a sequence of legs at one location, in the order of sessionTypeIds, ' +
+                'each starting when the previous one ends (rounded up to the slot step).',
+            parameters: [
+                query('sessionTypeIds', ids, 'Session type IDs in the order they are taken (up to 4)', true),
+                query('locationIds', ids, 'Comma-separated location IDs'),
+                query('date', date, 'Day (YYYY-MM-DD); defaults to today in the site\'s time zone'),
+                stepParam,
+                query('limit', { type: 'integer', minimum: 1, maximum: 20, default: 5 }, 'How many options to return')
+            ],
+            responses: {
+                200: json('Options, soonest first', object({
+                    success: { type: 'boolean' },
+                    options: arrayOf(ref('Itinerary')),
+                    date,
+                    timeZone
+                })),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/itineraries/book': {
+        post: {
+            tags: ['appointments'],
+            summary: 'Book every leg of an itinerary, or none',
+            description: 'The itinerary starting at startDateTime is checked against Mindbody again and its legs ' +
+                'are booked in order. If a leg fails the legs already booked are cancelled (ITINERARY_FAILED, with ' +
+                '`rollback.cancelled` and `rollback.failed`).',
+            security: [{ sessionToken: [] }],
+            parameters: [idempotencyKey],
+            requestBody: jsonBody(object({
+                sessionTypeIds: { ...ids, description: 'Session type IDs in order (a JSON array also works)' },
+                staffIds: { ...ids, description: 'One staff ID per leg, e.g. from an option; defaults to any therapist' },
+                startDateTime: dateTimeInput,
+                locationId: { type: 'integer' },
+                clientId: { type: 'string', description: 'Defaults to the session client' },
+                sendEmail: { type: 'boolean', default: true },
+                notes: { type: 'string' },
+                isRequest: { type: 'boolean', description: "Defaults to the tenant's appointment request mode" },
+                step: stepField
+            }, ['staffIds', 'locationId', 'clientId', 'sendEmail', 'notes', 'isRequest', 'step'])),
+            responses: {
+                200: json('Booked', object({
+                    success: { type: 'boolean' },
+                    itinerary: ref('Itinerary'),
+                    isRequest: { type: 'boolean' },
+                    timeZone,
+                    message: { type: 'string' }
+                })),
+                ...sessionErrors,
+                409: error('No longer available (SLOT_NO_LONGER_AVAILABLE, with up to 3 `options`) or idempotency key in use'),
+                ...rateLimited,
+                ...upstreamErrors,
+                502: error('A leg failed and the booked legs were rolled back (ITINERARY_FAILED) or Mindbody failed (UPSTREAM_ERROR)')
+            }
+        }
+    },
+    '/api/groups/availability': {
+        get: {
+            tags: ['appointments'],
+            summary: 'Start times with several therapists free together (couples and groups)',
+            description: 'Only start times where at least `size` different therapists offer the session type at ' +
+                'the same location are returned, each listing every therapist free then.',
+            parameters: [
+                query('sessionTypeId', { type: 'integer' }, 'Session type ID', true),
+                query('size', { type: 'integer', minimum: 2, maximum: 6, default: 2 }, 'How many therapists are needed'),
+                query('locationIds', ids, 'Comma-separated location IDs'),
+                query('date', date, 'Day (YYYY-MM-DD); defaults to today in the site\'s time zone'),
+                stepParam
+            ],
+            responses: {
+                200: json('Group slots, soonest first', object({
+                    success: { type: 'boolean' },
+                    slots: arrayOf(ref('GroupSlot')),
+                    totalSlots: { type: 'integer' },
+                    size: { type: 'integer' },
+                    date,
+                    timeZone
+                })),
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/groups/book': {
+        post: {
+            tags: ['appointments'],
+            summary: 'Book one appointment per person at the same time, or none',
+            description: 'Books `size` appointments of the session type at startDateTime, each with a different ' +
+                'therapist, after checking the slot against Mindbody again. If one fails the ones already booked ' +
+                'are cancelled (GROUP_BOOKING_FAILED, with `rollback.cancelled` and `rollback.failed`).',
+            security: [{ sessionToken: [] }],
+            parameters: [
+                idempotencyKey,
+                {
+                    name: 'X-Guest-Session-Tokens',
+                    in: 'header',
+                    required: false,
+                    description: 'Comma-separated session tokens of the other clients in clientIds, one each',
+                    schema: { type: 'string' }
+                }
+            ],
+            requestBody: jsonBody(object({
+                sessionTypeId: { type: 'integer' },
+                startDateTime: dateTimeInput,
+                size: { type: 'integer', minimum: 2, maximum: 6, description: 'Defaults to the number of clientIds, else 2' },
+                clientIds: {
+                    type: 'string',
+                    example: '100001,100002',
+                    description: 'The client of each appointment (a JSON array also works); must include the session ' +
+                        'client, and defaults to the session client for every appointment. Other clients need their ' +
+                        'session token in X-Guest-Session-Tokens'
+                },
+                staffIds: { ...ids, description: 'A different staff ID per appointment; defaults to the lowest staff IDs free' },
+                locationId: { type: 'integer' },
+                clientId: { type: 'string', description: 'Defaults to the session client' },
+                sendEmail: { type: 'boolean', default: true },
+                notes: { type: 'string' },
+                isRequest: { type: 'boolean', description: "Defaults to the tenant's appointment request mode" },
+                step: stepField
+            }, ['size', 'clientIds', 'staffIds', 'locationId', 'clientId', 'sendEmail', 'notes', 'isRequest', 'step'])),
+            responses: {
+                200: json('Booked', object({
+                    success: { type: 'boolean' },
+                    group: ref('GroupBooking'),
+                    isRequest: { type: 'boolean' },
+                    timeZone,
+                    message: { type: 'string' }
+                })),
+                ...sessionErrors,
+                409: error('No longer available for the whole group (SLOT_NO_LONGER_AVAILABLE, with up to 3 ' +
+                    '`groupSlots`) or idempotency key in use'),
+                ...rateLimited,
+                ...upstreamErrors,
+                502: error('An appointment failed and the rest were rolled back (GROUP_BOOKING_FAILED) or Mindbody ' +
+                    'failed (UPSTREAM_ERROR)')
+            }
+        }
+    },
+    '/api/clients': {
+        get: {
+            tags: ['admin'],
+            summary: 'Search clients (full records, contact details included)',
+            security: [{ adminKey: [] }],
+            parameters: [
+                query('searchText', { type: 'string' }, 'Name, email or phone'),
+                query('email', { type: 'string', format: 'email' }, 'Exact email match')
+            ],
+            responses: {
+                200: json('Clients', object({
+                    success: { type: 'boolean' },
+                    clients: arrayOf(ref('Client'))
+                })),
+                401: error('Missing or wrong X-Admin-Key (ADMIN_AUTH_REQUIRED)'),
+                ...upstreamErrors
+            }
+        },
+        post: {
+            tags: ['clients'],
+            summary: 'Create a client account',
+            parameters: [idempotencyKey],
+            requestBody: jsonBody(object({
+                firstName: { type: 'string' },
+                lastName: { type: 'string' },
+                email: { type: 'string', format: 'email' },
+                phone: { type: 'string' },
+                birthDate: date,
+                address: { type: 'string' },
+                gender: { type: 'string' },
+                referredBy: { type: 'string' },
+                password: { type: 'string' }
+            }, ['phone', 'birthDate', 'address', 'gender', 'referredBy', 'password'])),
+            responses: {
+                200: json('Created', object({
+                    success: { type: 'boolean' },
+                    client: ref('Client')
+                })),
+                409: error('Idempotency key reused with a different body or still in flight'),
+                ...rateLimited,
+                ...upstreamErrors
+            }
+        }
+    },
+    '/api/clients/login': {
+        post: {
+            tags: ['clients'],
+            summary: 'Client login by email or phone; returns a session token',
+            requestBody: jsonBody(object({
+                username: { type: 'string', description: 'Email or phone' },
+                password: { type: 'string' },
+                searchType: { type: 'string', enum: ['email', 'phone'] }
+            }, ['searchType'])),
+            responses: {
+                200: json('Logged in', object({
+                    success: { type: 'boolean' },
+                    client: ref('Client'),
+                    clients: arrayOf(ref('Client')),
+                    sessionToken: { type: 'string' },
+                    expiresAt: { type: 'string', format: 'date-time' },
+                    message: { type: 'string' }
+                })),
+                400: upstreamErrors[400],
+                401: error('Wrong email, phone or password (INVALID_CREDENTIALS)'),
+                409: error('The password is right for several accounts on this phone; log in by email instead (LOGIN_AMBIGUOUS)'),
+                ...rateLimited,
+                502: upstreamErrors[502],
+                503: upstreamErrors[503]
+            }
+        }
+    },
+    '/api/clients/forgot-password': {
+        post: {
+            tags: ['clients'],
+            summary: 'Send a password reset email',
+            description: 'Always reports success so callers cannot tell which emails exist.',
+            requestBody: jsonBody(object({ email: { type: 'string', format: 'email' } })),
+            responses: {
+                200: json('Accepted', object({
+                    success: { type: 'boolean' },
+                    message: { type: 'string' }
+                })),
+                400: error('Missing or malformed email (VALIDATION_ERROR)'),
+                ...rateLimited
+            }
+        }
+    },
+    '/api/admin/catalog/refresh': {
+        post: {
+            tags: ['admin'],
+            summary: 'Reload programs, services and session types from Mindbody',
+            security: [{ adminKey: [] }],
+            responses: {
+                200: json('Refreshed', object({
+                    success: { type: 'boolean' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    locations: arrayOf({ type: 'string' }),
+                    sessionTypes: { type: 'integer' }
+                })),
+                401: error('Missing or wrong X-Admin-Key'),
+                502: error('Refresh failed; the last good catalog is still served (CATALOG_REFRESH_FAILED)')
+            }
+        }
+    },
+    '/api/admin/usage': {
+        get: {
+            tags: ['admin'],
+            summary: 'Mindbody call usage against the rate limit and daily budget',
+            security: [{ adminKey: [] }],
+            responses: {
+                200: json('Usage', object({
+                    success: { type: 'boolean' },
+                    limits: object({
+                        callsPerSecond: { type: 'number' },
+                        burst: { type: 'integer' },
+                        dailyBudget: nullable({ type: 'integer' })
+                    }),
+                    today: object({
+                        date: { type: 'string' },
+                        calls: { type: 'integer' },
+                        remaining: nullable({ type: 'integer' })
+                    }),
+                    totalCalls: { type: 'integer' },
+                    queued: { type: 'integer' },
+                    availableTokens: { type: 'integer' },
+                    byRoute: arrayOf(object({ route: { type: 'string' }, calls: { type: 'integer' } })),
+                    byTenant: arrayOf(object({ tenant: { type: 'string' }, calls: { type: 'integer' } })),
+                    byEndpoint: arrayOf(object({ endpoint: { type: 'string' }, calls: { type: 'integer' } }))
+                })),
+                401: error('Missing or wrong X-Admin-Key')
+            }
+        }
+    }
+};
+
+schemas.StaffAvailabilitySummary = object({
+    id: { type: 'integer' },
+    firstName: nullable({ type: 'string' }),
+    lastName: nullable({ type: 'string' }),
+    name: { type: 'string' },
+    gender: nullable({ type: 'string' }),
+    imageUrl: nullable({ type: 'string' }),
+    slots: arrayOf(object({
+        startDateTime: offsetDateTime,
+        endDateTime: offsetDateTime,
+        sessionType: ref('SessionType'),
+        location: ref('Location')
+    }, ['sessionType', 'location'])),
+    availableSlots: { type: 'integer' }
+}, ['firstName', 'lastName', 'gender', 'imageUrl']);
+
+module.exports = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Mindbody Proxy',
+        version,
+        description: 'Proxy between the booking front end and the Mindbody Public API v6. ' +
+            'Every route is also served under /t/{tenantId}; the tenant can instead be chosen ' +
+            'with the X-Tenant-Id header or the request hostname. Errors use the Error envelope.'
+    },
+    servers: [
+        { url: '/' },
+        { url: '/t/{tenantId}', variables: { tenantId: { default: 'default' } } }
+    ],
+    tags: [
+        { name: 'system' },
+        { name: 'auth' },
+        { name: 'catalog' },
+        { name: 'availability' },
+        { name: 'appointments' },
+        { name: 'clients' },
+        { name: 'admin' }
+    ],
+    paths,
+    components: {
+        schemas,
+        securitySchemes: {
+            sessionToken: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-Session-Token',
+                description: 'Client session from POST /api/clients/login'
+            },
+            adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key' }
+        }
+    }
+};
@@ -8,91 +8,2642 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const openApiDocument = require('./openapi');
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+
+// Behind a load balancer (e.g. Heroku) set TRUST_PROXY=1 so req.ip is the real client
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Per-request context, so code deep in the Mindbody client knows which route it serves
+// and which request ID to log and pass on
+const requestContext = new AsyncLocalStorage();
+app.use((req, res, next) => {
+    const requestId = REQUEST_ID_PATTERN.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+    res.set('X-Request-Id', requestId);
+    observeRequest(req, res);
+    requestContext.run({ req, requestId }, next);
+});
+
+// After the request ID, so a body that fails to parse still gets one (see the error handler)
 app.use(express.json());
 
 // Configuration - ALL values must come from environment variables
 const CONFIG = {
-    baseUrl: 'https://api.mindbodyonline.com/public/v6',
+    // Point at a stand-in Mindbody (e.g. in tests) with MINDBODY_BASE_URL
+    baseUrl: process.env.MINDBODY_BASE_URL || 'https://api.mindbodyonline.com/public/v6',
     siteId: process.env.MINDBODY_SITE_ID || '',
     apiKey: process.env.MINDBODY_API_KEY || '',
     username: process.env.MINDBODY_USERNAME || '',
-    password: process.env.MINDBODY_PASSWORD || ''
+    password: process.env.MINDBODY_PASSWORD || '',
+    // Cancellations closer than this to StartDateTime count as late cancels
+    lateCancelWindowHours: parseFloat(process.env.LATE_CANCEL_WINDOW_HOURS || '24'),
+    // How long Idempotency-Key responses are kept for replay
+    idempotencyTtlHours: parseFloat(process.env.IDEMPOTENCY_TTL_HOURS || '24'),
+    // Optional JSON file to persist idempotency records across restarts
+    idempotencyStoreFile: process.env.IDEMPOTENCY_STORE_FILE || '',
+    // Signing secret and lifetime for client session tokens
+    sessionSecret: process.env.SESSION_SECRET || '',
+    sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS || '12'),
+    // Debug/test routes are off unless explicitly enabled, and always need the admin key
+    debugRoutesEnabled: process.env.ENABLE_DEBUG_ROUTES === 'true',
+    adminApiKey: process.env.ADMIN_API_KEY || '',
+    // Mindbody path prefixes /api/debug/raw may call (comma-separated)
+    debugRawAllowedPaths: (process.env.DEBUG_RAW_ALLOWED_PATHS ||
+        '/site/,/staff/staff,/sale/services,/appointment/bookableitems,/appointment/availabledates')
+        .split(',').map(p => p.trim()).filter(Boolean),
+    // How long a readiness result (staff token + Mindbody probe) is reused
+    readinessCacheSeconds: parseFloat(process.env.READINESS_CACHE_SECONDS || '15'),
+    // How long bookable-items results are served from memory
+    availabilityCacheTtlSeconds: parseFloat(process.env.AVAILABILITY_CACHE_TTL_SECONDS || '60'),
+    // Distinct queries kept at once; the oldest make way beyond this
+    availabilityCacheMaxEntries: parseInt(process.env.AVAILABILITY_CACHE_MAX_ENTRIES || '1000', 10),
+    // Availability windows become start times every SLOT_STEP_MINUTES (15, 30 or 60) on the clock
+    slotStepMinutes: parseInt(process.env.SLOT_STEP_MINUTES || '15', 10),
+    // Free time the therapist keeps before and after each treatment
+    slotPaddingBeforeMinutes: parseInt(process.env.SLOT_PADDING_BEFORE_MINUTES || '0', 10),
+    slotPaddingAfterMinutes: parseInt(process.env.SLOT_PADDING_AFTER_MINUTES || '0', 10),
+    // Bookable starts: at least this long from now, and no further out than this many days
+    bookingLeadTimeMinutes: parseInt(process.env.BOOKING_LEAD_TIME_MINUTES || '0', 10),
+    bookingHorizonDays: parseInt(process.env.BOOKING_HORIZON_DAYS || '90', 10),
+    // How often programs, services and session types are reloaded (0 = only on demand)
+    catalogRefreshMinutes: parseFloat(process.env.CATALOG_REFRESH_MINUTES || '360'),
+    // Paginated Mindbody lists: parallel page fetches and the most results we collect
+    paginationConcurrency: parseInt(process.env.PAGINATION_CONCURRENCY || '4', 10),
+    paginationMaxResults: parseInt(process.env.PAGINATION_MAX_RESULTS || '1000', 10),
+    // Upstream resilience: per-call timeout, GET retries with backoff, circuit breaker
+    upstreamTimeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS || '10000', 10),
+    upstreamMaxRetries: parseInt(process.env.UPSTREAM_MAX_RETRIES || '2', 10),
+    upstreamRetryBaseMs: parseInt(process.env.UPSTREAM_RETRY_BASE_MS || '300', 10),
+    upstreamRetryMaxDelayMs: parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY_MS || '5000', 10),
+    circuitFailureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    circuitCooldownSeconds: parseFloat(process.env.CIRCUIT_COOLDOWN_SECONDS || '30'),
+    // Outbound Mindbody budget: token bucket per second, hard cap per (UTC) day (0 = no cap)
+    mindbodyCallsPerSecond: parseFloat(process.env.MINDBODY_CALLS_PER_SECOND || '5'),
+    mindbodyBurst: parseInt(process.env.MINDBODY_BURST || '10', 10),
+    mindbodyDailyBudget: parseInt(process.env.MINDBODY_DAILY_BUDGET || '0', 10),
+    mindbodyQueueLimit: parseInt(process.env.MINDBODY_QUEUE_LIMIT || '100', 10),
+    mindbodyQueueTimeoutMs: parseInt(process.env.MINDBODY_QUEUE_TIMEOUT_MS || '10000', 10),
+    // Inbound limits as "max/windowSeconds", per client IP and per identifier (email, phone, client)
+    rateLimits: {
+        loginPerIp: process.env.RATE_LIMIT_LOGIN_IP || '20/900',
+        loginPerIdentifier: process.env.RATE_LIMIT_LOGIN_IDENTIFIER || '5/900',
+        forgotPasswordPerIp: process.env.RATE_LIMIT_FORGOT_PASSWORD_IP || '5/3600',
+        forgotPasswordPerIdentifier: process.env.RATE_LIMIT_FORGOT_PASSWORD_IDENTIFIER || '3/3600',
+        createClientPerIp: process.env.RATE_LIMIT_CREATE_CLIENT_IP || '10/3600',
+        createClientPerIdentifier: process.env.RATE_LIMIT_CREATE_CLIENT_IDENTIFIER || '3/3600',
+        bookingPerIp: process.env.RATE_LIMIT_BOOKING_IP || '30/3600',
+        bookingPerClient: process.env.RATE_LIMIT_BOOKING_CLIENT || '10/3600'
+    },
+    // Optional JSON file listing several Mindbody sites (see loadTenants)
+    tenantsFile: process.env.TENANTS_FILE || '',
+    // Offline development: run against the bundled fake Mindbody (mock/mindbody.js)
+    mockMindbody: process.env.MINDBODY_MOCK === 'true',
+    mockMindbodyPort: parseInt(process.env.MINDBODY_MOCK_PORT) || 4010,
+    // debug | info | warn | error | silent - debug adds full Mindbody payloads
+    logLevel: (process.env.LOG_LEVEL || 'info').toLowerCase()
+};
+
+// ============================================
+// LOGGING
+// ============================================
+// One JSON object per line on stdout, tagged with the request ID and tenant of the
+// request being served. Every field goes through redactSensitive first.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+// Accepted as-is from the caller (e.g. a load balancer's trace ID); anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function writeLog(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < (LOG_LEVELS[CONFIG.logLevel] ?? LOG_LEVELS.info)) return;
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactSensitive(message),
+        requestId: context?.requestId,
+        tenant: context?.tenant?.id,
+        ...redactSensitive(fields)
+    };
+    process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+const log = {
+    debug: (message, fields) => writeLog('debug', message, fields),
+    info: (message, fields) => writeLog('info', message, fields),
+    warn: (message, fields) => writeLog('warn', message, fields),
+    error: (message, fields) => writeLog('error', message, fields)
+};
+
+/**
+ * Log fields for a failed call: the message, plus Mindbody's status and error body if it answered
+ */
+function errorFields(error) {
+    return {
+        error: error.message,
+        code: error.code,
+        upstreamStatus: error.response?.status,
+        upstreamError: error.response?.data?.Error || error.response?.data
+    };
+}
+
+/**
+ * Once the response is sent: one access-log line (path without the query string,
+ * which can carry emails and phone numbers) and the request metrics
+ */
+function observeRequest(req, res) {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        const status = res.statusCode;
+        const durationMs = Date.now() - startedAt;
+        writeLog(status >= 500 ? 'error' : 'info', 'request', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route: req.route?.path,
+            status,
+            durationMs
+        });
+        
+        // Unmatched paths share one label so scanners can't grow the series
+        const labels = {
+            tenant: requestContext.getStore()?.tenant?.id || defaultTenant.id,
+            method: req.method,
+            route: req.route?.path || 'unmatched'
+        };
+        metrics.httpRequests.inc({ ...labels, status });
+        metrics.httpDuration.observe(labels, durationMs / 1000);
+    });
+}
+
+// Mindbody sees the same request ID on every call made for a request
+axios.interceptors.request.use((config) => {
+    const requestId = requestContext.getStore()?.requestId;
+    if (requestId) config.headers['X-Request-Id'] = requestId;
+    return config;
+});
+
+const SECRET_KEY_PATTERN = /token|password|secret|api-?key|authorization/i;
+const PII_KEY_PATTERN = /email|phone|address|birth|postal|zip|username|searchtext/i;
+const EMAIL_PATTERN = /[^\s@"]+@[^\s@"]+\.[^\s@"]+/g;
+// Digit runs with separators (+507 6612-4546); bare numbers and dates are left alone
+const PHONE_PATTERN = /(?<![\w-])\+?\d[\d\s().-]{5,}\d(?![\w-])/g;
+
+function maskPhone(match) {
+    const digits = match.replace(/\D/g, '');
+    if (digits.length < 7 || digits === match || /^\d{4}-\d{2}-\d{2}$/.test(match)) return match;
+    return '[REDACTED_PHONE]';
+}
+
+/**
+ * Deep-copy a value with tokens removed and client PII masked
+ */
+function redactSensitive(value, key = '') {
+    if (value === null || value === undefined) return value;
+    if (SECRET_KEY_PATTERN.test(key)) return '[REDACTED]';
+    if (Array.isArray(value)) return value.map(item => redactSensitive(item, key));
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSensitive(v, k)]));
+    }
+    if (typeof value === 'string') {
+        if (PII_KEY_PATTERN.test(key) && value) return '[REDACTED]';
+        return value.replace(EMAIL_PATTERN, '[REDACTED_EMAIL]').replace(PHONE_PATTERN, maskPhone);
+    }
+    return value;
+}
+
+if (!(CONFIG.logLevel in LOG_LEVELS)) {
+    log.warn('Unknown LOG_LEVEL, using info', { logLevel: CONFIG.logLevel });
+    CONFIG.logLevel = 'info';
+}
+
+// ============================================
+// METRICS
+// ============================================
+// Counters and histograms kept in memory and rendered in the Prometheus text
+// format by GET /metrics. Label values are bounded: route patterns, Mindbody
+// paths without query strings, tenant IDs and status codes.
+
+// Seconds; Mindbody calls usually take 100ms-2s, retries and queueing push past that
+const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+    return {
+        inc(labels = {}, amount = 1) {
+            const values = labelNames.map(label => labels[label] ?? '');
+            const key = JSON.stringify(values);
+            const current = series.get(key) || { values, value: 0 };
+            current.value += amount;
+            series.set(key, current);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            series.forEach(({ values, value }) => lines.push(`${name}${formatLabels(labelNames, values)} ${value}`));
+            return lines.join('\n');
+        }
+    };
+}
+
+function createHistogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    return {
+        observe(labels, seconds) {
+            const values = labelNames.map(label => labels[label] ?? '');
+            const key = JSON.stringify(values);
+            const current = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((le, i) => { if (seconds <= le) current.counts[i]++; });
+            current.sum += seconds;
+            current.count++;
+            series.set(key, current);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            series.forEach(({ values, counts, sum, count }) => {
+                buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${counts[i]}`));
+                lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+            });
+            return lines.join('\n');
+        }
+    };
+}
+
+const metrics = {
+    httpRequests: createCounter('mindbody_proxy_http_requests_total',
+        'Requests served, by route pattern and response status', ['tenant', 'method', 'route', 'status']),
+    httpDuration: createHistogram('mindbody_proxy_http_request_duration_seconds',
+        'Time to respond, by route pattern', ['tenant', 'method', 'route']),
+    upstreamRequests: createCounter('mindbody_proxy_upstream_requests_total',
+        'Mindbody API calls, by endpoint path and response status (or error code)', ['tenant', 'method', 'endpoint', 'status']),
+    upstreamDuration: createHistogram('mindbody_proxy_upstream_request_duration_seconds',
+        'Mindbody API call latency, by endpoint path', ['tenant', 'method', 'endpoint']),
+    tokenRefreshes: createCounter('mindbody_proxy_token_refreshes_total',
+        'Staff token issue attempts', ['tenant', 'outcome']),
+    cacheLookups: createCounter('mindbody_proxy_cache_lookups_total',
+        'Cache lookups by result (hit, miss, coalesced)', ['cache', 'result']),
+    bookings: createCounter('mindbody_proxy_bookings_total',
+        'Booking attempts by mode (direct or request) and outcome', ['tenant', 'mode', 'outcome']),
+    itineraries: createCounter('mindbody_proxy_itineraries_total',
+        'Itinerary bookings by mode and outcome (rolled_back: a leg failed and the rest were cancelled)',
+        ['tenant', 'mode', 'outcome']),
+    groupBookings: createCounter('mindbody_proxy_group_bookings_total',
+        'Group (couples) bookings by mode and outcome (rolled_back: an appointment failed and the rest were cancelled)',
+        ['tenant', 'mode', 'outcome'])
 };
 
+function renderMetrics() {
+    return Object.values(metrics).map(metric => metric.render()).join('\n') + '\n';
+}
+
+if (!CONFIG.sessionSecret) {
+    // Sessions still work, but they won't survive a restart or span several instances
+    log.warn('SESSION_SECRET not set - using a random secret for this process');
+    CONFIG.sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+if (CONFIG.mockMindbody) {
+    const { startMockMindbody, BASE_PATH, MOCK_CREDENTIALS } = require('./mock/mindbody');
+    CONFIG.baseUrl = `http://127.0.0.1:${CONFIG.mockMindbodyPort}${BASE_PATH}`;
+    // Credentials that aren't set fall back to the mock's, so it runs with no env at all
+    ['siteId', 'apiKey', 'username', 'password'].forEach(key => {
+        CONFIG[key] = CONFIG[key] || MOCK_CREDENTIALS[key];
+    });
+    startMockMindbody({ port: CONFIG.mockMindbodyPort })
+        .then(() => log.info('Using mock Mindbody', { baseUrl: CONFIG.baseUrl }))
+        .catch(error => {
+            log.error('Could not start mock Mindbody', errorFields(error));
+            process.exit(1);
+        });
+}
+
+// ============================================
+// TENANTS (one per Mindbody site)
+// ============================================
+
+/**
+ * Tenant config values may reference environment variables as "$VAR_NAME",
+ * so credentials don't have to live in the tenants file.
+ */
+function resolveEnvRef(value) {
+    if (typeof value === 'string' && /^\$[A-Z0-9_]+$/.test(value)) {
+        return process.env[value.slice(1)] || '';
+    }
+    return value;
+}
+
+/**
+ * Load the tenants. Without CONFIG.tenantsFile there is a single "default" tenant
+ * built from the MINDBODY_* environment variables. The file looks like:
+ * 
+ *   { "tenants": [{ "id": "costa-del-este", "default": true, "siteId": "12345",
+ *       "username": "$CDE_USERNAME", "password": "$CDE_PASSWORD",
+ *       "apiKey": "$CDE_API_KEY", "appointmentRequestMode": false,
+ *       "timezone": "America/Panama",
+ *       "hostnames": ["reservas.example.com"], "branding": { "name": "..." } }] }
+ * 
+ * apiKey falls back to MINDBODY_API_KEY when a tenant doesn't set one. Without a
+ * timezone the site's zone is read from /site/locations (see getSiteTimeZone).
+ */
+function loadTenants() {
+    const envTenant = {
+        id: 'default',
+        siteId: CONFIG.siteId,
+        apiKey: CONFIG.apiKey,
+        username: CONFIG.username,
+        password: CONFIG.password,
+        appointmentRequestMode: process.env.APPOINTMENT_REQUEST_MODE === 'true',
+        timezone: process.env.SITE_TIMEZONE || '',
+        hostnames: [],
+        branding: {}
+    };
+    
+    if (!CONFIG.tenantsFile) return [envTenant];
+    
+    const file = JSON.parse(fs.readFileSync(CONFIG.tenantsFile, 'utf8'));
+    const tenants = (file.tenants || []).map(t => ({
+        id: String(t.id),
+        isDefault: !!t.default,
+        siteId: String(resolveEnvRef(t.siteId) || ''),
+        apiKey: resolveEnvRef(t.apiKey) || CONFIG.apiKey,
+        username: resolveEnvRef(t.username) || '',
+        password: resolveEnvRef(t.password) || '',
+        appointmentRequestMode: t.appointmentRequestMode === true,
+        timezone: resolveEnvRef(t.timezone) || '',
+        hostnames: (t.hostnames || []).map(h => h.toLowerCase()),
+        branding: t.branding || {}
+    }));
+    
+    if (!tenants.length) throw new Error(`No tenants defined in ${CONFIG.tenantsFile}`);
+    return tenants;
+}
+
+const tenants = loadTenants();
+const tenantsById = new Map(tenants.map(t => [t.id, t]));
+const defaultTenant = tenants.find(t => t.isDefault) || tenants[0];
+
+/**
+ * Names of the Mindbody settings a tenant is missing (empty when complete)
+ */
+function missingTenantSettings(tenant) {
+    return ['apiKey', 'siteId', 'username', 'password'].filter(key => !tenant[key]);
+}
+
 // Validate required config on startup
-if (!CONFIG.apiKey || !CONFIG.siteId || !CONFIG.username || !CONFIG.password) {
-    console.error('❌ ERROR: Missing required environment variables!');
-    console.error('Required: MINDBODY_API_KEY, MINDBODY_SITE_ID, MINDBODY_USERNAME, MINDBODY_PASSWORD');
+tenants.forEach(tenant => {
+    const missing = missingTenantSettings(tenant);
+    if (missing.length) {
+        log.error('Missing required Mindbody settings', {
+            tenant: tenant.id,
+            missing,
+            required: 'MINDBODY_API_KEY, MINDBODY_SITE_ID, MINDBODY_USERNAME, MINDBODY_PASSWORD (or the tenant\'s siteId, username, password, apiKey)'
+        });
+    }
+    if (tenant.timezone && !isValidTimeZone(tenant.timezone)) {
+        log.error('Unknown time zone, reading it from Mindbody instead', { tenant: tenant.id, timezone: tenant.timezone });
+        tenant.timezone = '';
+    }
+});
+
+/**
+ * Tenant of the request being served (the default tenant outside a request)
+ */
+function currentTenant() {
+    return requestContext.getStore()?.tenant || defaultTenant;
+}
+
+/**
+ * Middleware: select the tenant by path prefix (/t/:tenantId/api/...), then the
+ * X-Tenant-Id header, then the hostname, falling back to the default tenant.
+ */
+function selectTenant(req, res, next) {
+    let requestedId = null;
+    
+    const prefixMatch = req.url.match(/^\/t\/([^/]+)(\/.*)$/);
+    if (prefixMatch) {
+        try {
+            requestedId = decodeURIComponent(prefixMatch[1]);
+        } catch {
+            // Malformed escapes (/t/%E0/...) can't name any tenant
+            return sendError(res, 404, 'UNKNOWN_TENANT', `Unknown tenant "${prefixMatch[1]}"`);
+        }
+        req.url = prefixMatch[2];
+    } else if (req.get('X-Tenant-Id')) {
+        requestedId = req.get('X-Tenant-Id');
+    }
+    
+    let tenant;
+    if (requestedId) {
+        tenant = tenantsById.get(requestedId);
+        if (!tenant) {
+            return sendError(res, 404, 'UNKNOWN_TENANT', `Unknown tenant "${requestedId}"`);
+        }
+    } else {
+        const hostname = (req.hostname || '').toLowerCase();
+        tenant = tenants.find(t => t.hostnames.includes(hostname)) || defaultTenant;
+    }
+    
+    requestContext.getStore().tenant = tenant;
+    next();
 }
 
-// Token cache
-let cachedToken = null;
-let tokenExpiry = null;
+app.use(selectTenant);
+
+// Staff token cache, one per tenant. tokenRequest is the in-flight usertoken/issue
+// call, shared so a burst of requests issues one token.
+const tokenStates = new Map();
+
+function getTokenState(tenant) {
+    if (!tokenStates.has(tenant.id)) {
+        tokenStates.set(tenant.id, { cachedToken: null, tokenExpiry: null, tokenRequest: null });
+    }
+    return tokenStates.get(tenant.id);
+}
 
 /**
  * Get or refresh access token
  */
-async function getAccessToken() {
+async function getAccessToken(tenant = currentTenant()) {
+    const state = getTokenState(tenant);
+    
     // Check if token is still valid (with 5 min buffer)
-    if (cachedToken && tokenExpiry && Date.now() < tokenExpiry - 300000) {
-        return cachedToken;
+    if (state.cachedToken && state.tokenExpiry && Date.now() < state.tokenExpiry - 300000) {
+        return state.cachedToken;
     }
     
+    if (!state.tokenRequest) {
+        state.tokenRequest = issueAccessToken(tenant).finally(() => {
+            state.tokenRequest = null;
+        });
+    }
+    return state.tokenRequest;
+}
+
+async function issueAccessToken(tenant) {
+    const state = getTokenState(tenant);
     try {
-        console.log('🔑 Getting new access token...');
+        log.info('Issuing staff token', { tenant: tenant.id });
+        await acquireMindbodyCall('/usertoken/issue');
         const response = await axios.post(
             `${CONFIG.baseUrl}/usertoken/issue`,
             {
-                Username: CONFIG.username,
-                Password: CONFIG.password
+                Username: tenant.username,
+                Password: tenant.password
             },
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': tenant.apiKey,
+                    'SiteId': tenant.siteId,
                     'Content-Type': 'application/json'
-                }
+                },
+                timeout: CONFIG.upstreamTimeoutMs
             }
         );
         
-        cachedToken = response.data.AccessToken;
+        state.cachedToken = response.data.AccessToken;
         // Token typically expires in 7 days, but refresh more often
-        tokenExpiry = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-        console.log('✅ Token obtained successfully');
-        return cachedToken;
+        state.tokenExpiry = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
+        metrics.tokenRefreshes.inc({ tenant: tenant.id, outcome: 'success' });
+        log.info('Staff token issued', { tenant: tenant.id });
+        return state.cachedToken;
+    } catch (error) {
+        metrics.tokenRefreshes.inc({ tenant: tenant.id, outcome: 'failure' });
+        log.error('Staff token request failed', { tenant: tenant.id, ...errorFields(error) });
+        throw error;
+    }
+}
+
+/**
+ * Forget the cached staff token if it is the one Mindbody just rejected.
+ * (If another request already replaced it, the new token is kept.)
+ */
+function invalidateAccessToken(rejectedToken, tenant = currentTenant()) {
+    const state = getTokenState(tenant);
+    if (state.cachedToken === rejectedToken) {
+        state.cachedToken = null;
+        state.tokenExpiry = null;
+    }
+}
+
+/**
+ * Mindbody answers a revoked or expired token with 401, or with an error code
+ * mentioning the token
+ */
+function isInvalidTokenError(error) {
+    const status = error.response?.status;
+    const code = String(error.response?.data?.Error?.Code || '');
+    return status === 401 || ((status === 400 || status === 403) && /token/i.test(code));
+}
+
+// ============================================
+// OUTBOUND RATE LIMITING
+// ============================================
+
+/**
+ * Every call to Mindbody takes a token from a bucket refilled at
+ * CONFIG.mindbodyCallsPerSecond (up to CONFIG.mindbodyBurst). Bursts wait in a FIFO
+ * queue; a full queue, a long wait or an exhausted daily budget fail the call.
+ * Calls are counted per Mindbody endpoint and per proxy route for /api/admin/usage.
+ */
+const outboundLimiter = {
+    tokens: CONFIG.mindbodyBurst,
+    lastRefill: Date.now(),
+    queue: [],
+    drainTimer: null,
+    day: new Date().toISOString().split('T')[0],
+    dayCount: 0,
+    totalCount: 0,
+    byEndpoint: {},
+    byRoute: {},
+    byTenant: {}
+};
+
+function refillOutboundTokens() {
+    const now = Date.now();
+    const elapsedSeconds = (now - outboundLimiter.lastRefill) / 1000;
+    outboundLimiter.tokens = Math.min(
+        CONFIG.mindbodyBurst,
+        outboundLimiter.tokens + elapsedSeconds * CONFIG.mindbodyCallsPerSecond
+    );
+    outboundLimiter.lastRefill = now;
+    
+    const today = new Date().toISOString().split('T')[0];
+    if (today !== outboundLimiter.day) {
+        outboundLimiter.day = today;
+        outboundLimiter.dayCount = 0;
+    }
+}
+
+function dailyBudgetExhausted() {
+    return CONFIG.mindbodyDailyBudget > 0 && outboundLimiter.dayCount >= CONFIG.mindbodyDailyBudget;
+}
+
+function secondsUntilUtcMidnight() {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight - Date.now()) / 1000);
+}
+
+function countOutboundCall(endpoint, route, tenantId) {
+    const path = endpoint.split('?')[0];
+    outboundLimiter.tokens -= 1;
+    outboundLimiter.dayCount++;
+    outboundLimiter.totalCount++;
+    outboundLimiter.byEndpoint[path] = (outboundLimiter.byEndpoint[path] || 0) + 1;
+    outboundLimiter.byRoute[route] = (outboundLimiter.byRoute[route] || 0) + 1;
+    outboundLimiter.byTenant[tenantId] = (outboundLimiter.byTenant[tenantId] || 0) + 1;
+}
+
+/**
+ * Label of the proxy route currently being served (or "background" for timers)
+ */
+function currentRouteLabel() {
+    const req = requestContext.getStore()?.req;
+    if (!req) return 'background';
+    return `${req.method} ${req.route?.path || req.path}`;
+}
+
+function drainOutboundQueue() {
+    outboundLimiter.drainTimer = null;
+    refillOutboundTokens();
+    
+    while (outboundLimiter.queue.length && outboundLimiter.tokens >= 1) {
+        const waiter = outboundLimiter.queue.shift();
+        clearTimeout(waiter.timeout);
+        if (dailyBudgetExhausted()) {
+            waiter.reject(createUpstreamUnavailableError(secondsUntilUtcMidnight(), 'UPSTREAM_QUOTA_EXHAUSTED'));
+            continue;
+        }
+        countOutboundCall(waiter.endpoint, waiter.route, waiter.tenantId);
+        waiter.resolve();
+    }
+    
+    if (outboundLimiter.queue.length) {
+        const waitMs = Math.ceil(((1 - outboundLimiter.tokens) / CONFIG.mindbodyCallsPerSecond) * 1000);
+        outboundLimiter.drainTimer = setTimeout(drainOutboundQueue, Math.max(waitMs, 1));
+    }
+}
+
+/**
+ * Wait for permission to make one Mindbody call
+ */
+async function acquireMindbodyCall(endpoint) {
+    const route = currentRouteLabel();
+    const tenantId = currentTenant().id;
+    refillOutboundTokens();
+    
+    if (dailyBudgetExhausted()) {
+        log.warn('Daily Mindbody budget exhausted', { endpoint: endpoint.split('?')[0], dailyBudget: CONFIG.mindbodyDailyBudget });
+        throw createUpstreamUnavailableError(secondsUntilUtcMidnight(), 'UPSTREAM_QUOTA_EXHAUSTED');
+    }
+    
+    if (!outboundLimiter.queue.length && outboundLimiter.tokens >= 1) {
+        countOutboundCall(endpoint, route, tenantId);
+        return;
+    }
+    
+    if (outboundLimiter.queue.length >= CONFIG.mindbodyQueueLimit) {
+        throw createUpstreamUnavailableError(1, 'UPSTREAM_RATE_LIMITED');
+    }
+    
+    await new Promise((resolve, reject) => {
+        const waiter = { endpoint, route, tenantId, resolve, reject };
+        waiter.timeout = setTimeout(() => {
+            outboundLimiter.queue.splice(outboundLimiter.queue.indexOf(waiter), 1);
+            reject(createUpstreamUnavailableError(1, 'UPSTREAM_RATE_LIMITED'));
+        }, CONFIG.mindbodyQueueTimeoutMs);
+        outboundLimiter.queue.push(waiter);
+        if (!outboundLimiter.drainTimer) drainOutboundQueue();
+    });
+}
+
+/**
+ * Sort a { key: count } map into [{ key, calls }] (descending)
+ */
+function rankCounts(counts, keyName) {
+    return Object.entries(counts)
+        .map(([key, calls]) => ({ [keyName]: key, calls }))
+        .sort((a, b) => b.calls - a.calls);
+}
+
+// ============================================
+// UPSTREAM RESILIENCE
+// ============================================
+
+/**
+ * Circuit breaker around Mindbody. After CONFIG.circuitFailureThreshold consecutive
+ * failed calls (5xx, 429, timeouts, network errors - after retries) the circuit opens
+ * and calls fail fast with UPSTREAM_UNAVAILABLE. Once the cooldown passes a single
+ * trial call is let through (half-open); its outcome closes or re-opens the circuit.
+ */
+const circuit = {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+    lastFailure: null
+};
+
+function createUpstreamUnavailableError(retryAfterSeconds, code = 'UPSTREAM_UNAVAILABLE') {
+    const error = new Error('Mindbody no está disponible en este momento. Intenta de nuevo en unos minutos.');
+    error.code = code;
+    error.httpStatus = 503;
+    error.retryAfterSeconds = retryAfterSeconds;
+    return error;
+}
+
+/**
+ * Throw UPSTREAM_UNAVAILABLE if the circuit is open; returns true when this call is the half-open trial
+ */
+function enterCircuit() {
+    if (circuit.state === 'closed') return false;
+    
+    const retryAt = circuit.openedAt + CONFIG.circuitCooldownSeconds * 1000;
+    if (circuit.state === 'open' && Date.now() >= retryAt) {
+        circuit.state = 'half_open';
+    }
+    if (circuit.state === 'half_open' && !circuit.trialInFlight) {
+        circuit.trialInFlight = true;
+        return true;
+    }
+    throw createUpstreamUnavailableError(Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)));
+}
+
+function recordUpstreamSuccess() {
+    if (circuit.state !== 'closed') log.info('Mindbody circuit closed');
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+}
+
+function recordUpstreamFailure(error) {
+    circuit.consecutiveFailures++;
+    circuit.trialInFlight = false;
+    circuit.lastFailure = { at: new Date().toISOString(), reason: error.response?.status || error.code || error.message };
+    
+    if (circuit.state === 'half_open' || circuit.consecutiveFailures >= CONFIG.circuitFailureThreshold) {
+        if (circuit.state !== 'open') log.error('Mindbody circuit opened', { consecutiveFailures: circuit.consecutiveFailures, reason: circuit.lastFailure.reason });
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+    }
+}
+
+/**
+ * 429, 5xx, timeouts and network errors are worth retrying; other 4xx are not
+ */
+function isTransientError(error) {
+    const status = error.response?.status;
+    if (!error.response) return true;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Backoff before the next retry: Retry-After when Mindbody sends one, otherwise
+ * exponential with full jitter. Returns null when the wait would be too long to be useful.
+ */
+function getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) {
+            return delay <= CONFIG.upstreamRetryMaxDelayMs ? Math.max(0, delay) : null;
+        }
+    }
+    const ceiling = Math.min(CONFIG.upstreamRetryMaxDelayMs, CONFIG.upstreamRetryBaseMs * 2 ** attempt);
+    return Math.random() * ceiling;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send one logical request through the circuit breaker, retrying idempotent GETs.
+ * Every attempt waits for the outbound limiter first; its refusals (queue full, daily
+ * budget spent) are ours, not Mindbody's, so they are neither retried nor counted
+ * against the circuit.
+ */
+async function sendWithRetry(endpoint, method, data, token) {
+    const isTrial = enterCircuit();
+    const maxRetries = method === 'GET' ? CONFIG.upstreamMaxRetries : 0;
+    
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await acquireMindbodyCall(endpoint);
+        } catch (error) {
+            if (isTrial) circuit.trialInFlight = false;
+            throw error;
+        }
+        
+        try {
+            const result = await sendMindbodyRequest(endpoint, method, data, token);
+            recordUpstreamSuccess();
+            return result;
+        } catch (error) {
+            if (!isTransientError(error)) {
+                // Mindbody answered; it's up even if it didn't like the request
+                recordUpstreamSuccess();
+                throw error;
+            }
+            
+            const delay = attempt < maxRetries && !isTrial ? getRetryDelay(error, attempt) : null;
+            if (delay === null) {
+                recordUpstreamFailure(error);
+                throw error;
+            }
+            
+            log.warn('Mindbody call failed, retrying', { method, endpoint: endpoint.split('?')[0], attempt: attempt + 1, maxRetries, delayMs: Math.round(delay), ...errorFields(error) });
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Make authenticated API call
+ * 
+ * When the server's staff token is used and Mindbody rejects it, the token is
+ * reissued and the call retried once. Caller-supplied tokens are never retried.
+ * Transient failures are retried for GETs and tracked by the circuit breaker.
+ * `anonymous` sends no Authorization header at all (staff login, booking requests).
+ */
+async function callMindbodyAPI(endpoint, method = 'GET', data = null, userToken = null, { anonymous = false } = {}) {
+    if (anonymous) return sendWithRetry(endpoint, method, data, null);
+    
+    const token = userToken || await getAccessToken();
+    
+    try {
+        return await sendWithRetry(endpoint, method, data, token);
+    } catch (error) {
+        if (userToken || !isInvalidTokenError(error)) throw error;
+        
+        log.warn('Staff token rejected, reissuing and retrying once', { method, endpoint: endpoint.split('?')[0] });
+        invalidateAccessToken(token);
+        const freshToken = await getAccessToken();
+        return sendWithRetry(endpoint, method, data, freshToken);
+    }
+}
+
+async function sendMindbodyRequest(endpoint, method, data, token) {
+    const config = {
+        method,
+        url: `${CONFIG.baseUrl}${endpoint}`,
+        headers: {
+            'Api-Key': currentTenant().apiKey,
+            'SiteId': currentTenant().siteId,
+            'Content-Type': 'application/json'
+        },
+        timeout: CONFIG.upstreamTimeoutMs
+    };
+    
+    if (token) {
+        config.headers.Authorization = token;
+    }
+    if (data && method === 'POST') {
+        config.data = data;
+    }
+    
+    // Query strings can carry search text (emails, phone numbers), so only the path is logged
+    const path = endpoint.split('?')[0];
+    const labels = { tenant: currentTenant().id, method, endpoint: path };
+    const startedAt = Date.now();
+    try {
+        const response = await axios(config);
+        const durationMs = Date.now() - startedAt;
+        metrics.upstreamRequests.inc({ ...labels, status: response.status });
+        metrics.upstreamDuration.observe(labels, durationMs / 1000);
+        log.debug('Mindbody call', { method, endpoint: path, status: response.status, durationMs });
+        return response.data;
+    } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        metrics.upstreamRequests.inc({ ...labels, status: error.response?.status || error.code || 'error' });
+        metrics.upstreamDuration.observe(labels, durationMs / 1000);
+        log.debug('Mindbody call failed', { method, endpoint: path, durationMs, ...errorFields(error) });
+        throw error;
+    }
+}
+
+/**
+ * Fetch every page of a paginated Mindbody GET list.
+ * 
+ * The first page tells us TotalResults; the remaining pages are fetched in parallel
+ * (at most CONFIG.paginationConcurrency at a time) up to CONFIG.paginationMaxResults.
+ * Anything not collected is reported through `truncated` rather than dropped silently.
+ */
+async function fetchAllPages(path, params, resultKey, userToken = null, options = {}) {
+    const pageSize = options.pageSize || 100;
+    const maxResults = options.maxResults || CONFIG.paginationMaxResults;
+    const concurrency = Math.max(1, options.concurrency || CONFIG.paginationConcurrency);
+    
+    const fetchPage = async (offset) => {
+        const pagedParams = new URLSearchParams(params);
+        pagedParams.set('limit', String(pageSize));
+        pagedParams.set('offset', String(offset));
+        return callMindbodyAPI(`${path}?${pagedParams.toString()}`, 'GET', null, userToken);
+    };
+    
+    const firstData = await fetchPage(0);
+    const firstItems = firstData[resultKey] || [];
+    const totalResults = firstData.PaginationResponse?.TotalResults ?? firstItems.length;
+    
+    const offsets = [];
+    for (let offset = firstItems.length; offset < Math.min(totalResults, maxResults); offset += pageSize) {
+        offsets.push(offset);
+    }
+    
+    log.debug('Fetching remaining pages', { path, firstPage: firstItems.length, totalResults, morePages: offsets.length });
+    
+    // Small worker pool: each worker takes the next offset until none are left
+    const pages = new Map();
+    const failedOffsets = [];
+    let next = 0;
+    const worker = async () => {
+        while (next < offsets.length) {
+            const offset = offsets[next++];
+            try {
+                const data = await fetchPage(offset);
+                pages.set(offset, data[resultKey] || []);
+            } catch (pageErr) {
+                log.warn('Page fetch failed', { path, offset, ...errorFields(pageErr) });
+                failedOffsets.push(offset);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, offsets.length) }, worker));
+    
+    const items = offsets.reduce((all, offset) => all.concat(pages.get(offset) || []), firstItems.slice());
+    
+    let truncatedReason = null;
+    if (failedOffsets.length) truncatedReason = 'page_error';
+    else if (totalResults > maxResults) truncatedReason = 'max_results';
+    
+    return {
+        items,
+        pagination: {
+            totalResults,
+            fetched: items.length,
+            truncated: items.length < totalResults,
+            truncatedReason: items.length < totalResults ? (truncatedReason || 'incomplete') : null,
+            maxResults,
+            failedOffsets: failedOffsets.sort((a, b) => a - b)
+        }
+    };
+}
+
+/**
+ * Shape a Mindbody appointment the way the booking site expects it
+ */
+function formatClientAppointment(apt) {
+    return {
+        id: apt.Id,
+        startDateTime: withUtcOffset(apt.StartDateTime),
+        endDateTime: withUtcOffset(apt.EndDateTime),
+        serviceName: apt.SessionType?.Name || apt.ServiceName || 'Servicio',
+        staffName: apt.Staff?.Name || `${apt.Staff?.FirstName || ''} ${apt.Staff?.LastName || ''}`.trim() || 'Terapeuta',
+        locationName: apt.Location?.Name || 'Ubicación',
+        status: apt.Status
+    };
+}
+
+// Statuses Mindbody gives an appointment once the client has shown up (or didn't)
+const APPOINTMENT_FINISHED_STATUSES = ['Arrived', 'Completed', 'NoShow'];
+
+/**
+ * Whether an appointment has started or finished, so it can no longer be cancelled or moved
+ */
+function hasAppointmentStarted(appointment) {
+    return APPOINTMENT_FINISHED_STATUSES.includes(appointment.Status) ||
+        siteTimeToEpochMs(appointment.StartDateTime) <= Date.now();
+}
+
+// Days either side of today searched when looking an appointment up by ID. Mindbody
+// limits staffappointments to StartDate-EndDate (today when omitted) even with IDs.
+const APPOINTMENT_LOOKUP_PAST_DAYS = 30;
+const APPOINTMENT_LOOKUP_FUTURE_DAYS = 365;
+
+/**
+ * Look up a single appointment by ID (null if Mindbody doesn't know it)
+ */
+async function getAppointmentById(appointmentId, userToken = null) {
+    const params = new URLSearchParams({
+        AppointmentIds: String(appointmentId),
+        StartDate: addDays(siteToday(), -APPOINTMENT_LOOKUP_PAST_DAYS),
+        EndDate: addDays(siteToday(), APPOINTMENT_LOOKUP_FUTURE_DAYS)
+    });
+    const data = await callMindbodyAPI(
+        `/appointment/staffappointments?${params.toString()}`,
+        'GET',
+        null,
+        userToken
+    );
+    const appointments = data.Appointments || [];
+    return appointments.find(apt => String(apt.Id) === String(appointmentId)) || null;
+}
+
+/**
+ * Create an appointment in Mindbody. Appointment requests (IsRequest: true) are made
+ * as an ANONYMOUS call (no auth token), one of the conditions Mindbody documents for
+ * IsRequest to work.
+ */
+async function addAppointment(appointmentData, userToken = null) {
+    // Booking requests are sent anonymously (no Authorization header)
+    return callMindbodyAPI('/appointment/addappointment', 'POST', appointmentData, userToken, {
+        anonymous: Boolean(appointmentData.IsRequest)
+    });
+}
+
+/**
+ * Cancel appointments created for a multi-appointment booking that could not be
+ * completed; returns the IDs cancelled and the ones Mindbody refused to cancel
+ */
+async function rollBackAppointments(appointmentIds, userToken = null) {
+    const rollback = { cancelled: [], failed: [] };
+    for (const appointmentId of appointmentIds) {
+        try {
+            await callMindbodyAPI(
+                '/appointment/updateappointment',
+                'POST',
+                { AppointmentId: appointmentId, Execute: 'cancel', SendEmail: false },
+                userToken
+            );
+            rollback.cancelled.push(appointmentId);
+        } catch (error) {
+            log.error('Could not roll back appointment', { appointmentId, ...errorFields(error) });
+            rollback.failed.push(appointmentId);
+        }
+    }
+    return rollback;
+}
+
+/**
+ * Create several appointments as one unit (itineraries, group bookings): in order,
+ * and when one fails, cancel the ones already created. Resolves to the created
+ * Mindbody appointments; on failure rejects with the Mindbody error carrying
+ * failedIndex and rollback ({ cancelled, failed }).
+ */
+async function addAppointmentsAtomically(appointments, userToken = null) {
+    const created = [];
+    for (const [i, appointmentData] of appointments.entries()) {
+        try {
+            const data = await addAppointment(appointmentData, userToken);
+            created.push(data.Appointment || {});
+        } catch (error) {
+            const createdIds = created.map(apt => apt.Id).filter(id => id !== undefined && id !== null);
+            error.failedIndex = i;
+            error.rollback = await rollBackAppointments(createdIds, userToken);
+            throw error;
+        }
+    }
+    return created;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ */
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Fetch the bookable-items availability for one staff member on the day of startDateTime
+ */
+async function getBookableItemsForDay({ sessionTypeId, locationId, staffId, startDateTime }, userToken = null) {
+    const day = startDateTime.split('T')[0];
+    const params = new URLSearchParams();
+    params.append('sessionTypeIds', sessionTypeId);
+    if (locationId) params.append('locationIds', locationId);
+    if (staffId) params.append('staffIds', staffId);
+    params.append('startDate', day);
+    params.append('endDate', addDays(day, 1));
+    params.append('limit', '200');
+    
+    const data = await callMindbodyAPI(`/appointment/bookableitems?${params.toString()}`, 'GET', null, userToken);
+    return data.Availabilities || data.ScheduleItems || [];
+}
+
+/**
+ * Check whether startDateTime is one of the start times a staff member's availability
+ * offers (see generateSlots), for the full treatment when the duration is known.
+ * `rules` should carry the step the time was offered with.
+ */
+function isSlotBookable(availabilities, staffId, startDateTime, durationMinutes = null, rules = slotRules()) {
+    return availabilities.some(item => String(item.Staff?.Id) === String(staffId) &&
+        generateSlots(item, rules, durationMinutes).some(slot => slot.startDateTime === startDateTime));
+}
+
+/**
+ * Availability with an appointment's own time handed back to its staff member, for
+ * moving it within or next to its current slot: its time becomes a window, merged
+ * with that staff member's windows it touches (bookable items count it as busy)
+ */
+function withAppointmentTimeFree(availabilities, appointment) {
+    const staffId = String(appointment.StaffId ?? appointment.Staff?.Id);
+    if (!appointment.StartDateTime || !appointment.EndDateTime) return availabilities;
+    
+    const template = availabilities.find(item => String(item.Staff?.Id) === staffId) || {
+        Staff: appointment.Staff || { Id: Number(staffId) },
+        SessionType: appointment.SessionType || { Id: appointment.SessionTypeId },
+        Location: appointment.Location || { Id: appointment.LocationId }
+    };
+    let freed = { ...template, StartDateTime: appointment.StartDateTime, EndDateTime: appointment.EndDateTime };
+    const others = [];
+    
+    [...availabilities]
+        .sort((a, b) => wallClockMs(a.StartDateTime) - wallClockMs(b.StartDateTime))
+        .forEach(item => {
+            const touches = String(item.Staff?.Id) === staffId &&
+                wallClockMs(item.StartDateTime) <= wallClockMs(freed.EndDateTime) &&
+                wallClockMs(item.EndDateTime) >= wallClockMs(freed.StartDateTime);
+            if (!touches) return others.push(item);
+            freed = {
+                ...freed,
+                StartDateTime: wallClockMs(item.StartDateTime) < wallClockMs(freed.StartDateTime) ? item.StartDateTime : freed.StartDateTime,
+                EndDateTime: wallClockMs(item.EndDateTime) > wallClockMs(freed.EndDateTime) ? item.EndDateTime : freed.EndDateTime
+            };
+        });
+    return [...others, freed];
+}
+
+/**
+ * Find the offered start times closest to startDateTime that a staff member can
+ * still take, one candidate per availability window
+ */
+function findNearestSlots(availabilities, staffId, startDateTime, durationMinutes = null, rules = slotRules(), limit = 3) {
+    const requested = wallClockMs(startDateTime);
+    const candidates = new Map();
+    
+    availabilities.forEach(item => {
+        if (String(item.Staff?.Id) !== String(staffId)) return;
+        const nearest = generateSlots(item, rules, durationMinutes)
+            .filter(slot => slot.startDateTime !== startDateTime)
+            .sort((a, b) => Math.abs(wallClockMs(a.startDateTime) - requested) - Math.abs(wallClockMs(b.startDateTime) - requested))[0];
+        if (!nearest || candidates.has(wallClockMs(nearest.startDateTime))) return;
+        candidates.set(wallClockMs(nearest.startDateTime), {
+            startDateTime: withUtcOffset(nearest.startDateTime),
+            endDateTime: withUtcOffset(nearest.endDateTime),
+            staffId: item.Staff.Id,
+            staffName: `${item.Staff.FirstName || ''} ${item.Staff.LastName || ''}`.trim(),
+            locationId: item.Location?.Id || null
+        });
+    });
+    
+    return Array.from(candidates.entries())
+        .sort((a, b) => Math.abs(a[0] - requested) - Math.abs(b[0] - requested))
+        .slice(0, limit)
+        .map(([, slot]) => slot);
+}
+
+// ============================================
+// SITE TIME
+// ============================================
+// Mindbody date-times are the site's wall-clock time with no offset: a 14:30
+// appointment at a Panama spa is "2026-10-20T14:30:00". "Today" and "now" are
+// worked out in the tenant's time zone, and wall-clock times are only turned into
+// instants (to compare with Date.now()) through that zone.
+
+const timeZoneStates = new Map();
+const zoneFormatters = new Map();
+// A failed /site/locations lookup is retried after this long; UTC is used meanwhile
+const TIME_ZONE_RETRY_MS = 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock time of an instant in timeZone, as YYYY-MM-DDTHH:mm:ss
+ */
+function formatInTimeZone(ms, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        // en-CA writes dates as YYYY-MM-DD
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    return zoneFormatters.get(timeZone).format(new Date(ms)).replace(', ', 'T');
+}
+
+/**
+ * Wall-clock date-times as plain numbers, for arithmetic between them (durations,
+ * nearest slot) without any zone or DST getting involved
+ */
+const wallClockMs = (localDateTime) => Date.parse(`${localDateTime.slice(0, 19)}Z`);
+const formatWallClock = (ms) => new Date(ms).toISOString().slice(0, 19);
+
+/**
+ * The site's time zone: the tenant's timezone setting, else the TimeZone Mindbody
+ * reports on the site's locations, else UTC. Looked up once per tenant.
+ */
+async function getSiteTimeZone(tenant = currentTenant()) {
+    if (tenant.timezone) return tenant.timezone;
+    
+    let state = timeZoneStates.get(tenant.id);
+    if (!state || (!state.timeZone && !state.request && Date.now() >= state.retryAt)) {
+        state = { timeZone: null, retryAt: 0, request: null };
+        timeZoneStates.set(tenant.id, state);
+        state.request = callMindbodyAPI('/site/locations')
+            .then(data => {
+                const timeZone = (data.Locations || []).map(l => l.TimeZone).find(tz => tz && isValidTimeZone(tz));
+                if (!timeZone) log.warn('No time zone on the site\'s locations, using UTC; set the tenant timezone (SITE_TIMEZONE)');
+                state.timeZone = timeZone || 'UTC';
+            })
+            .catch(error => {
+                log.warn('Could not read the site time zone, using UTC for now', errorFields(error));
+                state.retryAt = Date.now() + TIME_ZONE_RETRY_MS;
+            })
+            .finally(() => {
+                state.request = null;
+            });
+    }
+    if (state.request) await state.request;
+    return state.timeZone || 'UTC';
+}
+
+/**
+ * Middleware: resolve the site's time zone before routes that deal in dates,
+ * so validation and handlers can use the synchronous helpers below
+ */
+async function withSiteTimeZone(req, res, next) {
+    requestContext.getStore().timeZone = await getSiteTimeZone();
+    next();
+}
+
+/**
+ * Time zone of the request being served (resolved by withSiteTimeZone)
+ */
+function currentTimeZone() {
+    return requestContext.getStore()?.timeZone || currentTenant().timezone || 'UTC';
+}
+
+/**
+ * Current wall-clock time at the site (YYYY-MM-DDTHH:mm:ss), and today's date there
+ */
+const siteNow = () => formatInTimeZone(Date.now(), currentTimeZone());
+const siteToday = () => siteNow().slice(0, 10);
+
+/**
+ * UTC offset of the site at a wall-clock time, in minutes (Panama: -300).
+ * Evaluated at the instant itself, so DST changes between now and then count.
+ */
+function siteUtcOffsetMinutes(localDateTime, timeZone = currentTimeZone()) {
+    const wallClock = wallClockMs(localDateTime);
+    const offsetAt = (instant) => (wallClockMs(formatInTimeZone(instant, timeZone)) - instant) / 60000;
+    return offsetAt(wallClock - offsetAt(wallClock) * 60000);
+}
+
+/**
+ * The instant (ms since epoch) a site wall-clock time refers to
+ */
+function siteTimeToEpochMs(localDateTime, timeZone = currentTimeZone()) {
+    return wallClockMs(localDateTime) - siteUtcOffsetMinutes(localDateTime, timeZone) * 60000;
+}
+
+/**
+ * A Mindbody wall-clock time with the site's UTC offset attached
+ * ("2026-10-20T14:30:00" -> "2026-10-20T14:30:00-05:00"), for responses
+ */
+function withUtcOffset(localDateTime, timeZone = currentTimeZone()) {
+    if (!localDateTime) return localDateTime;
+    const offset = siteUtcOffsetMinutes(localDateTime, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    const sign = offset < 0 ? '-' : '+';
+    return `${localDateTime.slice(0, 19)}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// ============================================
+// CACHING
+// ============================================
+
+/**
+ * In-memory TTL cache with request coalescing: concurrent loads of the same key
+ * share one in-flight promise. Entries carry metadata so callers can invalidate
+ * by predicate (e.g. every entry covering a given day).
+ *
+ * Expired entries are dropped when looked up and swept every minute, and at most
+ * `maxEntries` are kept (oldest first out), so varied queries can't grow the heap.
+ */
+function createCache(name, ttlMs, maxEntries = Infinity) {
+    const entries = new Map();
+    const inflight = new Map();
+    const stats = { hits: 0, misses: 0, coalesced: 0 };
+    
+    const pruneExpired = () => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    };
+    setInterval(pruneExpired, 60 * 1000).unref();
+    
+    const store = (key, entry) => {
+        // Re-inserted so the Map's order stays oldest-first
+        entries.delete(key);
+        if (entries.size >= maxEntries) pruneExpired();
+        while (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+        entries.set(key, entry);
+    };
+    
+    return {
+        stats,
+        async getOrLoad(key, loader, meta = {}) {
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                stats.hits++;
+                metrics.cacheLookups.inc({ cache: name, result: 'hit' });
+                return { value: entry.value, cacheStatus: 'HIT' };
+            }
+            if (entry) entries.delete(key);
+            if (inflight.has(key)) {
+                stats.coalesced++;
+                metrics.cacheLookups.inc({ cache: name, result: 'coalesced' });
+                return { value: await inflight.get(key).promise, cacheStatus: 'COALESCED' };
+            }
+            
+            stats.misses++;
+            metrics.cacheLookups.inc({ cache: name, result: 'miss' });
+            const load = { promise: loader(), meta };
+            inflight.set(key, load);
+            try {
+                const value = await load.promise;
+                // A load invalidated while in flight is returned but not stored
+                if (inflight.get(key) === load) {
+                    store(key, { value, meta, expiresAt: Date.now() + ttlMs });
+                }
+                return { value, cacheStatus: 'MISS' };
+            } finally {
+                if (inflight.get(key) === load) inflight.delete(key);
+            }
+        },
+        invalidate(predicate = () => true) {
+            let removed = 0;
+            for (const [key, entry] of entries) {
+                if (predicate(entry.meta)) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+            // Drop matching in-flight loads so they aren't stored once they finish
+            for (const [key, load] of inflight) {
+                if (predicate(load.meta)) inflight.delete(key);
+            }
+            return removed;
+        },
+        size: () => entries.size
+    };
+}
+
+const availabilityCache = createCache('availability', CONFIG.availabilityCacheTtlSeconds * 1000, CONFIG.availabilityCacheMaxEntries);
+
+/**
+ * All bookable items for a query (every page), served from the availability cache when fresh
+ */
+function getBookableItems(query, userToken = null) {
+    const meta = {
+        tenantId: currentTenant().id,
+        sessionTypeIds: query.sessionTypeIds || '',
+        locationIds: query.locationIds || '',
+        staffIds: query.staffIds || '',
+        start: query.start,
+        end: query.end
+    };
+    
+    const params = new URLSearchParams();
+    if (meta.sessionTypeIds) params.append('sessionTypeIds', meta.sessionTypeIds);
+    if (meta.locationIds) params.append('locationIds', meta.locationIds);
+    if (meta.staffIds) params.append('staffIds', meta.staffIds);
+    params.append('startDate', meta.start);
+    params.append('endDate', meta.end);
+    
+    return availabilityCache.getOrLoad(
+        JSON.stringify(meta),
+        () => fetchAllPages('/appointment/bookableitems', params, 'Availabilities', userToken),
+        meta
+    );
+}
+
+/**
+ * Drop cached availability covering a day (YYYY-MM-DD) after a booking changes it
+ */
+function invalidateAvailability(day) {
+    const tenantId = currentTenant().id;
+    const removed = availabilityCache.invalidate(meta => meta.tenantId === tenantId && meta.start <= day && day <= meta.end);
+    if (removed) log.info('Invalidated cached availability', { day, entries: removed });
+}
+
+// ============================================
+// SLOT GENERATION
+// ============================================
+// Mindbody returns availability windows ("Ana is free 09:00-13:00"); clients book
+// start times. Every availability route, next-available and the booking checks
+// expand windows the same way, so a time that is offered can be booked.
+
+const SLOT_STEPS = [15, 30, 60];
+if (!SLOT_STEPS.includes(CONFIG.slotStepMinutes)) {
+    log.warn('SLOT_STEP_MINUTES must be 15, 30 or 60, using 15', { slotStepMinutes: CONFIG.slotStepMinutes });
+    CONFIG.slotStepMinutes = 15;
+}
+
+/**
+ * The slot rules as of now at the site; stepMinutes can be chosen per request
+ */
+function slotRules(stepMinutes = CONFIG.slotStepMinutes) {
+    return {
+        stepMinutes,
+        paddingBeforeMinutes: CONFIG.slotPaddingBeforeMinutes,
+        paddingAfterMinutes: CONFIG.slotPaddingAfterMinutes,
+        earliestStart: formatWallClock(wallClockMs(siteNow()) + CONFIG.bookingLeadTimeMinutes * 60000),
+        lastDay: addDays(siteToday(), CONFIG.bookingHorizonDays)
+    };
+}
+
+/**
+ * Start times (site wall-clock) offered inside one availability window: on the clock
+ * every stepMinutes, with the padding free on both sides of the treatment, no sooner
+ * than the lead time and no later than the horizon's last day. The treatment lasts
+ * durationMinutes, else the session type's DefaultTimeLength; when neither is known
+ * a start only has to fall inside the window (and endDateTime is null).
+ */
+function generateSlots(item, rules, durationMinutes = null) {
+    const length = (durationMinutes || item.SessionType?.DefaultTimeLength || 0) * 60000;
+    const step = rules.stepMinutes * 60000;
+    const earliest = Math.max(
+        wallClockMs(item.StartDateTime) + rules.paddingBeforeMinutes * 60000,
+        wallClockMs(rules.earliestStart)
+    );
+    const latest = Math.min(
+        wallClockMs(item.EndDateTime) - (length ? length + rules.paddingAfterMinutes * 60000 : 1),
+        wallClockMs(`${rules.lastDay}T23:59:59`)
+    );
+    
+    const slots = [];
+    for (let start = Math.ceil(earliest / step) * step; start <= latest; start += step) {
+        slots.push({
+            startDateTime: formatWallClock(start),
+            endDateTime: length ? formatWallClock(start + length) : null
+        });
+    }
+    return slots;
+}
+
+/**
+ * Windows that still offer at least one start time
+ */
+function bookableWindows(items, rules) {
+    return items.filter(item => generateSlots(item, rules).length > 0);
+}
+
+/**
+ * Expand windows into start times, one entry per staff member and day (by day, then
+ * staff ID), each with its slots in time order and with the site's UTC offset
+ */
+function slotsByStaffAndDay(items, rules) {
+    const groups = new Map();
+    
+    items.forEach(item => {
+        if (!item.Staff) return;
+        const slots = generateSlots(item, rules);
+        if (!slots.length) return;
+        
+        const date = item.StartDateTime.slice(0, 10);
+        const key = `${date}|${item.Staff.Id}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                date,
+                staffId: item.Staff.Id,
+                staffName: `${item.Staff.FirstName || ''} ${item.Staff.LastName || ''}`.trim(),
+                slots: []
+            });
+        }
+        groups.get(key).slots.push(...slots.map(slot => ({
+            startDateTime: withUtcOffset(slot.startDateTime),
+            endDateTime: withUtcOffset(slot.endDateTime),
+            sessionTypeId: item.SessionType?.Id ?? null,
+            locationId: item.Location?.Id || null
+        })));
+    });
+    
+    return Array.from(groups.values())
+        .sort((a, b) => a.date.localeCompare(b.date) || a.staffId - b.staffId)
+        .map(group => ({
+            ...group,
+            slots: group.slots.sort((a, b) => a.startDateTime.localeCompare(b.startDateTime) || a.sessionTypeId - b.sessionTypeId)
+        }));
+}
+
+/**
+ * Cross-field check for the availability routes: date order and the slot step
+ */
+function checkAvailabilityQuery(input) {
+    if (input.step !== undefined && !SLOT_STEPS.includes(input.step)) {
+        return { field: 'step', message: `step must be one of: ${SLOT_STEPS.join(', ')}` };
+    }
+    return checkDateRange(input);
+}
+
+// ============================================
+// NEXT AVAILABLE
+// ============================================
+// "When is the soonest I can get a massage?": availabledates says which days have
+// anything at all, then bookable items are fetched one day at a time until enough
+// slots turn up.
+
+// Mindbody's availabledates covers at most 30 days per call
+const AVAILABLE_DATES_SPAN_DAYS = 30;
+// Limits on GET /api/next-available's days (horizon) and limit (slots returned)
+const NEXT_AVAILABLE_MAX_DAYS = 90;
+const NEXT_AVAILABLE_MAX_LIMIT = 20;
+
+/**
+ * Days (YYYY-MM-DD) from start to end with availability for any of the session types.
+ * availabledates takes one session type, location and staff member per call, so the
+ * location and staff filters are only passed on when there is exactly one of them.
+ */
+async function getAvailableDays({ sessionTypeIds, locationIds, staffIds, start, end }, userToken = null) {
+    const single = (list) => list && !list.includes(',') ? list : null;
+    const requests = [];
+    
+    sessionTypeIds.split(',').forEach(sessionTypeId => {
+        for (let from = start; from <= end; from = addDays(from, AVAILABLE_DATES_SPAN_DAYS)) {
+            const to = addDays(from, AVAILABLE_DATES_SPAN_DAYS - 1);
+            const params = new URLSearchParams({ sessionTypeId, startDate: from, endDate: to < end ? to : end });
+            if (single(locationIds)) params.append('locationId', locationIds);
+            if (single(staffIds)) params.append('staffId', staffIds);
+            requests.push(callMindbodyAPI(`/appointment/availabledates?${params.toString()}`, 'GET', null, userToken));
+        }
+    });
+    
+    const days = new Set();
+    (await Promise.all(requests)).forEach(data => {
+        (data.AvailableDates || []).forEach(date => days.add(String(date).slice(0, 10)));
+    });
+    return Array.from(days).filter(day => day >= start && day <= end).sort();
+}
+
+/**
+ * Every start time an availability window offers (see generateSlots), each with the
+ * staff, session type and location details
+ */
+function slotsInWindow(item, rules) {
+    return generateSlots(item, rules).map(slot => ({
+        startDateTime: withUtcOffset(slot.startDateTime),
+        endDateTime: withUtcOffset(slot.endDateTime),
+        sessionType: {
+            id: item.SessionType?.Id,
+            name: item.SessionType?.Name || 'Servicio',
+            durationMinutes: item.SessionType?.DefaultTimeLength || null
+        },
+        staff: {
+            id: item.Staff.Id,
+            name: `${item.Staff.FirstName || ''} ${item.Staff.LastName || ''}`.trim(),
+            gender: item.Staff.Gender || null,
+            imageUrl: item.Staff.ImageUrl || null
+        },
+        location: {
+            id: item.Location?.Id || null,
+            name: item.Location?.Name || null
+        }
+    }));
+}
+
+/**
+ * Scan forward from start, day by day, for the first `limit` slots matching the
+ * session types and the optional location, staff and gender preferences
+ */
+async function findNextAvailable({ sessionTypeIds, locationIds, staffIds, gender, start, end, limit, rules }, userToken = null) {
+    const days = await getAvailableDays({ sessionTypeIds, locationIds, staffIds, start, end }, userToken);
+    const slots = [];
+    let daysChecked = 0;
+    
+    for (const day of days) {
+        if (slots.length >= limit) break;
+        daysChecked++;
+        
+        const { value } = await getBookableItems(
+            { sessionTypeIds, locationIds, staffIds, start: day, end: addDays(day, 1) },
+            userToken
+        );
+        const daySlots = value.items
+            .filter(item => item.Staff && item.StartDateTime.startsWith(day))
+            .filter(item => !gender || String(item.Staff.Gender || '').toLowerCase() === gender)
+            .flatMap(item => slotsInWindow(item, rules))
+            .sort((a, b) => a.startDateTime.localeCompare(b.startDateTime) || a.staff.id - b.staff.id);
+        slots.push(...daySlots);
+    }
+    
+    return { slots: slots.slice(0, limit), availableDays: days.length, daysChecked };
+}
+
+// ============================================
+// ITINERARIES (back-to-back treatments)
+// ============================================
+// A visit of several treatments in a row ("massage + facial") at one location.
+// Each leg starts when the previous one ends (rounded up to the slot step), with the
+// same or a different therapist. A therapist who keeps the client for the next leg
+// needs no padding in between, as there is no turnover.
+
+const ITINERARY_MAX_LEGS = 4;
+const ITINERARY_MAX_OPTIONS = 20;
+
+/**
+ * Availability windows for one day and one or more session types. `fresh` skips the
+ * availability cache, for bookings that re-check against Mindbody itself.
+ */
+async function getDayAvailability({ sessionTypeIds, locationIds, day }, userToken = null, { fresh = false } = {}) {
+    const query = { sessionTypeIds, locationIds, start: day, end: addDays(day, 1) };
+    if (!fresh) return (await getBookableItems(query, userToken)).value.items;
+    
+    const params = new URLSearchParams({ sessionTypeIds, startDate: query.start, endDate: query.end });
+    if (locationIds) params.append('locationIds', locationIds);
+    return (await fetchAllPages('/appointment/bookableitems', params, 'Availabilities', userToken)).items;
+}
+
+/**
+ * Offered start times (see generateSlots) by session type, location and start time,
+ * each with the windows (staff members) offering it
+ */
+function indexOfferedSlots(items, rules) {
+    const index = new Map();
+    items.forEach(item => {
+        if (!item.Staff) return;
+        generateSlots(item, rules).forEach(slot => {
+            const key = `${item.SessionType?.Id}|${item.Location?.Id || ''}|${slot.startDateTime}`;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push({ item, endDateTime: slot.endDateTime });
+        });
+    });
+    return index;
+}
+
+/**
+ * Back-to-back itineraries for sessionTypeIds (in order) starting on `day`, soonest
+ * first. startDateTime pins the first leg's start and staffIds (one per leg) the
+ * therapists; otherwise each leg keeps the previous leg's therapist when they are
+ * free, or takes the lowest staff ID that is.
+ */
+function findItineraries(items, sessionTypeIds, { rules, day, startDateTime = null, staffIds = null, limit = Infinity }) {
+    const index = indexOfferedSlots(items, rules);
+    const step = rules.stepMinutes * 60000;
+    
+    const firstLegs = Array.from(index.keys())
+        .map(key => key.split('|'))
+        .filter(([sessionTypeId, , start]) => sessionTypeId === String(sessionTypeIds[0]) &&
+            start.startsWith(day) && (!startDateTime || start === startDateTime))
+        .sort((a, b) => a[2].localeCompare(b[2]) || Number(a[1]) - Number(b[1]));
+    
+    const itineraries = [];
+    for (const [, locationKey, firstStart] of firstLegs) {
+        if (itineraries.length >= limit) break;
+        
+        const legs = [];
+        let start = firstStart;
+        for (const [i, sessionTypeId] of sessionTypeIds.entries()) {
+            const offers = (index.get(`${sessionTypeId}|${locationKey}|${start}`) || [])
+                .filter(offer => offer.endDateTime && (!staffIds || String(offer.item.Staff.Id) === String(staffIds[i])))
+                .sort((a, b) => a.item.Staff.Id - b.item.Staff.Id);
+            const offer = offers.find(o => o.item.Staff.Id === legs[i - 1]?.staffId) || offers[0];
+            if (!offer) break;
+            
+            legs.push({
+                sessionTypeId: offer.item.SessionType.Id,
+                sessionTypeName: offer.item.SessionType.Name || 'Servicio',
+                staffId: offer.item.Staff.Id,
+                staffName: `${offer.item.Staff.FirstName || ''} ${offer.item.Staff.LastName || ''}`.trim(),
+                startDateTime: start,
+                endDateTime: offer.endDateTime
+            });
+            start = formatWallClock(Math.ceil(wallClockMs(offer.endDateTime) / step) * step);
+        }
+        
+        if (legs.length === sessionTypeIds.length) {
+            itineraries.push({
+                locationId: locationKey ? Number(locationKey) : null,
+                startDateTime: legs[0].startDateTime,
+                endDateTime: legs[legs.length - 1].endDateTime,
+                legs
+            });
+        }
+    }
+    return itineraries;
+}
+
+/**
+ * An itinerary as returned to the client, with the site's UTC offset on every time
+ */
+function formatItinerary(itinerary) {
+    return {
+        ...itinerary,
+        startDateTime: withUtcOffset(itinerary.startDateTime),
+        endDateTime: withUtcOffset(itinerary.endDateTime),
+        legs: itinerary.legs.map(leg => ({
+            ...leg,
+            startDateTime: withUtcOffset(leg.startDateTime),
+            endDateTime: withUtcOffset(leg.endDateTime)
+        }))
+    };
+}
+
+/**
+ * Cross-field check for the itinerary routes: 1 to ITINERARY_MAX_LEGS legs, one staff
+ * ID per leg when staffIds is given, and the usual slot step and limit rules
+ */
+function checkItineraryInput(input) {
+    const legs = input.sessionTypeIds.split(',');
+    if (legs.length > ITINERARY_MAX_LEGS) {
+        return { field: 'sessionTypeIds', message: `sessionTypeIds must list at most ${ITINERARY_MAX_LEGS} treatments` };
+    }
+    if (input.staffIds && input.staffIds.split(',').length !== legs.length) {
+        return { field: 'staffIds', message: 'staffIds must list one staff ID per treatment in sessionTypeIds' };
+    }
+    if (input.limit !== undefined && (input.limit < 1 || input.limit > ITINERARY_MAX_OPTIONS)) {
+        return { field: 'limit', message: `limit must be between 1 and ${ITINERARY_MAX_OPTIONS}` };
+    }
+    return checkAvailabilityQuery(input);
+}
+
+// ============================================
+// GROUP BOOKINGS (couples and groups)
+// ============================================
+// A couples massage is two appointments of the same session type, at the same time
+// and location, with two different therapists. A group slot is a start time where
+// at least `size` therapists offer the session type side by side.
+
+const GROUP_MIN_SIZE = 2;
+const GROUP_MAX_SIZE = 6;
+
+/**
+ * Start times where at least `size` distinct therapists offer the (single) session
+ * type in items at the same location, soonest first. Each slot lists every therapist
+ * free then, lowest staff ID first; startDateTime keeps only that start time.
+ */
+function findGroupSlots(items, { size, rules, startDateTime = null }) {
+    const slots = [];
+    indexOfferedSlots(items, rules).forEach((offers, key) => {
+        const [sessionTypeId, locationKey, start] = key.split('|');
+        if (startDateTime && start !== startDateTime) return;
+        
+        const staff = new Map();
+        offers.filter(offer => offer.endDateTime).forEach(offer => {
+            if (!staff.has(offer.item.Staff.Id)) staff.set(offer.item.Staff.Id, offer);
+        });
+        if (staff.size < size) return;
+        
+        const free = Array.from(staff.values()).sort((a, b) => a.item.Staff.Id - b.item.Staff.Id);
+        slots.push({
+            sessionTypeId: Number(sessionTypeId),
+            locationId: locationKey ? Number(locationKey) : null,
+            startDateTime: start,
+            endDateTime: free[0].endDateTime,
+            staff: free.map(offer => ({
+                staffId: offer.item.Staff.Id,
+                staffName: `${offer.item.Staff.FirstName || ''} ${offer.item.Staff.LastName || ''}`.trim()
+            }))
+        });
+    });
+    return slots.sort((a, b) => a.startDateTime.localeCompare(b.startDateTime) || a.locationId - b.locationId);
+}
+
+/**
+ * A group slot as returned to the client, with the site's UTC offset on its times
+ */
+function formatGroupSlot(slot) {
+    return {
+        ...slot,
+        startDateTime: withUtcOffset(slot.startDateTime),
+        endDateTime: withUtcOffset(slot.endDateTime)
+    };
+}
+
+/**
+ * Cross-field check for the group routes: size within GROUP_MIN_SIZE..GROUP_MAX_SIZE,
+ * one client and one staff ID per appointment when those lists are given, and the
+ * usual slot step rule
+ */
+function checkGroupInput(input) {
+    const size = input.size ?? input.clientIds?.split(',').length ?? GROUP_MIN_SIZE;
+    if (size < GROUP_MIN_SIZE || size > GROUP_MAX_SIZE) {
+        return { field: 'size', message: `size must be between ${GROUP_MIN_SIZE} and ${GROUP_MAX_SIZE}` };
+    }
+    if (input.clientIds && input.clientIds.split(',').length !== size) {
+        return { field: 'clientIds', message: 'clientIds must list one client ID per appointment (size)' };
+    }
+    if (input.staffIds) {
+        const staffIds = input.staffIds.split(',');
+        if (staffIds.length !== size || new Set(staffIds).size !== size) {
+            return { field: 'staffIds', message: 'staffIds must list a different staff ID for each appointment (size)' };
+        }
+    }
+    return checkAvailabilityQuery(input);
+}
+
+// ============================================
+// CATALOG (programs, services, session types)
+// ============================================
+
+/**
+ * The catalog changes rarely, so it is loaded once, refreshed on a schedule
+ * (CONFIG.catalogRefreshMinutes) or via the admin route, and the last good copy
+ * keeps being served when Mindbody is down. Session types are kept per location.
+ */
+const catalogStates = new Map();
+
+function getCatalogState(tenant = currentTenant()) {
+    if (!catalogStates.has(tenant.id)) {
+        catalogStates.set(tenant.id, {
+            programs: null,
+            servicesPrices: null,
+            servicesDescriptions: null,
+            sessionTypes: new Map(),
+            versions: new Map(),
+            updatedAt: null,
+            lastError: null,
+            refreshing: null
+        });
+    }
+    return catalogStates.get(tenant.id);
+}
+
+async function fetchCatalogPrograms() {
+    // Only include programs with ScheduleType "Appointment" (online bookable)
+    // ScheduleType can be: "All", "Class", "Enrollment", "Appointment", "Resource", "Media", "Arrival"
+    const data = await callMindbodyAPI('/site/programs', 'GET');
+    const programs = {};
+    (data.Programs || []).forEach(prog => {
+        if (prog.ScheduleType === 'Appointment') {
+            programs[prog.Id] = prog.Name;
+        }
+    });
+    log.debug('Online-bookable programs', { programs: Object.values(programs) });
+    return programs;
+}
+
+async function fetchCatalogServices() {
+    // Price before tax = Price - TaxIncluded; prices and descriptions are matched by name
+    const data = await callMindbodyAPI('/sale/services', 'GET');
+    const servicesPrices = {};
+    const servicesDescriptions = {};
+    (data.Services || []).forEach(svc => {
+        if (svc.Price) {
+            servicesPrices[svc.Name] = svc.Price - (svc.TaxIncluded || 0);
+        }
+        // Check OnlineDescription first, then Description
+        const desc = svc.OnlineDescription || svc.Description || null;
+        if (desc) {
+            servicesDescriptions[svc.Name] = desc;
+        }
+    });
+    log.debug('Services loaded', { withPrices: Object.keys(servicesPrices).length, withDescriptions: Object.keys(servicesDescriptions).length });
+    return { servicesPrices, servicesDescriptions };
+}
+
+async function fetchCatalogSessionTypes(locationKey) {
+    // Always filter for online-only session types
+    const params = new URLSearchParams();
+    params.append('OnlineOnly', 'true');
+    if (locationKey) params.append('LocationIds', locationKey);
+    
+    const data = await callMindbodyAPI(`/site/sessiontypes?${params.toString()}`, 'GET');
+    return data.SessionTypes || [];
+}
+
+/**
+ * Reload every catalog section. A section that fails keeps its previous value;
+ * programs and services are optional (as they always were), session types are not.
+ */
+function refreshCatalog(reason = 'scheduled', locationKeys = null) {
+    const catalogState = getCatalogState();
+    if (catalogState.refreshing) return catalogState.refreshing;
+    
+    catalogState.refreshing = (async () => {
+        log.info('Refreshing catalog', { reason });
+        const keys = locationKeys || Array.from(new Set(['', ...catalogState.sessionTypes.keys()]));
+        const [programs, services, ...sessionTypes] = await Promise.allSettled([
+            fetchCatalogPrograms(),
+            fetchCatalogServices(),
+            ...keys.map(fetchCatalogSessionTypes)
+        ]);
+        
+        const failures = [];
+        if (programs.status === 'fulfilled') {
+            catalogState.programs = programs.value;
+        } else {
+            log.warn('Could not fetch programs', errorFields(programs.reason));
+            catalogState.programs = catalogState.programs || {};
+            failures.push(programs.reason);
+        }
+        
+        if (services.status === 'fulfilled') {
+            catalogState.servicesPrices = services.value.servicesPrices;
+            catalogState.servicesDescriptions = services.value.servicesDescriptions;
+        } else {
+            log.warn('Could not fetch services', errorFields(services.reason));
+            catalogState.servicesPrices = catalogState.servicesPrices || {};
+            catalogState.servicesDescriptions = catalogState.servicesDescriptions || {};
+            failures.push(services.reason);
+        }
+        
+        let sessionTypesError = null;
+        sessionTypes.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                catalogState.sessionTypes.set(keys[i], result.value);
+            } else {
+                log.warn('Could not fetch session types', { locationId: keys[i] || 'all', ...errorFields(result.reason) });
+                sessionTypesError = sessionTypesError || result.reason;
+                failures.push(result.reason);
+            }
+        });
+        
+        catalogState.versions.clear();
+        catalogState.lastError = failures.length ? failures[0].message : null;
+        if (sessionTypesError) throw sessionTypesError;
+        
+        catalogState.updatedAt = new Date().toISOString();
+        log.info('Catalog refreshed', {
+            sessionTypes: Object.fromEntries(keys.map(k => [k || 'all', catalogState.sessionTypes.get(k).length]))
+        });
+    })().finally(() => {
+        catalogState.refreshing = null;
+    });
+    
+    return catalogState.refreshing;
+}
+
+/**
+ * Get the catalog for a location, loading it on first use.
+ * Returns the last good copy (stale: true) if a load fails but one exists.
+ */
+async function getCatalog(locationId) {
+    const catalogState = getCatalogState();
+    const locationKey = locationId ? String(locationId) : '';
+    
+    metrics.cacheLookups.inc({ cache: 'catalog', result: catalogState.sessionTypes.has(locationKey) ? 'hit' : 'miss' });
+    if (!catalogState.sessionTypes.has(locationKey)) {
+        try {
+            // A refresh already in flight may be for other locations; load this one after it
+            while (!catalogState.sessionTypes.has(locationKey)) {
+                await refreshCatalog(`first load for location ${locationKey || 'all'}`, [locationKey]);
+            }
+        } catch (error) {
+            // Another location's copy is better than nothing while Mindbody is down
+            if (!catalogState.sessionTypes.has('')) throw error;
+        }
+    }
+    
+    const servedKey = catalogState.sessionTypes.has(locationKey) ? locationKey : '';
+    const sections = {
+        programs: catalogState.programs,
+        servicesPrices: catalogState.servicesPrices,
+        servicesDescriptions: catalogState.servicesDescriptions,
+        sessionTypes: catalogState.sessionTypes.get(servedKey)
+    };
+    
+    // Hashed once per refresh, not per request
+    if (!catalogState.versions.has(servedKey)) {
+        catalogState.versions.set(servedKey, crypto.createHash('sha1').update(JSON.stringify(sections)).digest('hex').slice(0, 16));
+    }
+    
+    return {
+        ...sections,
+        version: catalogState.versions.get(servedKey),
+        updatedAt: catalogState.updatedAt,
+        stale: !!catalogState.lastError || servedKey !== locationKey
+    };
+}
+
+if (CONFIG.catalogRefreshMinutes > 0) {
+    setInterval(() => {
+        // Only tenants whose catalog has been loaded; each refresh runs as that tenant
+        tenants.filter(tenant => catalogStates.has(tenant.id)).forEach(tenant => {
+            requestContext.run({ tenant }, () => refreshCatalog())
+                .catch(error => log.warn('Catalog refresh failed, serving last good copy', errorFields(error)));
+        });
+    }, CONFIG.catalogRefreshMinutes * 60 * 1000).unref();
+}
+
+// ============================================
+// ERRORS & VALIDATION
+// ============================================
+
+/**
+ * Send the uniform error envelope:
+ *   { success: false, code, message, field, upstream }
+ * `error` repeats the message for clients written against the older responses.
+ */
+function sendError(res, status, code, message, extra = {}) {
+    const { field = null, upstream = null, ...rest } = extra;
+    return res.status(status).json({
+        success: false,
+        code,
+        message,
+        error: message,
+        field,
+        upstream,
+        ...rest
+    });
+}
+
+/**
+ * What Mindbody said, for the `upstream` part of the envelope
+ */
+function describeUpstreamError(error) {
+    if (!error.response) {
+        return error.isAxiosError ? { status: null, code: error.code || null, message: error.message } : null;
+    }
+    return {
+        status: error.response.status,
+        code: error.response.data?.Error?.Code || null,
+        message: error.response.data?.Error?.Message || null
+    };
+}
+
+/**
+ * Send the error response for a failed route:
+ * - errors raised by the proxy itself (open circuit, exhausted call budget) carry
+ *   httpStatus and code, e.g. 503 with Retry-After
+ * - Mindbody 400/404/409 pass through with their status
+ * - anything else from Mindbody (auth, 5xx, timeouts) is a 502
+ * - errors that never reached Mindbody are a 500
+ */
+function sendRouteError(res, error, extra = {}) {
+    if (error.httpStatus) {
+        if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+        return sendError(res, error.httpStatus, error.code, error.message, {
+            retryAfter: error.retryAfterSeconds,
+            ...extra
+        });
+    }
+    
+    const upstream = describeUpstreamError(error);
+    if (!upstream) {
+        return sendError(res, 500, 'INTERNAL_ERROR', error.message, extra);
+    }
+    
+    const message = upstream.message || error.message;
+    switch (upstream.status) {
+        case 400:
+            return sendError(res, 400, 'UPSTREAM_BAD_REQUEST', message, { upstream, ...extra });
+        case 404:
+            return sendError(res, 404, 'NOT_FOUND', message, { upstream, ...extra });
+        case 409:
+            return sendError(res, 409, 'CONFLICT', message, { upstream, ...extra });
+        default:
+            return sendError(res, 502, 'UPSTREAM_ERROR', message, { upstream, ...extra });
+    }
+}
+
+const INVALID = Symbol('invalid');
+
+const isValidDate = (value) => !Number.isNaN(new Date(`${value.slice(0, 10)}T00:00:00Z`).getTime()) &&
+    new Date(`${value.slice(0, 10)}T00:00:00Z`).toISOString().slice(0, 10) === value.slice(0, 10);
+
+/**
+ * Field types: each turns a raw query/body value into its normalized form, or INVALID
+ */
+const FIELD_TYPES = {
+    string: {
+        describe: 'a string',
+        parse: (v, spec) => {
+            if ((typeof v !== 'string' && typeof v !== 'number') || !String(v).trim()) return INVALID;
+            return spec.trim === false ? String(v) : String(v).trim();
+        }
+    },
+    id: {
+        describe: 'an ID',
+        parse: (v) => /^[A-Za-z0-9_-]+$/.test(String(v)) ? String(v) : INVALID
+    },
+    integer: {
+        describe: 'a whole number',
+        parse: (v) => /^\d+$/.test(String(v).trim()) ? Number(v) : INVALID
+    },
+    ids: {
+        describe: 'a comma-separated list of numeric IDs',
+        parse: (v) => {
+            const list = (Array.isArray(v) ? v.join(',') : String(v)).replace(/\s/g, '');
+            return /^\d+(,\d+)*$/.test(list) ? list : INVALID;
+        }
+    },
+    // Like ids, for IDs that need not be numeric (client IDs)
+    idList: {
+        describe: 'a comma-separated list of IDs',
+        parse: (v) => {
+            const list = (Array.isArray(v) ? v.join(',') : String(v)).replace(/\s/g, '');
+            return /^[A-Za-z0-9_-]+(,[A-Za-z0-9_-]+)*$/.test(list) ? list : INVALID;
+        }
+    },
+    date: {
+        describe: 'a date (YYYY-MM-DD)',
+        parse: (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && isValidDate(v) ? v : INVALID
+    },
+    // Normalized to the site's wall-clock time, which is what Mindbody expects;
+    // a time with an offset or Z is converted into the site's zone first
+    datetime: {
+        describe: 'a date and time (YYYY-MM-DDTHH:mm:ss)',
+        parse: (v) => {
+            if (typeof v !== 'string') return INVALID;
+            const match = v.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/);
+            if (!match || !isValidDate(match[1]) || match[2] > 23 || match[3] > 59 || (match[4] || 0) > 59) return INVALID;
+            const local = `${match[1]}T${match[2]}:${match[3]}:${match[4] || '00'}`;
+            if (!match[6]) return local;
+            
+            const offset = match[6] === 'Z' ? 'Z' : match[6].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+            return formatInTimeZone(Date.parse(`${local}${offset}`), currentTimeZone());
+        }
+    },
+    boolean: {
+        describe: 'true or false',
+        parse: (v) => {
+            if (v === true || v === 'true') return true;
+            if (v === false || v === 'false') return false;
+            return INVALID;
+        }
+    },
+    email: {
+        describe: 'an email address',
+        parse: (v) => typeof v === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v.trim()) ? v.trim() : INVALID
+    },
+    enum: {
+        describe: 'one of the allowed values',
+        parse: (v, spec) => spec.values.includes(v) ? v : INVALID
+    }
+};
+
+/**
+ * Validate and normalize one part of the request (query, body or params)
+ * against a schema of { fieldName: { type, required, aliases, default, values, trim } }.
+ * Aliases cover the PascalCase spellings (StartDateTime) routes used to accept.
+ */
+function validatePart(source, schema, output, errors) {
+    Object.entries(schema).forEach(([name, spec]) => {
+        const keys = [name, ...(spec.aliases || [])];
+        const key = keys.find(k => source?.[k] !== undefined && source[k] !== null && source[k] !== '');
+        
+        if (key === undefined) {
+            if (spec.required) {
+                errors.push({ field: name, message: `${name} is required` });
+            } else if (spec.default !== undefined) {
+                output[name] = spec.default;
+            }
+            return;
+        }
+        
+        const type = FIELD_TYPES[spec.type];
+        const value = type.parse(source[key], spec);
+        if (value === INVALID) {
+            const expected = spec.type === 'enum' ? `one of: ${spec.values.join(', ')}` : type.describe;
+            errors.push({ field: name, message: `${name} must be ${expected}` });
+            return;
+        }
+        output[name] = value;
+    });
+}
+
+/**
+ * Middleware: validate query, body and params against their schemas and expose the
+ * normalized values as req.input. `check(input)` may add cross-field rules and
+ * returns { field, message } when they fail.
+ * Invalid input -> 400 VALIDATION_ERROR naming the first bad field.
+ */
+function validate(schemas, check = null) {
+    return (req, res, next) => {
+        const input = {};
+        const errors = [];
+        
+        if (schemas.params) validatePart(req.params, schemas.params, input, errors);
+        if (schemas.query) validatePart(req.query, schemas.query, input, errors);
+        if (schemas.body) validatePart(req.body, schemas.body, input, errors);
+        
+        if (!errors.length && check) {
+            const problem = check(input);
+            if (problem) errors.push(problem);
+        }
+        
+        if (errors.length) {
+            return sendError(res, 400, 'VALIDATION_ERROR', errors[0].message, {
+                field: errors[0].field,
+                errors
+            });
+        }
+        
+        req.input = input;
+        next();
+    };
+}
+
+/**
+ * Cross-field rule for routes taking a startDate/endDate range
+ */
+function checkDateRange(input) {
+    if (input.startDate && input.endDate && input.endDate < input.startDate) {
+        return { field: 'endDate', message: 'endDate must not be before startDate' };
+    }
+    return null;
+}
+
+// ============================================
+// IDEMPOTENCY
+// ============================================
+
+/**
+ * Idempotency stores implement async get(key), set(key, record, ttlMs) and delete(key).
+ * The in-memory store is the default; any backend with the same shape can replace it.
+ */
+function createMemoryIdempotencyStore() {
+    const records = new Map();
+    
+    const prune = () => {
+        const now = Date.now();
+        for (const [key, entry] of records) {
+            if (entry.expiresAt <= now) records.delete(key);
+        }
+    };
+    
+    return {
+        async get(key) {
+            const entry = records.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                records.delete(key);
+                return null;
+            }
+            return entry.record;
+        },
+        async set(key, record, ttlMs) {
+            prune();
+            records.set(key, { record, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(key) {
+            records.delete(key);
+        }
+    };
+}
+
+/**
+ * Persistent store backed by a JSON file, layered over the memory store
+ */
+function createFileIdempotencyStore(filePath) {
+    const memory = createMemoryIdempotencyStore();
+    let saved = {};
+    
+    try {
+        saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        Object.entries(saved).forEach(([key, entry]) => {
+            const ttlMs = entry.expiresAt - Date.now();
+            if (ttlMs > 0) memory.set(key, entry.record, ttlMs);
+            else delete saved[key];
+        });
+        log.info('Loaded idempotency records', { records: Object.keys(saved).length, file: filePath });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn('Could not read idempotency store', errorFields(error));
+        }
+    }
+    
+    // Writes run one at a time, each to a temp file renamed over the store, so
+    // responses finishing together (or a crash mid-write) never leave a torn file.
+    // Expired records are dropped on the way out, so the file only holds live ones.
+    let writing = Promise.resolve();
+    const persist = () => {
+        writing = writing
+            .then(async () => {
+                const now = Date.now();
+                Object.keys(saved).forEach(key => {
+                    if (saved[key].expiresAt <= now) delete saved[key];
+                });
+                const tempPath = `${filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, JSON.stringify(saved));
+                await fs.promises.rename(tempPath, filePath);
+            })
+            .catch(error => log.warn('Could not write idempotency store', errorFields(error)));
+        return writing;
+    };
+    
+    return {
+        get: (key) => memory.get(key),
+        async set(key, record, ttlMs) {
+            await memory.set(key, record, ttlMs);
+            // Only completed responses are worth surviving a restart
+            if (record.status === 'completed') {
+                saved[key] = { record, expiresAt: Date.now() + ttlMs };
+                await persist();
+            }
+        },
+        async delete(key) {
+            await memory.delete(key);
+            if (saved[key]) {
+                delete saved[key];
+                await persist();
+            }
+        }
+    };
+}
+
+const idempotencyStore = CONFIG.idempotencyStoreFile
+    ? createFileIdempotencyStore(CONFIG.idempotencyStoreFile)
+    : createMemoryIdempotencyStore();
+
+/**
+ * Stable JSON serialization (sorted keys) so equivalent bodies hash the same
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Middleware: honor the Idempotency-Key header on a route.
+ * 
+ * The first response for a key is stored and replayed for retries with the same body;
+ * a different body under the same key gets 409. Server errors (5xx) are not stored,
+ * so the client can retry them with the same key.
+ */
+function idempotent(scope) {
+    return async (req, res, next) => {
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (!idempotencyKey) return next();
+        
+        const key = `${currentTenant().id}:${scope}:${idempotencyKey}`;
+        const fingerprint = crypto.createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+        const ttlMs = CONFIG.idempotencyTtlHours * 60 * 60 * 1000;
+        
+        try {
+            const existing = await idempotencyStore.get(key);
+            
+            if (existing) {
+                if (existing.fingerprint !== fingerprint) {
+                    return sendError(res, 409, 'IDEMPOTENCY_KEY_MISMATCH',
+                        'Idempotency-Key was already used with a different request body',
+                        { field: 'Idempotency-Key' });
+                }
+                if (existing.status === 'in_progress') {
+                    return sendError(res, 409, 'IDEMPOTENCY_KEY_IN_PROGRESS',
+                        'A request with this Idempotency-Key is still being processed',
+                        { field: 'Idempotency-Key' });
+                }
+                log.info('Replaying stored response', { idempotencyKey });
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.statusCode).json(existing.body);
+            }
+            
+            await idempotencyStore.set(key, { status: 'in_progress', fingerprint }, ttlMs);
+        } catch (error) {
+            log.error('Idempotency store error', errorFields(error));
+            return next();
+        }
+        
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            const record = res.statusCode >= 500
+                ? null
+                : { status: 'completed', fingerprint, statusCode: res.statusCode, body };
+            (record ? idempotencyStore.set(key, record, ttlMs) : idempotencyStore.delete(key))
+                .catch(error => log.error('Idempotency store error', errorFields(error)));
+            return originalJson(body);
+        };
+        
+        next();
+    };
+}
+
+// ============================================
+// CLIENT SESSIONS
+// ============================================
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function signSessionPayload(encodedPayload) {
+    return crypto.createHmac('sha256', CONFIG.sessionSecret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issue a signed, expiring session token (HS256 JWT) bound to a Mindbody client
+ * of the current tenant
+ */
+function issueClientSession(clientId) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + Math.floor(CONFIG.sessionTtlHours * 60 * 60);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: String(clientId), tid: currentTenant().id, iat: issuedAt, exp: expiresAt }));
+    
+    return {
+        token: `${header}.${payload}.${signSessionPayload(`${header}.${payload}`)}`,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+}
+
+/**
+ * Verify a session token; returns { clientId, expiresAt } or null if invalid/expired
+ */
+function verifyClientSession(token) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) return null;
+    
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(signSessionPayload(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.sub || !claims.exp || claims.exp * 1000 <= Date.now()) return null;
+        // A session from one site is no good on another
+        if (claims.tid !== currentTenant().id) return null;
+        return { clientId: claims.sub, expiresAt: new Date(claims.exp * 1000).toISOString() };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Middleware: require a client session (X-Session-Token header) and bind the
+ * request to that client. A clientId in the path or body must match the session;
+ * when the body has none, the session's client is filled in.
+ */
+function requireClientSession(req, res, next) {
+    const session = verifyClientSession(req.get('X-Session-Token'));
+    
+    if (!session) {
+        return sendError(res, 401, 'SESSION_REQUIRED', 'Tu sesión expiró. Inicia sesión de nuevo.', {
+            field: 'X-Session-Token'
+        });
+    }
+    
+    const requestedClientId = req.params.clientId || req.body?.clientId || req.body?.ClientId;
+    if (requestedClientId && String(requestedClientId) !== session.clientId) {
+        log.warn('Session client tried to act as another client', { clientId: session.clientId, requestedClientId });
+        return sendError(res, 403, 'CLIENT_MISMATCH', 'No tienes permiso para acceder a esta cuenta', {
+            field: 'clientId'
+        });
+    }
+    
+    if (req.body && typeof req.body === 'object' && !requestedClientId) {
+        req.body.clientId = session.clientId;
+    }
+    
+    req.clientSession = session;
+    next();
+}
+
+// ============================================
+// INBOUND RATE LIMITING
+// ============================================
+
+/**
+ * Rate limit stores implement async increment(key, windowMs) -> { count, resetAt }
+ * (fixed windows). The in-memory store is the default; a shared store (e.g. Redis
+ * INCR + PEXPIRE) with the same shape can replace it when running several instances.
+ */
+function createMemoryRateLimitStore() {
+    const windows = new Map();
+    
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }, 60 * 1000).unref();
+    
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count++;
+            return { count: entry.count, resetAt: entry.resetAt };
+        }
+    };
+}
+
+const rateLimitStore = createMemoryRateLimitStore();
+
+/**
+ * Parse a "max/windowSeconds" limit
+ */
+function parseRateLimit(value) {
+    const [max, windowSeconds] = String(value).split('/').map(Number);
+    return { max, windowMs: windowSeconds * 1000 };
+}
+
+/**
+ * Normalize a login identifier so "A@B.com " and "+507 6612-4546" count as the
+ * same person as "a@b.com" and "66124546". Hashed, so the store never holds PII.
+ */
+function identifierKey(value) {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+    const normalized = text.includes('@') ? text : (text.replace(/\D/g, '').slice(-8) || text);
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+}
+
+/**
+ * Middleware: enforce one or more limits. Each rule is { name, limit, key(req) };
+ * a rule whose key is null (e.g. no identifier in the body) is skipped.
+ * Over the limit -> 429 RATE_LIMITED with Retry-After.
+ */
+function rateLimit(...rules) {
+    return async (req, res, next) => {
+        try {
+            let retryAfterSeconds = 0;
+            
+            for (const rule of rules) {
+                const key = rule.key(req);
+                if (!key) continue;
+                
+                const { max, windowMs } = parseRateLimit(rule.limit);
+                const { count, resetAt } = await rateLimitStore.increment(`${rule.name}:${key}`, windowMs);
+                if (count > max) {
+                    retryAfterSeconds = Math.max(retryAfterSeconds, Math.ceil((resetAt - Date.now()) / 1000));
+                    log.warn('Rate limit exceeded', { rule: rule.name, count, max });
+                }
+            }
+            
+            if (retryAfterSeconds) {
+                res.set('Retry-After', String(retryAfterSeconds));
+                return sendError(res, 429, 'RATE_LIMITED',
+                    `Demasiados intentos. Intenta de nuevo en ${Math.ceil(retryAfterSeconds / 60)} minuto(s).`,
+                    { retryAfter: retryAfterSeconds });
+            }
+        } catch (error) {
+            // A broken limiter store shouldn't take the routes down with it
+            log.error('Rate limit store error', errorFields(error));
+        }
+        next();
+    };
+}
+
+const byIp = (req) => req.ip;
+
+// ============================================
+// ADMIN & DEBUG ACCESS
+// ============================================
+
+/**
+ * Middleware: require the admin API key (X-Admin-Key header)
+ */
+function requireAdminKey(req, res, next) {
+    const provided = Buffer.from(req.get('X-Admin-Key') || '');
+    const expected = Buffer.from(CONFIG.adminApiKey);
+    
+    if (!CONFIG.adminApiKey || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return sendError(res, 401, 'ADMIN_AUTH_REQUIRED', 'A valid X-Admin-Key header is required', {
+            field: 'X-Admin-Key'
+        });
+    }
+    next();
+}
+
+/**
+ * Middleware chain for debug/test routes: hidden (404) unless ENABLE_DEBUG_ROUTES=true,
+ * admin key required, and every JSON response redacted.
+ */
+const debugOnly = [
+    (req, res, next) => {
+        if (!CONFIG.debugRoutesEnabled) {
+            return sendError(res, 404, 'NOT_FOUND', 'Not found');
+        }
+        next();
+    },
+    requireAdminKey,
+    (req, res, next) => {
+        const originalJson = res.json.bind(res);
+        res.json = (body) => originalJson(redactSensitive(body));
+        next();
+    }
+];
+
+/**
+ * Check a Mindbody endpoint against the /api/debug/raw allow-list
+ */
+function isAllowedDebugPath(endpoint) {
+    if (typeof endpoint !== 'string' || !endpoint.startsWith('/') || endpoint.includes('..') || endpoint.includes('@') ||
+        /%2e|%2f|%5c|\\/i.test(endpoint)) {
+        return false;
+    }
+    // Check the path axios will actually request, after URL dot-segment resolution
+    let path;
+    try {
+        const basePath = new URL(CONFIG.baseUrl).pathname.replace(/\/$/, '');
+        const resolved = new URL(CONFIG.baseUrl + endpoint).pathname;
+        if (!resolved.startsWith(basePath + '/')) return false;
+        path = resolved.slice(basePath.length).toLowerCase();
+    } catch {
+        return false;
+    }
+    return CONFIG.debugRawAllowedPaths.some(prefix => path.startsWith(prefix.toLowerCase()));
+}
+
+// ============================================
+// READINESS
+// ============================================
+
+const readinessCache = createCache('readiness', CONFIG.readinessCacheSeconds * 1000);
+
+/**
+ * Run one readiness check, turning a thrown error into a failed component
+ */
+async function runReadinessCheck(check) {
+    const startedAt = Date.now();
+    try {
+        await check();
+        return { status: 'ok', durationMs: Date.now() - startedAt };
     } catch (error) {
-        console.error('❌ Token error:', error.response?.data || error.message);
-        throw error;
+        return {
+            status: 'fail',
+            durationMs: Date.now() - startedAt,
+            error: describeUpstreamError(error) || { status: null, code: error.code || null, message: error.message }
+        };
     }
 }
 
 /**
- * Make authenticated API call
+ * Check config, staff token and a cheap Mindbody call for a tenant. Later checks
+ * are skipped once one fails, since they can't pass either.
  */
-async function callMindbodyAPI(endpoint, method = 'GET', data = null, userToken = null) {
-    const token = userToken || await getAccessToken();
-    
-    const config = {
-        method,
-        url: `${CONFIG.baseUrl}${endpoint}`,
-        headers: {
-            'Api-Key': CONFIG.apiKey,
-            'SiteId': CONFIG.siteId,
-            'Authorization': token,
-            'Content-Type': 'application/json'
-        }
+async function checkReadiness(tenant) {
+    const missing = missingTenantSettings(tenant);
+    const components = {
+        config: missing.length ? { status: 'fail', missing } : { status: 'ok' },
+        staffAuth: { status: 'skipped' },
+        mindbody: { status: 'skipped' }
     };
     
-    if (data && method === 'POST') {
-        config.data = data;
+    if (!missing.length) {
+        components.staffAuth = await runReadinessCheck(() => getAccessToken(tenant));
+    }
+    if (components.staffAuth.status === 'ok') {
+        components.mindbody = await runReadinessCheck(() => callMindbodyAPI('/site/locations?limit=1'));
     }
     
-    console.log(`📡 ${method} ${endpoint}`);
-    const response = await axios(config);
-    return response.data;
+    const status = Object.values(components).every(c => c.status === 'ok') ? 'ok' : 'degraded';
+    if (status !== 'ok') log.warn('Readiness check failed', { components });
+    return { status, checkedAt: new Date().toISOString(), components };
 }
 
 // ============================================
@@ -100,35 +2651,109 @@ async function callMindbodyAPI(endpoint, method = 'GET', data = null, userToken
 // ============================================
 
 /**
- * Health check
+ * Liveness: the process is up and serving. Says nothing about Mindbody;
+ * see /api/health/ready for that.
  */
-app.get('/api/health', (req, res) => {
+function sendLiveness(req, res) {
     res.json({
         status: 'ok',
         message: 'Mindbody Proxy Server (Corrected Version)',
         timestamp: new Date().toISOString(),
-        siteId: CONFIG.siteId,
-        appointmentRequestMode: process.env.APPOINTMENT_REQUEST_MODE === 'true' ? 'enabled' : 'disabled'
+        tenant: currentTenant().id,
+        appointmentRequestMode: currentTenant().appointmentRequestMode ? 'enabled' : 'disabled',
+        upstream: {
+            circuit: circuit.state,
+            consecutiveFailures: circuit.consecutiveFailures,
+            openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+            lastFailure: circuit.lastFailure
+        }
+    });
+}
+
+app.get('/api/health', sendLiveness);
+app.get('/api/health/live', sendLiveness);
+
+/**
+ * Readiness: 200 when the tenant can serve bookings, 503 with the failing
+ * components otherwise. Checked components:
+ * - config: the tenant's Mindbody settings are all present
+ * - staffAuth: a staff token can be issued (or a cached one is still valid)
+ * - mindbody: a one-item /site/locations call succeeds
+ * Results are reused for CONFIG.readinessCacheSeconds so probes don't spend the Mindbody budget.
+ */
+app.get('/api/health/ready', async (req, res) => {
+    const tenant = currentTenant();
+    const { value, cacheStatus } = await readinessCache.getOrLoad(tenant.id, () => checkReadiness(tenant), { tenantId: tenant.id });
+    res.set('X-Cache', cacheStatus);
+    res.status(value.status === 'ok' ? 200 : 503).json({ ...value, tenant: tenant.id });
+});
+
+/**
+ * Prometheus metrics (text exposition format) for every tenant
+ */
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+/**
+ * Tenant info for the front end (branding defaults, request mode) - no credentials
+ */
+app.get('/api/tenant', (req, res) => {
+    const tenant = currentTenant();
+    res.json({
+        success: true,
+        tenant: {
+            id: tenant.id,
+            appointmentRequestMode: tenant.appointmentRequestMode,
+            branding: tenant.branding
+        }
     });
 });
 
 /**
- * PUBLIC DEBUG ENDPOINT - Test client login
+ * OpenAPI 3 document for every public route (see openapi.js)
+ */
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+/**
+ * Interactive API docs (Swagger UI loaded from a CDN, reading /api/openapi.json)
+ */
+app.get('/api/docs', (req, res) => {
+    // Relative URL so the docs also work under a /t/:tenantId prefix
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Mindbody Proxy API</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="docs"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: 'openapi.json', dom_id: '#docs' });
+    </script>
+</body>
+</html>`);
+});
+
+/**
+ * DEBUG ENDPOINT - Test client login
  * Usage: POST /api/test-client-login with { email, password }
+ * Like every debug route: needs ENABLE_DEBUG_ROUTES=true and X-Admin-Key
  */
-app.post('/api/test-client-login', async (req, res) => {
+app.post('/api/test-client-login', debugOnly, async (req, res) => {
     try {
         const { email, password } = req.body;
         
-        console.log('🧪 TEST: Client login...');
-        console.log('   Email:', email);
+        log.debug('TEST: client login', { email });
         
         // Get staff token first
         const token = await getAccessToken();
-        console.log('   Staff token obtained');
         
         // Try validateclientcredentials
-        console.log('   Calling validateclientcredentials...');
         const response = await axios.post(
             `${CONFIG.baseUrl}/client/validateclientcredentials`,
             {
@@ -137,15 +2762,15 @@ app.post('/api/test-client-login', async (req, res) => {
             },
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
                     'Authorization': token,
                     'Content-Type': 'application/json'
                 }
             }
         );
         
-        console.log('   ✅ Success!');
+        log.debug('TEST: client login succeeded', { clientId: response.data.Client?.Id });
         res.json({
             success: true,
             client: response.data.Client,
@@ -153,7 +2778,7 @@ app.post('/api/test-client-login', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('   ❌ Error:', error.response?.data || error.message);
+        log.error('TEST: client login failed', errorFields(error));
         res.json({
             success: false,
             error: error.response?.data?.Error?.Message || error.message,
@@ -165,11 +2790,10 @@ app.post('/api/test-client-login', async (req, res) => {
 });
 
 /**
- * PUBLIC DEBUG ENDPOINT - Test bookable items directly
+ * DEBUG ENDPOINT - Test bookable items directly
  * Usage: /api/test-bookable?sessionTypeId=XX&locationId=1
- * No authentication required - uses server credentials
  */
-app.get('/api/test-bookable', async (req, res) => {
+app.get('/api/test-bookable', debugOnly, withSiteTimeZone, async (req, res) => {
     try {
         const { sessionTypeId, locationId } = req.query;
         
@@ -181,21 +2805,13 @@ app.get('/api/test-bookable', async (req, res) => {
             });
         }
         
-        console.log('🧪 TEST: Fetching bookable items...');
-        console.log('   sessionTypeId:', sessionTypeId);
-        console.log('   locationId:', locationId || '(all)');
+        log.debug('TEST: fetching bookable items', { sessionTypeId, locationId: locationId || 'all' });
         
         const token = await getAccessToken();
         
-        // Get today and 14 days from now
-        const today = new Date();
-        const twoWeeksLater = new Date(today);
-        twoWeeksLater.setDate(today.getDate() + 14);
-        
-        const startDate = today.toISOString().split('T')[0];
-        const endDate = twoWeeksLater.toISOString().split('T')[0];
-        
-        console.log('   Date range:', startDate, 'to', endDate);
+        // Get today (at the site) and 14 days from now
+        const startDate = siteToday();
+        const endDate = addDays(startDate, 14);
         
         // Build query params
         let endpoint = `/appointment/bookableitems?sessionTypeIds=${sessionTypeId}&startDate=${startDate}&endDate=${endDate}`;
@@ -203,14 +2819,14 @@ app.get('/api/test-bookable', async (req, res) => {
             endpoint += `&locationIds=${locationId}`;
         }
         
-        console.log('   Full endpoint:', endpoint);
+        log.debug('TEST: bookable items endpoint', { endpoint, startDate, endDate });
         
         const response = await axios.get(
             `${CONFIG.baseUrl}${endpoint}`,
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
                     'Authorization': token,
                     'Content-Type': 'application/json'
                 }
@@ -234,9 +2850,7 @@ app.get('/api/test-bookable', async (req, res) => {
             if (staffId) staffMap[staffId].slotCount++;
         });
         
-        console.log('✅ TEST RESULTS:');
-        console.log('   Total slots:', scheduleItems.length);
-        console.log('   Staff found:', Object.keys(staffMap).length);
+        log.debug('TEST: bookable items results', { totalSlots: scheduleItems.length, staffFound: Object.keys(staffMap).length });
         
         res.json({
             success: true,
@@ -262,7 +2876,7 @@ app.get('/api/test-bookable', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Test error:', error.response?.data || error.message);
+        log.error('TEST: bookable items failed', errorFields(error));
         res.status(500).json({
             success: false,
             error: error.response?.data || error.message,
@@ -272,11 +2886,11 @@ app.get('/api/test-bookable', async (req, res) => {
 });
 
 /**
- * PUBLIC DEBUG - List all session types with IDs
+ * DEBUG - List all session types with IDs
  */
-app.get('/api/test-session-types', async (req, res) => {
+app.get('/api/test-session-types', debugOnly, async (req, res) => {
     try {
-        console.log('🧪 TEST: Fetching all session types...');
+        log.debug('TEST: fetching all session types');
         
         const token = await getAccessToken();
         
@@ -284,8 +2898,8 @@ app.get('/api/test-session-types', async (req, res) => {
             `${CONFIG.baseUrl}/site/sessiontypes?limit=200`,
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
                     'Authorization': token,
                     'Content-Type': 'application/json'
                 }
@@ -301,17 +2915,17 @@ app.get('/api/test-session-types', async (req, res) => {
                 `${CONFIG.baseUrl}/site/servicecategories`,
                 {
                     headers: {
-                        'Api-Key': CONFIG.apiKey,
-                        'SiteId': CONFIG.siteId,
+                        'Api-Key': currentTenant().apiKey,
+                        'SiteId': currentTenant().siteId,
                         'Authorization': token,
                         'Content-Type': 'application/json'
                     }
                 }
             );
             serviceCategories = catResponse.data.ServiceCategories || [];
-            console.log('📂 Service Categories:', serviceCategories.map(c => c.Name));
+            log.debug('TEST: service categories', { categories: serviceCategories.map(c => c.Name) });
         } catch (catErr) {
-            console.log('⚠️ Could not fetch service categories:', catErr.message);
+            log.warn('TEST: could not fetch service categories', errorFields(catErr));
         }
         
         // Create category lookup
@@ -351,8 +2965,7 @@ app.get('/api/test-session-types', async (req, res) => {
         // Also show first raw item for debugging
         const sampleRaw = sessionTypes.length > 0 ? sessionTypes[0] : null;
         
-        console.log('✅ Found', sessionTypes.length, 'session types');
-        console.log('📂 Categories found:', Object.keys(byCategory));
+        log.debug('TEST: session types', { count: sessionTypes.length, categories: Object.keys(byCategory) });
         
         res.json({
             success: true,
@@ -366,7 +2979,7 @@ app.get('/api/test-session-types', async (req, res) => {
         
         
     } catch (error) {
-        console.error('❌ Session types error:', error.response?.data || error.message);
+        log.error('TEST: session types failed', errorFields(error));
         res.status(500).json({
             success: false,
             error: error.response?.data || error.message
@@ -377,9 +2990,9 @@ app.get('/api/test-session-types', async (req, res) => {
 /**
  * Test endpoint for Service Categories
  */
-app.get('/api/test-service-categories', async (req, res) => {
+app.get('/api/test-service-categories', debugOnly, async (req, res) => {
     try {
-        console.log('🧪 TEST: Fetching service categories...');
+        log.debug('TEST: fetching service categories');
         
         const token = await getAccessToken();
         
@@ -387,15 +3000,15 @@ app.get('/api/test-service-categories', async (req, res) => {
             `${CONFIG.baseUrl}/site/servicecategories`,
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
                     'Authorization': token,
                     'Content-Type': 'application/json'
                 }
             }
         );
         
-        console.log('✅ Service Categories response:', JSON.stringify(response.data, null, 2));
+        log.debug('TEST: service categories response', { response: response.data });
         
         res.json({
             success: true,
@@ -404,7 +3017,7 @@ app.get('/api/test-service-categories', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Service categories error:', error.response?.data || error.message);
+        log.error('TEST: service categories failed', errorFields(error));
         res.status(500).json({
             success: false,
             error: error.response?.data || error.message
@@ -415,9 +3028,9 @@ app.get('/api/test-service-categories', async (req, res) => {
 /**
  * Test endpoint for Programs (another way Mindbody categorizes services)
  */
-app.get('/api/test-programs', async (req, res) => {
+app.get('/api/test-programs', debugOnly, async (req, res) => {
     try {
-        console.log('🧪 TEST: Fetching programs...');
+        log.debug('TEST: fetching programs');
         
         const token = await getAccessToken();
         
@@ -425,15 +3038,15 @@ app.get('/api/test-programs', async (req, res) => {
             `${CONFIG.baseUrl}/site/programs`,
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
                     'Authorization': token,
                     'Content-Type': 'application/json'
                 }
             }
         );
         
-        console.log('✅ Programs response:', JSON.stringify(response.data, null, 2));
+        log.debug('TEST: programs response', { response: response.data });
         
         const allPrograms = response.data.Programs || [];
         
@@ -461,7 +3074,7 @@ app.get('/api/test-programs', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Programs error:', error.response?.data || error.message);
+        log.error('TEST: programs failed', errorFields(error));
         res.status(500).json({
             success: false,
             error: error.response?.data || error.message
@@ -472,9 +3085,9 @@ app.get('/api/test-programs', async (req, res) => {
 /**
  * Test endpoint for Services with Prices (from Sale API)
  */
-app.get('/api/test-services', async (req, res) => {
+app.get('/api/test-services', debugOnly, async (req, res) => {
     try {
-        console.log('🧪 TEST: Fetching services with prices...');
+        log.debug('TEST: fetching services with prices');
         
         const token = await getAccessToken();
         
@@ -483,8 +3096,8 @@ app.get('/api/test-services', async (req, res) => {
             `${CONFIG.baseUrl}/sale/services`,
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
                     'Authorization': token,
                     'Content-Type': 'application/json'
                 }
@@ -492,7 +3105,7 @@ app.get('/api/test-services', async (req, res) => {
         );
         
         const allServices = response.data.Services || [];
-        console.log('✅ Services response - total:', allServices.length);
+        log.debug('TEST: services', { total: allServices.length });
         
         // Calculate pre-tax prices (Price - TaxIncluded) and include descriptions
         const servicesWithPreTax = allServices.map(svc => ({
@@ -511,8 +3124,8 @@ app.get('/api/test-services', async (req, res) => {
                 `${CONFIG.baseUrl}/site/sessiontypes?OnlineOnly=true`,
                 {
                     headers: {
-                        'Api-Key': CONFIG.apiKey,
-                        'SiteId': CONFIG.siteId,
+                        'Api-Key': currentTenant().apiKey,
+                        'SiteId': currentTenant().siteId,
                         'Authorization': token,
                         'Content-Type': 'application/json'
                     }
@@ -520,7 +3133,7 @@ app.get('/api/test-services', async (req, res) => {
             );
             sessionTypes = stResponse.data.SessionTypes || [];
         } catch (e) {
-            console.log('Could not fetch session types');
+            log.warn('TEST: could not fetch session types', errorFields(e));
         }
         
         // Check which session types have matching services by name
@@ -548,7 +3161,7 @@ app.get('/api/test-services', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Services error:', error.response?.data || error.message);
+        log.error('TEST: services failed', errorFields(error));
         res.status(500).json({
             success: false,
             error: error.response?.data || error.message
@@ -559,7 +3172,7 @@ app.get('/api/test-services', async (req, res) => {
 /**
  * COMPREHENSIVE pricing debug - shows ALL price sources
  */
-app.get('/api/debug-prices', async (req, res) => {
+app.get('/api/debug-prices', debugOnly, async (req, res) => {
     try {
         const token = await getAccessToken();
         const results = {
@@ -573,7 +3186,7 @@ app.get('/api/debug-prices', async (req, res) => {
         try {
             const stResp = await axios.get(
                 `${CONFIG.baseUrl}/site/sessiontypes?OnlineOnly=true`,
-                { headers: { 'Api-Key': CONFIG.apiKey, 'SiteId': CONFIG.siteId, 'Authorization': token } }
+                { headers: { 'Api-Key': currentTenant().apiKey, 'SiteId': currentTenant().siteId, 'Authorization': token } }
             );
             const types = stResp.data.SessionTypes || [];
             results.sessionTypes.count = types.length;
@@ -596,7 +3209,7 @@ app.get('/api/debug-prices', async (req, res) => {
         try {
             const poResp = await axios.get(
                 `${CONFIG.baseUrl}/sale/pricingoptions`,
-                { headers: { 'Api-Key': CONFIG.apiKey, 'SiteId': CONFIG.siteId, 'Authorization': token } }
+                { headers: { 'Api-Key': currentTenant().apiKey, 'SiteId': currentTenant().siteId, 'Authorization': token } }
             );
             const options = poResp.data.PricingOptions || [];
             results.pricingOptions.count = options.length;
@@ -608,7 +3221,7 @@ app.get('/api/debug-prices', async (req, res) => {
         try {
             const svcResp = await axios.get(
                 `${CONFIG.baseUrl}/sale/services`,
-                { headers: { 'Api-Key': CONFIG.apiKey, 'SiteId': CONFIG.siteId, 'Authorization': token } }
+                { headers: { 'Api-Key': currentTenant().apiKey, 'SiteId': currentTenant().siteId, 'Authorization': token } }
             );
             const services = svcResp.data.Services || [];
             results.services.count = services.length;
@@ -620,7 +3233,7 @@ app.get('/api/debug-prices', async (req, res) => {
         try {
             const prodResp = await axios.get(
                 `${CONFIG.baseUrl}/sale/products`,
-                { headers: { 'Api-Key': CONFIG.apiKey, 'SiteId': CONFIG.siteId, 'Authorization': token } }
+                { headers: { 'Api-Key': currentTenant().apiKey, 'SiteId': currentTenant().siteId, 'Authorization': token } }
             );
             const products = prodResp.data.Products || [];
             results.products.count = products.length;
@@ -636,9 +3249,9 @@ app.get('/api/debug-prices', async (req, res) => {
 /**
  * Test endpoint for Pricing Options (single session prices)
  */
-app.get('/api/test-pricing-options', async (req, res) => {
+app.get('/api/test-pricing-options', debugOnly, async (req, res) => {
     try {
-        console.log('🧪 TEST: Fetching pricing options...');
+        log.debug('TEST: fetching pricing options');
         
         const token = await getAccessToken();
         
@@ -646,8 +3259,8 @@ app.get('/api/test-pricing-options', async (req, res) => {
             `${CONFIG.baseUrl}/sale/pricingoptions`,
             {
                 headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
                     'Authorization': token,
                     'Content-Type': 'application/json'
                 }
@@ -655,7 +3268,7 @@ app.get('/api/test-pricing-options', async (req, res) => {
         );
         
         const allOptions = response.data.PricingOptions || [];
-        console.log('✅ Pricing options - total:', allOptions.length);
+        log.debug('TEST: pricing options', { total: allOptions.length });
         
         // Show RAW first 3 options to see actual structure
         const rawSample = allOptions.slice(0, 3);
@@ -667,8 +3280,7 @@ app.get('/api/test-pricing-options', async (req, res) => {
             opt.NumSessions === 1 ||
             (opt.Name && opt.Name.toLowerCase().includes('single'))
         );
-        
-        console.log('💰 Single session options:', singleSessionOptions.length);
+        log.debug('TEST: single session options', { count: singleSessionOptions.length });
         
         res.json({
             success: true,
@@ -680,7 +3292,7 @@ app.get('/api/test-pricing-options', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Pricing options error:', error.response?.data || error.message);
+        log.error('TEST: pricing options failed', errorFields(error));
         res.status(500).json({
             success: false,
             error: error.response?.data || error.message
@@ -691,863 +3303,1427 @@ app.get('/api/test-pricing-options', async (req, res) => {
 /**
  * Test endpoint for Available Dates
  */
-app.get('/api/test-available-dates', async (req, res) => {
+app.get('/api/test-available-dates', debugOnly, withSiteTimeZone, async (req, res) => {
+    try {
+        const { sessionTypeId, locationId, staffId } = req.query;
+        
+        log.debug('TEST: fetching available dates', { sessionTypeId, locationId, staffId });
+        
+        const token = await getAccessToken();
+        
+        const today = siteToday();
+        const twentyNineDaysLater = addDays(today, 29);
+        
+        const params = new URLSearchParams();
+        // Use singular parameter names for this endpoint
+        if (sessionTypeId) params.append('sessionTypeId', sessionTypeId);
+        if (locationId) params.append('locationId', locationId);
+        if (staffId) params.append('staffId', staffId);
+        params.append('startDate', today);
+        params.append('endDate', twentyNineDaysLater);
+        
+        const response = await axios.get(
+            `${CONFIG.baseUrl}/appointment/availabledates?${params.toString()}`,
+            {
+                headers: {
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
+                    'Authorization': token,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        
+        log.debug('TEST: available dates response', { response: response.data });
+        
+        res.json({
+            success: true,
+            availableDates: response.data.AvailableDates || [],
+            totalDates: (response.data.AvailableDates || []).length,
+            dateRange: {
+                start: today,
+                end: twentyNineDaysLater
+            },
+            rawResponse: response.data
+        });
+        
+    } catch (error) {
+        log.error('TEST: available dates failed', errorFields(error));
+        res.status(500).json({
+            success: false,
+            error: error.response?.data || error.message
+        });
+    }
+});
+
+/**
+ * 1a. Auto-Login (uses server-stored credentials)
+ * Hands out the staff AccessToken, so it is a debug route and the token is redacted;
+ * regular routes use the server-side token automatically.
+ */
+app.post('/api/auth/auto-login', debugOnly, async (req, res) => {
+    try {
+        log.info('Auto-login with server credentials');
+        
+        const response = await axios.post(
+            `${CONFIG.baseUrl}/usertoken/issue`,
+            { 
+                Username: currentTenant().username, 
+                Password: currentTenant().password 
+            },
+            {
+                headers: {
+                    'Api-Key': currentTenant().apiKey,
+                    'SiteId': currentTenant().siteId,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        
+        res.json({
+            success: true,
+            accessToken: response.data.AccessToken,
+            user: response.data.User
+        });
+    } catch (error) {
+        log.error('Auto-login failed', errorFields(error));
+        res.status(401).json({
+            success: false,
+            error: error.response?.data?.Error?.Message || 'Authentication failed'
+        });
+    }
+});
+
+/**
+ * 1b. User Authentication (for client login - if needed)
+ */
+app.post('/api/auth/login', validate({
+    body: {
+        username: { type: 'string', required: true },
+        password: { type: 'string', required: true, trim: false }
+    }
+}), async (req, res) => {
+    try {
+        const { username, password } = req.input;
+        
+        const data = await callMindbodyAPI(
+            '/usertoken/issue',
+            'POST',
+            { Username: username, Password: password },
+            null,
+            { anonymous: true }
+        );
+        
+        res.json({
+            success: true,
+            accessToken: data.AccessToken,
+            user: data.User
+        });
+    } catch (error) {
+        log.error('Staff login failed', errorFields(error));
+        if (error.httpStatus || !error.response || error.response.status >= 500) {
+            return sendRouteError(res, error);
+        }
+        sendError(res, 401, 'INVALID_CREDENTIALS', error.response.data?.Error?.Message || 'Authentication failed', {
+            upstream: describeUpstreamError(error)
+        });
+    }
+});
+
+/**
+ * 2. Get Locations
+ */
+app.get('/api/locations', async (req, res) => {
+    try {
+        const userToken = req.headers.authorization;
+        const data = await callMindbodyAPI('/site/locations', 'GET', null, userToken);
+        
+        res.json({
+            success: true,
+            locations: data.Locations || []
+        });
+    } catch (error) {
+        log.error('Locations failed', errorFields(error));
+        sendRouteError(res, error);
+    }
+});
+
+/**
+ * 3. Get Session Types (Services/Appointments)
+ * 
+ * Served from the catalog cache (see getCatalog). Sends an ETag so browsers
+ * can revalidate with If-None-Match and get a 304 when nothing changed.
+ */
+app.get('/api/session-types', validate({
+    query: {
+        locationId: { type: 'integer' }
+    }
+}), async (req, res) => {
+    try {
+        const { locationId } = req.input;
+        
+        const catalog = await getCatalog(locationId);
+        const { programs, servicesPrices, servicesDescriptions, sessionTypes } = catalog;
+        
+        const etag = `"catalog-${catalog.version}"`;
+        res.set('ETag', etag);
+        res.set('Cache-Control', 'no-cache');
+        if (req.get('If-None-Match') === etag) {
+            return res.status(304).end();
+        }
+        
+        // Filter for Appointment types only (not Classes)
+        const appointmentTypes = sessionTypes.filter(st => 
+            st.Type === 'Appointment' || st.Type === 'Service'
+        );
+        
+        // Categories to exclude (generic/system categories, not real treatment categories)
+        const excludedCategories = ['Appointment', 'Appointments', 'Service', 'Services'];
+        
+        // Enrich session types with program name as category, prices and descriptions from /sale/services
+        const enrichedTypes = appointmentTypes
+            .map(st => {
+                // Get price from /sale/services by name match (pre-tax price)
+                const price = servicesPrices[st.Name] || null;
+                // Get description - check multiple possible sources:
+                // 1. OnlineDescription from session types (newest API field)
+                // 2. Description from /sale/services
+                // 3. Description from session types
+                const description = st.OnlineDescription || servicesDescriptions[st.Name] || st.Description || null;
+                
+                return {
+                    ...st,
+                    // Use Program name as category (from ProgramId lookup)
+                    CategoryName: programs[st.ProgramId] || null,
+                    // Pre-tax price from /sale/services
+                    Price: price,
+                    // Description from best available source
+                    Description: description
+                };
+            })
+            // Filter out services without a real category or with excluded category names
+            .filter(st => st.CategoryName && !excludedCategories.includes(st.CategoryName));
+        
+        // Count how many have prices
+        const withPrices = enrichedTypes.filter(st => st.Price).length;
+        
+        // Get unique categories that will be shown
+        const finalCategories = [...new Set(enrichedTypes.map(st => st.CategoryName))];
+        
+        res.json({
+            success: true,
+            sessionTypes: enrichedTypes,
+            programs: programs,
+            servicesPrices: servicesPrices,
+            categories: finalCategories,
+            priceStats: { withPrices, total: enrichedTypes.length },
+            allTypes: sessionTypes,
+            catalog: { updatedAt: catalog.updatedAt, stale: catalog.stale }
+        });
+    } catch (error) {
+        log.error('Session types failed', errorFields(error));
+        sendRouteError(res, error);
+    }
+});
+
+/**
+ * 3b. Admin - Force a catalog refresh (programs, services, session types)
+ */
+app.post('/api/admin/catalog/refresh', requireAdminKey, async (req, res) => {
+    const catalogState = getCatalogState();
+    try {
+        await refreshCatalog('admin');
+        res.json({
+            success: true,
+            updatedAt: catalogState.updatedAt,
+            locations: Array.from(catalogState.sessionTypes.keys()).map(key => key || 'all'),
+            sessionTypes: catalogState.sessionTypes.get('')?.length || 0
+        });
+    } catch (error) {
+        sendError(res, 502, 'CATALOG_REFRESH_FAILED', 'Catalog refresh failed; still serving the last good copy', {
+            upstream: describeUpstreamError(error),
+            updatedAt: catalogState.updatedAt
+        });
+    }
+});
+
+/**
+ * 3c. Admin - Mindbody call usage (which endpoints and proxy routes cost the most)
+ */
+app.get('/api/admin/usage', requireAdminKey, (req, res) => {
+    refillOutboundTokens();
+    res.json({
+        success: true,
+        limits: {
+            callsPerSecond: CONFIG.mindbodyCallsPerSecond,
+            burst: CONFIG.mindbodyBurst,
+            dailyBudget: CONFIG.mindbodyDailyBudget || null
+        },
+        today: {
+            date: outboundLimiter.day,
+            calls: outboundLimiter.dayCount,
+            remaining: CONFIG.mindbodyDailyBudget ? Math.max(0, CONFIG.mindbodyDailyBudget - outboundLimiter.dayCount) : null
+        },
+        totalCalls: outboundLimiter.totalCount,
+        queued: outboundLimiter.queue.length,
+        availableTokens: Math.floor(outboundLimiter.tokens),
+        byRoute: rankCounts(outboundLimiter.byRoute, 'route'),
+        byTenant: rankCounts(outboundLimiter.byTenant, 'tenant'),
+        byEndpoint: rankCounts(outboundLimiter.byEndpoint, 'endpoint')
+    });
+});
+
+/**
+ * 4. Get Staff (basic list - NOT for availability!)
+ */
+app.get('/api/staff', validate({
+    query: {
+        locationId: { type: 'integer' },
+        sessionTypeIds: { type: 'ids' }
+    }
+}), async (req, res) => {
+    try {
+        const userToken = req.headers.authorization;
+        const { locationId, sessionTypeIds } = req.input;
+        
+        let endpoint = '/staff/staff';
+        const params = new URLSearchParams();
+        
+        if (locationId) params.append('LocationId', locationId);
+        if (sessionTypeIds) params.append('SessionTypeIds', sessionTypeIds);
+        
+        if (params.toString()) {
+            endpoint += `?${params.toString()}`;
+        }
+        
+        const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        
+        res.json({
+            success: true,
+            staff: data.StaffMembers || []
+        });
+    } catch (error) {
+        log.error('Staff lookup failed', errorFields(error));
+        sendRouteError(res, error);
+    }
+});
+
+/**
+ * 5a. GET AVAILABLE DATES - Get dates when staff are scheduled to work
+ * 
+ * Use this first to get dates, then use bookable-items for specific time slots
+ */
+app.get('/api/available-dates', withSiteTimeZone, validate({
+    // Mindbody takes a single ID for each of these on this endpoint
+    query: {
+        sessionTypeIds: { type: 'integer', required: true },
+        locationIds: { type: 'integer' },
+        staffIds: { type: 'integer' },
+        startDate: { type: 'date' },
+        endDate: { type: 'date' }
+    }
+}, checkDateRange), async (req, res) => {
     try {
-        const { sessionTypeId, locationId, staffId } = req.query;
+        const userToken = req.headers.authorization;
+        const { sessionTypeIds, locationIds, staffIds, startDate, endDate } = req.input;
         
-        console.log('🧪 TEST: Fetching available dates...');
-        console.log('   sessionTypeId:', sessionTypeId);
-        console.log('   locationId:', locationId);
-        console.log('   staffId:', staffId);
+        const params = new URLSearchParams();
         
-        const token = await getAccessToken();
+        // Mindbody uses 'sessionTypeId' (singular) for this endpoint
+        if (sessionTypeIds) params.append('sessionTypeId', sessionTypeIds);
+        if (locationIds) params.append('locationId', locationIds);
+        if (staffIds) params.append('staffId', staffIds);
         
-        const today = new Date();
-        const twentyNineDaysLater = new Date(today);
-        twentyNineDaysLater.setDate(today.getDate() + 29);
+        // Default to today (at the site) + 29 days (API limit is 30, use 29 to be safe) if not specified
+        const start = startDate || siteToday();
+        const end = endDate || addDays(siteToday(), 29);
         
-        const params = new URLSearchParams();
-        // Use singular parameter names for this endpoint
-        if (sessionTypeId) params.append('sessionTypeId', sessionTypeId);
-        if (locationId) params.append('locationId', locationId);
-        if (staffId) params.append('staffId', staffId);
-        params.append('startDate', today.toISOString().split('T')[0]);
-        params.append('endDate', twentyNineDaysLater.toISOString().split('T')[0]);
+        params.append('startDate', start);
+        params.append('endDate', end);
         
-        const response = await axios.get(
-            `${CONFIG.baseUrl}/appointment/availabledates?${params.toString()}`,
-            {
-                headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
-                    'Authorization': token,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const endpoint = `/appointment/availabledates?${params.toString()}`;
+        log.debug('Fetching available dates', { query: Object.fromEntries(params) });
         
-        console.log('✅ Available dates response:', JSON.stringify(response.data, null, 2));
+        const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        log.debug('Available dates response', { response: data });
         
         res.json({
             success: true,
-            availableDates: response.data.AvailableDates || [],
-            totalDates: (response.data.AvailableDates || []).length,
-            dateRange: {
-                start: today.toISOString().split('T')[0],
-                end: twentyNineDaysLater.toISOString().split('T')[0]
-            },
-            rawResponse: response.data
+            availableDates: data.AvailableDates || [],
+            dateRange: { start, end },
+            timeZone: currentTimeZone()
         });
         
     } catch (error) {
-        console.error('❌ Available dates error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data || error.message
-        });
+        log.error('Available dates failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 1a. Auto-Login (uses server-stored credentials - RECOMMENDED)
- * This keeps credentials secure on the backend
+ * 5b. ⭐ GET BOOKABLE ITEMS - THE KEY ENDPOINT! ⭐
+ * 
+ * This endpoint returns AVAILABLE appointment slots with staff info.
+ * Use this to determine which staff have availability!
+ * 
+ * Results are cached briefly (X-Cache header) and invalidated when a booking,
+ * cancellation or reschedule touches the day.
+ * 
+ * Windows that offer no start time (see SLOT GENERATION) are left out; slotsByStaff
+ * lists the start times themselves, per staff member and day. The same goes for the
+ * other availability routes below.
  */
-app.post('/api/auth/auto-login', async (req, res) => {
+app.get('/api/bookable-items', withSiteTimeZone, validate({
+    query: {
+        sessionTypeIds: { type: 'ids', required: true },
+        locationIds: { type: 'ids' },
+        staffIds: { type: 'ids' },
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        step: { type: 'integer' }
+    }
+}, checkAvailabilityQuery), async (req, res) => {
     try {
-        console.log('🔐 Auto-login with server credentials...');
+        const userToken = req.headers.authorization;
+        const { sessionTypeIds, locationIds, staffIds, startDate, endDate, step } = req.input;
+        const rules = slotRules(step);
         
-        const response = await axios.post(
-            `${CONFIG.baseUrl}/usertoken/issue`,
-            { 
-                Username: CONFIG.username, 
-                Password: CONFIG.password 
-            },
-            {
-                headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
-                    'Content-Type': 'application/json'
+        // Default to today (at the site) + 1 day if not specified (for single day queries)
+        const start = startDate || siteToday();
+        const end = endDate || addDays(siteToday(), 1);
+        
+        const { value, cacheStatus } = await getBookableItems(
+            { sessionTypeIds, locationIds, staffIds, start, end },
+            userToken
+        );
+        const allAvailabilities = bookableWindows(value.items, rules);
+        
+        log.debug('Bookable items', {
+            sessionTypeIds, locationIds, staffIds, start, end,
+            availabilities: allAvailabilities.length,
+            cache: cacheStatus,
+            sample: allAvailabilities[0]
+        });
+        if (value.pagination.truncated) {
+            log.warn('Bookable items truncated', { reason: value.pagination.truncatedReason, fetched: value.pagination.fetched, totalResults: value.pagination.totalResults });
+        }
+        res.set('X-Cache', cacheStatus);
+        
+        // Extract unique staff from the bookable items
+        const staffMap = new Map();
+        allAvailabilities.forEach(item => {
+            if (item.Staff) {
+                const staffId = item.Staff.Id;
+                if (!staffMap.has(staffId)) {
+                    staffMap.set(staffId, {
+                        id: staffId,
+                        firstName: item.Staff.FirstName,
+                        lastName: item.Staff.LastName,
+                        name: `${item.Staff.FirstName || ''} ${item.Staff.LastName || ''}`.trim(),
+                        gender: item.Staff.Gender,
+                        imageUrl: item.Staff.ImageUrl,
+                        slots: []
+                    });
                 }
+                staffMap.get(staffId).slots.push({
+                    startDateTime: withUtcOffset(item.StartDateTime),
+                    endDateTime: withUtcOffset(item.EndDateTime),
+                    sessionType: item.SessionType,
+                    location: item.Location
+                });
             }
-        );
+        });
         
-        console.log('✅ Auto-login successful');
+        // Convert to array and sort by slot count
+        const staffWithAvailability = Array.from(staffMap.values())
+            .map(s => ({
+                ...s,
+                availableSlots: s.slots.length
+            }))
+            .sort((a, b) => b.availableSlots - a.availableSlots);
         
         res.json({
             success: true,
-            accessToken: response.data.AccessToken,
-            user: response.data.User
+            Availabilities: allAvailabilities,
+            ScheduleItems: allAvailabilities,
+            scheduleItems: allAvailabilities,
+            StaffWithAvailability: staffWithAvailability,
+            staffWithAvailability: staffWithAvailability,
+            totalSlots: allAvailabilities.length,
+            slotsByStaff: slotsByStaffAndDay(allAvailabilities, rules),
+            dateRange: { start, end },
+            timeZone: currentTimeZone(),
+            pagination: value.pagination
         });
+        
     } catch (error) {
-        console.error('Auto-login error:', error.response?.data || error.message);
-        res.status(401).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || 'Authentication failed'
-        });
+        log.error('Bookable items failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 1b. User Authentication (for client login - if needed)
+ * 6. Get Staff WITH Availability (uses bookable-items internally)
+ * 
+ * This is a convenience endpoint that wraps bookable-items
+ * and returns only the staff who have availability.
  */
-app.post('/api/auth/login', async (req, res) => {
+app.get('/api/staff-with-availability', withSiteTimeZone, validate({
+    query: {
+        sessionTypeIds: { type: 'ids', required: true },
+        locationIds: { type: 'ids' },
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        step: { type: 'integer' }
+    }
+}, checkAvailabilityQuery), async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const userToken = req.headers.authorization;
+        const { sessionTypeIds, locationIds, startDate, endDate, step } = req.input;
+        const rules = slotRules(step);
         
-        const response = await axios.post(
-            `${CONFIG.baseUrl}/usertoken/issue`,
-            { Username: username, Password: password },
-            {
-                headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
-                    'Content-Type': 'application/json'
+        const start = startDate || siteToday();
+        const end = endDate || addDays(siteToday(), 14);
+        
+        const { value, cacheStatus } = await getBookableItems({ sessionTypeIds, locationIds, start, end }, userToken);
+        const scheduleItems = bookableWindows(value.items, rules);
+        res.set('X-Cache', cacheStatus);
+        
+        // Extract and deduplicate staff
+        const staffMap = new Map();
+        scheduleItems.forEach(item => {
+            if (item.Staff) {
+                const staffId = item.Staff.Id;
+                if (!staffMap.has(staffId)) {
+                    staffMap.set(staffId, {
+                        Id: staffId,
+                        FirstName: item.Staff.FirstName,
+                        LastName: item.Staff.LastName,
+                        Name: `${item.Staff.FirstName || ''} ${item.Staff.LastName || ''}`.trim(),
+                        Gender: item.Staff.Gender,
+                        ImageUrl: item.Staff.ImageUrl,
+                        Bio: item.Staff.Bio,
+                        availableSlotCount: 0,
+                        availableSlots: []
+                    });
                 }
+                staffMap.get(staffId).availableSlotCount++;
+                staffMap.get(staffId).availableSlots.push({
+                    StartDateTime: withUtcOffset(item.StartDateTime),
+                    EndDateTime: withUtcOffset(item.EndDateTime)
+                });
             }
-        );
+        });
+        
+        const staffWithAvailability = Array.from(staffMap.values())
+            .sort((a, b) => b.availableSlotCount - a.availableSlotCount);
         
         res.json({
             success: true,
-            accessToken: response.data.AccessToken,
-            user: response.data.User
+            staff: staffWithAvailability,
+            totalStaffWithAvailability: staffWithAvailability.length,
+            totalAvailableSlots: scheduleItems.length,
+            slotsByStaff: slotsByStaffAndDay(scheduleItems, rules),
+            dateRange: { startDate: start, endDate: end },
+            timeZone: currentTimeZone(),
+            pagination: value.pagination,
+            message: staffWithAvailability.length === 0 
+                ? 'No therapists have availability in the selected date range. Try a different date range or check if schedules are configured in Mindbody.'
+                : `Found ${staffWithAvailability.length} therapists with ${scheduleItems.length} total available slots.`
         });
+        
     } catch (error) {
-        console.error('Login error:', error.response?.data || error.message);
-        res.status(401).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || 'Authentication failed'
-        });
+        log.error('Staff availability failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 2. Get Locations
+ * 7. Get Available Time Slots for a Specific Staff Member
  */
-app.get('/api/locations', async (req, res) => {
+app.get('/api/available-slots', withSiteTimeZone, validate({
+    query: {
+        sessionTypeIds: { type: 'ids', required: true },
+        locationIds: { type: 'ids' },
+        staffId: { type: 'integer' },
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        step: { type: 'integer' }
+    }
+}, checkAvailabilityQuery), async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        const data = await callMindbodyAPI('/site/locations', 'GET', null, userToken);
+        const { sessionTypeIds, locationIds, staffId, startDate, endDate, step } = req.input;
+        const rules = slotRules(step);
+        
+        const start = startDate || siteToday();
+        const end = endDate || addDays(siteToday(), 14);
+        
+        const { value, cacheStatus } = await getBookableItems(
+            { sessionTypeIds, locationIds, staffIds: staffId, start, end },
+            userToken
+        );
+        const scheduleItems = bookableWindows(value.items, rules);
+        res.set('X-Cache', cacheStatus);
+        
+        // Group by date
+        const slotsByDate = {};
+        scheduleItems.forEach(item => {
+            const date = item.StartDateTime.split('T')[0];
+            if (!slotsByDate[date]) {
+                slotsByDate[date] = [];
+            }
+            slotsByDate[date].push({
+                startDateTime: withUtcOffset(item.StartDateTime),
+                endDateTime: withUtcOffset(item.EndDateTime),
+                staff: item.Staff,
+                sessionType: item.SessionType
+            });
+        });
         
         res.json({
             success: true,
-            locations: data.Locations || []
+            slots: scheduleItems,
+            slotsByDate: slotsByDate,
+            slotsByStaff: slotsByStaffAndDay(scheduleItems, rules),
+            totalSlots: scheduleItems.length,
+            timeZone: currentTimeZone(),
+            pagination: value.pagination
         });
+        
     } catch (error) {
-        console.error('Locations error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        log.error('Available slots failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 3. Get Session Types (Services/Appointments)
+ * 7a. Next Available - the soonest slots for one or more session types
+ * 
+ * Days without availability are skipped using available dates; bookable items are
+ * then read day by day (through the availability cache) until `limit` slots are found
+ * or the horizon of `days` days from startDate runs out.
  */
-app.get('/api/session-types', async (req, res) => {
+app.get('/api/next-available', withSiteTimeZone, validate({
+    query: {
+        sessionTypeIds: { type: 'ids', required: true },
+        locationIds: { type: 'ids' },
+        staffIds: { type: 'ids' },
+        gender: { type: 'enum', values: ['female', 'male'] },
+        startDate: { type: 'date' },
+        days: { type: 'integer', default: 30 },
+        limit: { type: 'integer', default: 5 },
+        step: { type: 'integer' }
+    }
+}, (input) => {
+    const problem = checkAvailabilityQuery(input);
+    if (problem) return problem;
+    if (input.days < 1 || input.days > NEXT_AVAILABLE_MAX_DAYS) {
+        return { field: 'days', message: `days must be between 1 and ${NEXT_AVAILABLE_MAX_DAYS}` };
+    }
+    if (input.limit < 1 || input.limit > NEXT_AVAILABLE_MAX_LIMIT) {
+        return { field: 'limit', message: `limit must be between 1 and ${NEXT_AVAILABLE_MAX_LIMIT}` };
+    }
+    return null;
+}), async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        const { locationId, onlineOnly } = req.query;
-        
-        // Fetch programs - this is the primary source for service categories
-        // Only include programs with ScheduleType "Appointment" (online bookable)
-        let programs = {};
-        try {
-            const programsData = await callMindbodyAPI('/site/programs', 'GET', null, userToken);
-            if (programsData.Programs) {
-                programsData.Programs.forEach(prog => {
-                    // ScheduleType can be: "All", "Class", "Enrollment", "Appointment", "Resource", "Media", "Arrival"
-                    // For spa/salon appointments, we want "Appointment" type
-                    if (prog.ScheduleType === 'Appointment') {
-                        programs[prog.Id] = prog.Name;
-                        console.log(`✓ Program ${prog.Id}: ${prog.Name} (ScheduleType: ${prog.ScheduleType})`);
-                    } else {
-                        console.log(`✗ Skipping Program ${prog.Id}: ${prog.Name} (ScheduleType: ${prog.ScheduleType})`);
-                    }
-                });
-                console.log('📂 Online-bookable Programs:', Object.values(programs));
-            }
-        } catch (progError) {
-            console.log('⚠️ Could not fetch programs:', progError.message);
-        }
-        
-        // Fetch prices AND descriptions from /sale/services endpoint
-        // Price before tax = Price - TaxIncluded
-        let servicesPrices = {};
-        let servicesDescriptions = {};
-        try {
-            const servicesData = await callMindbodyAPI('/sale/services', 'GET', null, userToken);
-            if (servicesData.Services) {
-                console.log('💰 Total services from sale API:', servicesData.Services.length);
-                
-                // Log first service to see all available fields
-                if (servicesData.Services.length > 0) {
-                    console.log('💰 Service fields available:', Object.keys(servicesData.Services[0]));
-                    console.log('💰 First service ALL fields:', JSON.stringify(servicesData.Services[0], null, 2));
-                }
-                
-                servicesData.Services.forEach(svc => {
-                    if (svc.Price) {
-                        // Calculate pre-tax price: Price - TaxIncluded
-                        const taxAmount = svc.TaxIncluded || 0;
-                        const preTaxPrice = svc.Price - taxAmount;
-                        
-                        // Store by name for matching to session types
-                        servicesPrices[svc.Name] = preTaxPrice;
-                    }
-                    
-                    // Store description by name - check OnlineDescription first, then Description
-                    const desc = svc.OnlineDescription || svc.Description || null;
-                    if (desc) {
-                        servicesDescriptions[svc.Name] = desc;
-                    }
-                });
-                console.log('💰 Services with prices:', Object.keys(servicesPrices).length);
-                console.log('📝 Services with descriptions:', Object.keys(servicesDescriptions).length);
-                
-                // Log sample descriptions
-                const descKeys = Object.keys(servicesDescriptions).slice(0, 3);
-                descKeys.forEach(key => {
-                    console.log(`📝 Sample desc for "${key}": ${servicesDescriptions[key].substring(0, 100)}...`);
-                });
-            }
-        } catch (servicesError) {
-            console.log('⚠️ Could not fetch services:', servicesError.message);
-        }
-        
-        let endpoint = '/site/sessiontypes';
-        const params = new URLSearchParams();
-        
-        // Always filter for online-only session types
-        params.append('OnlineOnly', 'true');
-        if (locationId) params.append('LocationIds', locationId);
-        
-        if (params.toString()) {
-            endpoint += `?${params.toString()}`;
-        }
+        const { sessionTypeIds, locationIds, staffIds, gender, days, limit, step } = req.input;
+        const rules = slotRules(step);
         
-        const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        // Nothing past the booking horizon is offered, so the search stops there too
+        const start = req.input.startDate && req.input.startDate > siteToday() ? req.input.startDate : siteToday();
+        const end = [addDays(start, days - 1), rules.lastDay].sort()[0];
         
-        // Filter for Appointment types only (not Classes)
-        const appointmentTypes = (data.SessionTypes || []).filter(st => 
-            st.Type === 'Appointment' || st.Type === 'Service'
+        const result = await findNextAvailable(
+            { sessionTypeIds, locationIds, staffIds, gender, start, end, limit, rules },
+            userToken
         );
         
-        // Log first item structure for debugging
-        if (appointmentTypes.length > 0) {
-            console.log('📋 Sample session type - Id:', appointmentTypes[0].Id);
-            console.log('📋 Sample session type - Name:', appointmentTypes[0].Name);
-            console.log('📋 Sample session type - Description:', appointmentTypes[0].Description);
-            console.log('📋 Sample session type - OnlineDescription:', appointmentTypes[0].OnlineDescription);
-            console.log('📋 Sample session type - ProgramId:', appointmentTypes[0].ProgramId);
-            console.log('📋 Sample session type - Program:', programs[appointmentTypes[0].ProgramId]);
-            console.log('💰 Sample session type - from Services:', servicesPrices[appointmentTypes[0].Name]);
-            console.log('📋 Session type ALL fields:', JSON.stringify(appointmentTypes[0], null, 2));
-        }
-        
-        // Categories to exclude (generic/system categories, not real treatment categories)
-        const excludedCategories = ['Appointment', 'Appointments', 'Service', 'Services'];
-        
-        // Enrich session types with program name as category, prices and descriptions from /sale/services
-        const enrichedTypes = appointmentTypes
-            .map(st => {
-                // Get price from /sale/services by name match (pre-tax price)
-                const price = servicesPrices[st.Name] || null;
-                // Get description - check multiple possible sources:
-                // 1. OnlineDescription from session types (newest API field)
-                // 2. Description from /sale/services
-                // 3. Description from session types
-                const description = st.OnlineDescription || servicesDescriptions[st.Name] || st.Description || null;
-                
-                // Log if we found a description for debugging
-                if (description) {
-                    console.log(`📝 Found description for "${st.Name}" from: ${st.OnlineDescription ? 'OnlineDescription' : (servicesDescriptions[st.Name] ? '/sale/services' : 'st.Description')}`);
-                }
-                
-                return {
-                    ...st,
-                    // Use Program name as category (from ProgramId lookup)
-                    CategoryName: programs[st.ProgramId] || null,
-                    // Pre-tax price from /sale/services
-                    Price: price,
-                    // Description from best available source
-                    Description: description
-                };
-            })
-            // Filter out services without a real category or with excluded category names
-            .filter(st => st.CategoryName && !excludedCategories.includes(st.CategoryName));
-        
-        // Count how many have prices
-        const withPrices = enrichedTypes.filter(st => st.Price).length;
-        const withDescriptions = enrichedTypes.filter(st => st.Description).length;
-        console.log('💰 Services with prices:', withPrices, '/', enrichedTypes.length);
-        console.log('📝 Services with descriptions:', withDescriptions, '/', enrichedTypes.length);
-        
-        // Log sample with price and description
-        if (enrichedTypes.length > 0) {
-            const sample = enrichedTypes[0];
-            console.log('📋 Sample service:', sample.Name);
-            console.log('   Price:', sample.Price);
-            console.log('   Description:', sample.Description);
-        }
-        
-        // Get unique categories that will be shown
-        const finalCategories = [...new Set(enrichedTypes.map(st => st.CategoryName))];
-        console.log('📂 Final categories (excluding Appointment):', finalCategories);
+        log.debug('Next available', {
+            sessionTypeIds, locationIds, staffIds, gender, start, end,
+            availableDays: result.availableDays,
+            daysChecked: result.daysChecked,
+            slots: result.slots.length
+        });
         
         res.json({
             success: true,
-            sessionTypes: enrichedTypes,
-            programs: programs,
-            servicesPrices: servicesPrices,
-            categories: finalCategories,
-            priceStats: { withPrices, total: enrichedTypes.length },
-            allTypes: data.SessionTypes || []
+            slots: result.slots,
+            totalSlots: result.slots.length,
+            searched: { startDate: start, endDate: end, daysChecked: result.daysChecked },
+            timeZone: currentTimeZone()
         });
+        
     } catch (error) {
-        console.error('Session types error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        log.error('Next available failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 4. Get Staff (basic list - NOT for availability!)
+ * 7b. Get Client's Upcoming Appointments
+ * Requires a client session for the same clientId (X-Session-Token).
  */
-app.get('/api/staff', async (req, res) => {
+app.get('/api/clients/:clientId/appointments', requireClientSession, withSiteTimeZone, validate({
+    params: {
+        clientId: { type: 'id', required: true }
+    }
+}), async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        const { locationId, sessionTypeIds } = req.query;
+        const { clientId } = req.input;
         
-        let endpoint = '/staff/staff';
-        const params = new URLSearchParams();
+        log.debug('Fetching client appointments', { clientId });
         
-        if (locationId) params.append('LocationId', locationId);
-        if (sessionTypeIds) params.append('SessionTypeIds', sessionTypeIds);
+        // Get appointments from today (at the site) for the next 60 days
+        const now = siteNow();
+        const startDate = now.slice(0, 10);
+        const endDate = addDays(startDate, 60);
         
-        if (params.toString()) {
-            endpoint += `?${params.toString()}`;
-        }
+        const data = await callMindbodyAPI(
+            `/appointment/clientappointments?ClientId=${clientId}&StartDate=${startDate}&EndDate=${endDate}`,
+            'GET',
+            null,
+            userToken
+        );
         
-        const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        const appointments = data.Appointments || [];
+        
+        // Filter only future appointments (not past, not cancelled); both sides are site wall-clock times
+        const upcomingAppointments = appointments.filter(apt => {
+            return wallClockMs(apt.StartDateTime) >= wallClockMs(now) && apt.Status !== 'Cancelled';
+        });
+        
+        log.debug('Client appointments', { clientId, upcoming: upcomingAppointments.length });
         
         res.json({
             success: true,
-            staff: data.StaffMembers || []
+            appointments: upcomingAppointments.map(formatClientAppointment),
+            timeZone: currentTimeZone()
         });
+        
     } catch (error) {
-        console.error('Staff error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        log.error('Client appointments failed', errorFields(error));
+        sendRouteError(res, error, { appointments: [] });
     }
 });
 
 /**
- * 5a. GET AVAILABLE DATES - Get dates when staff are scheduled to work
+ * 8. Book Appointment
  * 
- * Use this first to get dates, then use bookable-items for specific time slots
+ * APPOINTMENT REQUEST MODE (November 2024):
+ * The AddAppointment endpoint supports IsRequest parameter to create pending requests.
+ * 
+ * IMPORTANT: For IsRequest to work, one of these conditions must be met:
+ * 1. Anonymous call (no authentication token) - WE USE THIS
+ * 2. Consumer token authentication
+ * 3. Staff without BookAppointmentsForAllStaff permission booking for other staff
+ * 
+ * Additionally, AllowClientsToBookAppointments must be DISABLED in Mindbody settings.
+ * 
+ * Requires a client session (X-Session-Token); the booking is made for that client.
+ * Retries carrying the same Idempotency-Key header replay the first response.
  */
-app.get('/api/available-dates', async (req, res) => {
+app.post('/api/appointments/book',
+    rateLimit({ name: 'booking-ip', limit: CONFIG.rateLimits.bookingPerIp, key: byIp }),
+    requireClientSession,
+    rateLimit({ name: 'booking-client', limit: CONFIG.rateLimits.bookingPerClient, key: req => req.clientSession.clientId }),
+    withSiteTimeZone,
+    validate({
+        body: {
+            startDateTime: { type: 'datetime', required: true, aliases: ['StartDateTime'] },
+            staffId: { type: 'integer', required: true, aliases: ['StaffId'] },
+            sessionTypeId: { type: 'integer', required: true, aliases: ['SessionTypeId'] },
+            locationId: { type: 'integer', aliases: ['LocationId'] },
+            clientId: { type: 'id', required: true, aliases: ['ClientId'] },
+            applyPayment: { type: 'boolean', aliases: ['ApplyPayment'], default: false },
+            sendEmail: { type: 'boolean', aliases: ['SendEmail'], default: true },
+            notes: { type: 'string', aliases: ['Notes'] },
+            isRequest: { type: 'boolean', aliases: ['IsRequest'] },
+            step: { type: 'integer', aliases: ['Step'] }
+        }
+    }, checkAvailabilityQuery),
+    idempotent('appointments/book'),
+    async (req, res) => {
+    // Appointment Request Mode
+    const useRequestMode = req.input.isRequest !== undefined 
+        ? req.input.isRequest 
+        : currentTenant().appointmentRequestMode;
+    const countBooking = (outcome) => metrics.bookings.inc({
+        tenant: currentTenant().id,
+        mode: useRequestMode ? 'request' : 'direct',
+        outcome
+    });
+    
     try {
         const userToken = req.headers.authorization;
-        const { sessionTypeIds, locationIds, staffIds, startDate, endDate } = req.query;
+        const {
+            startDateTime, locationId, staffId, clientId, sessionTypeId,
+            applyPayment, sendEmail, notes, step
+        } = req.input;
+        const rules = slotRules(step);
+        
+        log.info(useRequestMode ? 'Creating appointment request' : 'Booking appointment', {
+            clientId, sessionTypeId, staffId, locationId, startDateTime,
+            mode: useRequestMode ? 'request' : 'direct'
+        });
         
-        const params = new URLSearchParams();
+        // Re-validate the slot so stale UIs don't book (or request) a time that's gone
+        const availabilities = await getBookableItemsForDay(
+            { sessionTypeId, locationId, staffId, startDateTime },
+            userToken
+        );
         
-        // Mindbody uses 'sessionTypeId' (singular) for this endpoint
-        if (sessionTypeIds) params.append('sessionTypeId', sessionTypeIds);
-        if (locationIds) params.append('locationId', locationIds);
-        if (staffIds) params.append('staffId', staffIds);
+        if (!isSlotBookable(availabilities, staffId, startDateTime, null, rules)) {
+            log.info('Slot no longer available', { startDateTime, staffId });
+            countBooking('slot_unavailable');
+            return sendError(res, 409, 'SLOT_NO_LONGER_AVAILABLE',
+                'El horario seleccionado ya no está disponible. Por favor elige otro.', {
+                    requested: { startDateTime, staffId, sessionTypeId, locationId },
+                    alternatives: findNearestSlots(availabilities, staffId, startDateTime, null, rules)
+                });
+        }
         
-        // Default to today + 29 days (API limit is 30, use 29 to be safe) if not specified
-        const start = startDate || new Date().toISOString().split('T')[0];
-        const end = endDate || new Date(Date.now() + 29 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const appointmentData = {
+            StartDateTime: startDateTime,
+            LocationId: locationId,
+            StaffId: staffId,
+            ClientId: clientId,
+            SessionTypeId: sessionTypeId,
+            ApplyPayment: applyPayment,
+            SendEmail: sendEmail
+        };
         
-        params.append('startDate', start);
-        params.append('endDate', end);
+        if (useRequestMode) {
+            appointmentData.IsRequest = true;
+        }
         
-        const endpoint = `/appointment/availabledates?${params.toString()}`;
-        console.log('📅 Fetching available dates:', params.toString());
+        if (notes) {
+            appointmentData.Notes = notes;
+        }
         
-        const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        log.debug('Sending appointment to Mindbody', { appointment: appointmentData });
         
-        console.log('📅 Available dates response:', JSON.stringify(data, null, 2));
+        const data = await addAppointment(appointmentData, userToken);
+        
+        invalidateAvailability(startDateTime.split('T')[0]);
+        
+        countBooking('success');
+        log.info('Appointment created', { appointmentId: data.Appointment?.Id, status: data.Appointment?.Status });
+        log.debug('Mindbody addappointment response', { response: data });
         
         res.json({
             success: true,
-            availableDates: data.AvailableDates || [],
-            dateRange: { start, end }
+            appointment: data.Appointment,
+            isRequest: useRequestMode,
+            timeZone: currentTimeZone(),
+            message: useRequestMode 
+                ? 'Solicitud de cita creada. Pendiente de aprobación.'
+                : 'Appointment booked successfully!'
         });
         
     } catch (error) {
-        console.error('❌ Available dates error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        countBooking('failure');
+        log.error('Booking failed', errorFields(error));
+        sendRouteError(res, error, { details: error.response?.data });
     }
 });
 
 /**
- * 5b. ⭐ GET BOOKABLE ITEMS - THE KEY ENDPOINT! ⭐
+ * 8b. Cancel Appointment
  * 
- * This endpoint returns AVAILABLE appointment slots with staff info.
- * Use this to determine which staff have availability!
+ * Cancellations inside the late-cancel window (CONFIG.lateCancelWindowHours before
+ * StartDateTime) are rejected with code LATE_CANCEL_WINDOW unless the caller sends
+ * lateCancel: true, in which case Mindbody records it as a late cancel. Appointments
+ * that have started or finished are refused (APPOINTMENT_ALREADY_STARTED).
+ * Requires a client session; only the session's own appointments can be cancelled.
  */
-app.get('/api/bookable-items', async (req, res) => {
+app.post('/api/appointments/:id/cancel', requireClientSession, withSiteTimeZone, validate({
+    params: {
+        id: { type: 'integer', required: true }
+    },
+    body: {
+        clientId: { type: 'id', aliases: ['ClientId'] },
+        lateCancel: { type: 'boolean', aliases: ['LateCancel'], default: false },
+        sendEmail: { type: 'boolean', aliases: ['SendEmail'], default: true }
+    }
+}), async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        const { sessionTypeIds, locationIds, staffIds, startDate, endDate } = req.query;
-        
-        // Build query params
-        const params = new URLSearchParams();
-        
-        // Required: sessionTypeIds
-        if (sessionTypeIds) {
-            params.append('sessionTypeIds', sessionTypeIds);
-        }
+        const { id, clientId, lateCancel, sendEmail } = req.input;
         
-        // Optional filters
-        if (locationIds) params.append('locationIds', locationIds);
-        if (staffIds) params.append('staffIds', staffIds);
-        
-        // Default to today + 1 day if not specified (for single day queries)
-        const start = startDate || new Date().toISOString().split('T')[0];
-        const end = endDate || new Date(Date.now() + 1 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-        
-        params.append('startDate', start);
-        params.append('endDate', end);
+        log.info('Cancel request', { appointmentId: id, lateCancel });
         
-        console.log('📅 Fetching bookable items:', params.toString());
-        
-        // First request to get total count
-        const endpoint = `/appointment/bookableitems?${params.toString()}`;
-        const firstData = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        const appointment = await getAppointmentById(id, userToken);
         
-        let allAvailabilities = firstData.Availabilities || [];
-        const totalResults = firstData.PaginationResponse?.TotalResults || allAvailabilities.length;
+        if (!appointment || (clientId && String(appointment.ClientId) !== String(clientId))) {
+            return sendError(res, 404, 'APPOINTMENT_NOT_FOUND', 'No se encontró la cita');
+        }
         
-        console.log(`📦 First page: ${allAvailabilities.length} items, Total: ${totalResults}`);
+        if (appointment.Status === 'Cancelled' || appointment.Status === 'LateCancelled') {
+            return sendError(res, 409, 'APPOINTMENT_ALREADY_CANCELLED', 'La cita ya fue cancelada', {
+                appointment: formatClientAppointment(appointment)
+            });
+        }
         
-        // If there are more results, fetch additional pages
-        if (totalResults > allAvailabilities.length) {
-            let offset = allAvailabilities.length;
-            const limit = 100;
-            
-            while (offset < totalResults && offset < 1000) {
-                const pagedParams = new URLSearchParams(params);
-                pagedParams.append('limit', limit.toString());
-                pagedParams.append('offset', offset.toString());
-                
-                const pagedEndpoint = `/appointment/bookableitems?${pagedParams.toString()}`;
-                console.log(`📅 Fetching page at offset ${offset}...`);
-                
-                try {
-                    const pageData = await callMindbodyAPI(pagedEndpoint, 'GET', null, userToken);
-                    const pageItems = pageData.Availabilities || [];
-                    console.log(`📦 Page returned ${pageItems.length} items`);
-                    
-                    if (pageItems.length === 0) break;
-                    
-                    allAvailabilities = allAvailabilities.concat(pageItems);
-                    offset += pageItems.length;
-                } catch (pageErr) {
-                    console.log('⚠️ Page fetch error, stopping:', pageErr.message);
-                    break;
-                }
-            }
+        if (hasAppointmentStarted(appointment)) {
+            return sendError(res, 409, 'APPOINTMENT_ALREADY_STARTED', 'La cita ya comenzó o ya pasó y no se puede cancelar', {
+                appointment: formatClientAppointment(appointment)
+            });
         }
         
-        console.log(`📦 TOTAL Availabilities collected: ${allAvailabilities.length}`);
+        const hoursUntilStart = (siteTimeToEpochMs(appointment.StartDateTime) - Date.now()) / (60 * 60 * 1000);
+        const isLate = hoursUntilStart < CONFIG.lateCancelWindowHours;
         
-        // Log first item for debugging
-        if (allAvailabilities.length > 0) {
-            console.log('✅ First availability sample:', JSON.stringify(allAvailabilities[0], null, 2));
-        } else {
-            console.log('⚠️ No availabilities found');
+        if (isLate && !lateCancel) {
+            log.info('Inside late-cancel window', { appointmentId: id, hoursUntilStart: Number(hoursUntilStart.toFixed(1)) });
+            return sendError(res, 409, 'LATE_CANCEL_WINDOW',
+                `Las cancelaciones con menos de ${CONFIG.lateCancelWindowHours} horas de anticipación se consideran tardías`, {
+                    lateCancelWindowHours: CONFIG.lateCancelWindowHours,
+                    hoursUntilStart: Math.max(0, Number(hoursUntilStart.toFixed(2))),
+                    hint: 'Send lateCancel: true to cancel anyway as a late cancellation'
+                });
         }
         
-        // Extract unique staff from the bookable items
-        const staffMap = new Map();
-        allAvailabilities.forEach(item => {
-            if (item.Staff) {
-                const staffId = item.Staff.Id;
-                if (!staffMap.has(staffId)) {
-                    staffMap.set(staffId, {
-                        id: staffId,
-                        firstName: item.Staff.FirstName,
-                        lastName: item.Staff.LastName,
-                        name: `${item.Staff.FirstName || ''} ${item.Staff.LastName || ''}`.trim(),
-                        gender: item.Staff.Gender,
-                        imageUrl: item.Staff.ImageUrl,
-                        slots: []
-                    });
-                }
-                staffMap.get(staffId).slots.push({
-                    startDateTime: item.StartDateTime,
-                    endDateTime: item.EndDateTime,
-                    sessionType: item.SessionType,
-                    location: item.Location
-                });
-            }
-        });
+        const data = await callMindbodyAPI(
+            '/appointment/updateappointment',
+            'POST',
+            {
+                AppointmentId: appointment.Id,
+                Execute: isLate ? 'latecancel' : 'cancel',
+                SendEmail: sendEmail
+            },
+            userToken
+        );
         
-        // Convert to array and sort by slot count
-        const staffWithAvailability = Array.from(staffMap.values())
-            .map(s => ({
-                ...s,
-                availableSlots: s.slots.length
-            }))
-            .sort((a, b) => b.availableSlots - a.availableSlots);
+        // Mindbody returns the updated appointment; fall back to what we fetched
+        const updated = data.Appointment || { ...appointment, Status: isLate ? 'LateCancelled' : 'Cancelled' };
         
-        console.log(`👥 Staff with availability: ${staffWithAvailability.length}`);
-        console.log(`✅ Total slots: ${allAvailabilities.length}`);
+        invalidateAvailability(appointment.StartDateTime.split('T')[0]);
+        
+        log.info('Appointment cancelled', { appointmentId: updated.Id, status: updated.Status });
         
         res.json({
             success: true,
-            Availabilities: allAvailabilities,
-            ScheduleItems: allAvailabilities,
-            scheduleItems: allAvailabilities,
-            StaffWithAvailability: staffWithAvailability,
-            staffWithAvailability: staffWithAvailability,
-            totalSlots: allAvailabilities.length,
-            dateRange: { start, end },
-            pagination: { totalResults, fetched: allAvailabilities.length }
+            appointment: formatClientAppointment(updated),
+            lateCancel: isLate,
+            timeZone: currentTimeZone(),
+            message: isLate ? 'Cita cancelada (cancelación tardía)' : 'Cita cancelada'
         });
         
     } catch (error) {
-        console.error('❌ Bookable items error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        log.error('Cancel failed', errorFields(error));
+        sendRouteError(res, error, { details: error.response?.data });
     }
 });
 
 /**
- * 6. Get Staff WITH Availability (uses bookable-items internally)
+ * 8c. Reschedule Appointment
  * 
- * This is a convenience endpoint that wraps bookable-items
- * and returns only the staff who have availability.
+ * Re-validates the new slot against bookable items and then moves the appointment
+ * in a single updateappointment call, so a failure leaves the original booking as is.
+ * Appointments that have started or finished stay put (APPOINTMENT_ALREADY_STARTED).
+ * Requires a client session; only the session's own appointments can be moved.
  */
-app.get('/api/staff-with-availability', async (req, res) => {
+app.post('/api/appointments/:id/reschedule', requireClientSession, withSiteTimeZone, validate({
+    params: {
+        id: { type: 'integer', required: true }
+    },
+    body: {
+        startDateTime: { type: 'datetime', required: true, aliases: ['StartDateTime'] },
+        staffId: { type: 'integer', required: true, aliases: ['StaffId'] },
+        sessionTypeId: { type: 'integer', aliases: ['SessionTypeId'] },
+        clientId: { type: 'id', aliases: ['ClientId'] },
+        sendEmail: { type: 'boolean', aliases: ['SendEmail'], default: true },
+        step: { type: 'integer', aliases: ['Step'] }
+    }
+}, checkAvailabilityQuery), async (req, res) => {
+    const userToken = req.headers.authorization;
+    const { id, startDateTime, staffId, clientId, sendEmail, step } = req.input;
+    let appointment = null;
+    
     try {
-        const userToken = req.headers.authorization;
-        const { sessionTypeIds, locationIds, startDate, endDate } = req.query;
+        log.info('Reschedule request', { appointmentId: id, startDateTime, staffId });
         
-        if (!sessionTypeIds) {
-            return res.status(400).json({
-                success: false,
-                error: 'sessionTypeIds is required'
+        appointment = await getAppointmentById(id, userToken);
+        
+        if (!appointment || (clientId && String(appointment.ClientId) !== String(clientId))) {
+            return sendError(res, 404, 'APPOINTMENT_NOT_FOUND', 'No se encontró la cita');
+        }
+        
+        if (appointment.Status === 'Cancelled' || appointment.Status === 'LateCancelled') {
+            return sendError(res, 409, 'APPOINTMENT_ALREADY_CANCELLED', 'La cita ya fue cancelada', {
+                appointment: formatClientAppointment(appointment)
             });
         }
         
-        // Build query params
-        const params = new URLSearchParams();
-        params.append('sessionTypeIds', sessionTypeIds);
-        if (locationIds) params.append('locationIds', locationIds);
+        if (hasAppointmentStarted(appointment)) {
+            return sendError(res, 409, 'APPOINTMENT_ALREADY_STARTED', 'La cita ya comenzó o ya pasó y no se puede cambiar', {
+                appointment: formatClientAppointment(appointment)
+            });
+        }
         
-        const start = startDate || new Date().toISOString().split('T')[0];
-        const end = endDate || new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-        params.append('startDate', start);
-        params.append('endDate', end);
-        params.append('limit', '500');
+        const sessionTypeId = req.input.sessionTypeId || appointment.SessionTypeId || appointment.SessionType?.Id;
+        const locationId = appointment.LocationId || appointment.Location?.Id;
         
-        const endpoint = `/appointment/bookableitems?${params.toString()}`;
-        const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        // Keep the original length when the treatment itself isn't changing
+        const sameSessionType = String(sessionTypeId) === String(appointment.SessionTypeId || appointment.SessionType?.Id);
+        const durationMinutes = sameSessionType && appointment.EndDateTime
+            ? (wallClockMs(appointment.EndDateTime) - wallClockMs(appointment.StartDateTime)) / 60000
+            : null;
         
-        // NOTE: Mindbody returns "Availabilities" not "ScheduleItems"
-        const scheduleItems = data.Availabilities || data.ScheduleItems || [];
+        let availabilities = await getBookableItemsForDay(
+            { sessionTypeId, locationId, staffId, startDateTime },
+            userToken
+        );
+        // Same therapist, same day: the appointment's current time is free to move into
+        const sameStaff = String(staffId) === String(appointment.StaffId ?? appointment.Staff?.Id);
+        if (sameStaff && String(appointment.StartDateTime).slice(0, 10) === startDateTime.slice(0, 10)) {
+            availabilities = withAppointmentTimeFree(availabilities, appointment);
+        }
         
-        // Extract and deduplicate staff
-        const staffMap = new Map();
-        scheduleItems.forEach(item => {
-            if (item.Staff) {
-                const staffId = item.Staff.Id;
-                if (!staffMap.has(staffId)) {
-                    staffMap.set(staffId, {
-                        Id: staffId,
-                        FirstName: item.Staff.FirstName,
-                        LastName: item.Staff.LastName,
-                        Name: `${item.Staff.FirstName || ''} ${item.Staff.LastName || ''}`.trim(),
-                        Gender: item.Staff.Gender,
-                        ImageUrl: item.Staff.ImageUrl,
-                        Bio: item.Staff.Bio,
-                        availableSlotCount: 0,
-                        availableSlots: []
-                    });
-                }
-                staffMap.get(staffId).availableSlotCount++;
-                staffMap.get(staffId).availableSlots.push({
-                    StartDateTime: item.StartDateTime,
-                    EndDateTime: item.EndDateTime
+        const rules = slotRules(step);
+        if (!isSlotBookable(availabilities, staffId, startDateTime, durationMinutes, rules)) {
+            log.info('Requested slot is not bookable, original appointment kept', { appointmentId: id });
+            return sendError(res, 409, 'SLOT_NO_LONGER_AVAILABLE',
+                'El horario seleccionado ya no está disponible. Tu cita original no fue modificada.', {
+                    appointment: formatClientAppointment(appointment),
+                    alternatives: findNearestSlots(availabilities, staffId, startDateTime, durationMinutes, rules)
                 });
-            }
+        }
+        
+        const updateData = {
+            AppointmentId: appointment.Id,
+            StartDateTime: startDateTime,
+            StaffId: staffId,
+            SessionTypeId: sessionTypeId,
+            SendEmail: sendEmail
+        };
+        
+        let data;
+        try {
+            data = await callMindbodyAPI('/appointment/updateappointment', 'POST', updateData, userToken);
+        } catch (updateError) {
+            log.error('Mindbody rejected reschedule', { appointmentId: id, ...errorFields(updateError) });
+            return sendError(res, 502, 'RESCHEDULE_FAILED',
+                'No se pudo mover la cita. Tu cita original no fue modificada.', {
+                    upstream: describeUpstreamError(updateError),
+                    appointment: formatClientAppointment(appointment),
+                    details: updateError.response?.data
+                });
+        }
+        
+        const updated = data.Appointment || { ...appointment, StartDateTime: startDateTime, StaffId: staffId };
+        
+        invalidateAvailability(appointment.StartDateTime.split('T')[0]);
+        invalidateAvailability(startDateTime.split('T')[0]);
+        
+        log.info('Appointment rescheduled', { appointmentId: updated.Id, startDateTime: updated.StartDateTime });
+        
+        res.json({
+            success: true,
+            appointment: formatClientAppointment(updated),
+            previous: formatClientAppointment(appointment),
+            timeZone: currentTimeZone(),
+            message: 'Cita reprogramada'
         });
         
-        const staffWithAvailability = Array.from(staffMap.values())
-            .sort((a, b) => b.availableSlotCount - a.availableSlotCount);
+    } catch (error) {
+        log.error('Reschedule failed', errorFields(error));
+        sendRouteError(res, error, {
+            appointment: appointment ? formatClientAppointment(appointment) : null,
+            details: error.response?.data
+        });
+    }
+});
+
+/**
+ * 8d. Itinerary Options - back-to-back treatments on one day
+ * 
+ * sessionTypeIds lists the treatments in order (e.g. massage then facial). Each option
+ * is a sequence of legs at one location, each starting when the previous one ends.
+ */
+app.get('/api/itineraries/options', withSiteTimeZone, validate({
+    query: {
+        sessionTypeIds: { type: 'ids', required: true },
+        locationIds: { type: 'ids' },
+        date: { type: 'date' },
+        step: { type: 'integer' },
+        limit: { type: 'integer', default: 5 }
+    }
+}, checkItineraryInput), async (req, res) => {
+    try {
+        const userToken = req.headers.authorization;
+        const { sessionTypeIds, locationIds, step, limit } = req.input;
+        const date = req.input.date || siteToday();
+        const legs = sessionTypeIds.split(',');
+        
+        const items = await getDayAvailability(
+            { sessionTypeIds: Array.from(new Set(legs)).join(','), locationIds, day: date },
+            userToken
+        );
+        const options = findItineraries(items, legs, { rules: slotRules(step), day: date, limit });
+        
+        log.debug('Itinerary options', { sessionTypeIds, locationIds, date, windows: items.length, options: options.length });
         
         res.json({
             success: true,
-            staff: staffWithAvailability,
-            totalStaffWithAvailability: staffWithAvailability.length,
-            totalAvailableSlots: scheduleItems.length,
-            dateRange: { startDate: start, endDate: end },
-            message: staffWithAvailability.length === 0 
-                ? 'No therapists have availability in the selected date range. Try a different date range or check if schedules are configured in Mindbody.'
-                : `Found ${staffWithAvailability.length} therapists with ${scheduleItems.length} total available slots.`
+            options: options.map(formatItinerary),
+            date,
+            timeZone: currentTimeZone()
         });
         
     } catch (error) {
-        console.error('Staff availability error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        log.error('Itinerary options failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 7. Get Available Time Slots for a Specific Staff Member
+ * 8e. Book an Itinerary - all legs or none
+ * 
+ * The itinerary starting at startDateTime is looked up again against Mindbody (with
+ * the therapists in staffIds, when given) and its legs are booked in order. If a leg
+ * fails, the legs already booked are cancelled and nothing is left half-booked; the
+ * response then says whether that rollback went through (rollback.failed lists any
+ * appointment Mindbody would not cancel). Every leg's notes carry the itinerary
+ * reference, so the front desk sees the visit as one.
+ * Requires a client session; honors Idempotency-Key like single bookings.
  */
-app.get('/api/available-slots', async (req, res) => {
+app.post('/api/itineraries/book',
+    rateLimit({ name: 'booking-ip', limit: CONFIG.rateLimits.bookingPerIp, key: byIp }),
+    requireClientSession,
+    rateLimit({ name: 'booking-client', limit: CONFIG.rateLimits.bookingPerClient, key: req => req.clientSession.clientId }),
+    withSiteTimeZone,
+    validate({
+        body: {
+            sessionTypeIds: { type: 'ids', required: true, aliases: ['SessionTypeIds'] },
+            staffIds: { type: 'ids', aliases: ['StaffIds'] },
+            startDateTime: { type: 'datetime', required: true, aliases: ['StartDateTime'] },
+            locationId: { type: 'integer', aliases: ['LocationId'] },
+            clientId: { type: 'id', required: true, aliases: ['ClientId'] },
+            sendEmail: { type: 'boolean', aliases: ['SendEmail'], default: true },
+            notes: { type: 'string', aliases: ['Notes'] },
+            isRequest: { type: 'boolean', aliases: ['IsRequest'] },
+            step: { type: 'integer', aliases: ['Step'] }
+        }
+    }, checkItineraryInput),
+    idempotent('itineraries/book'),
+    async (req, res) => {
+    const useRequestMode = req.input.isRequest !== undefined
+        ? req.input.isRequest
+        : currentTenant().appointmentRequestMode;
+    const countItinerary = (outcome) => metrics.itineraries.inc({
+        tenant: currentTenant().id,
+        mode: useRequestMode ? 'request' : 'direct',
+        outcome
+    });
+    
     try {
         const userToken = req.headers.authorization;
-        const { sessionTypeIds, locationIds, staffId, startDate, endDate } = req.query;
+        const { sessionTypeIds, staffIds, startDateTime, locationId, clientId, sendEmail, notes, step } = req.input;
+        const legTypes = sessionTypeIds.split(',');
+        const day = startDateTime.slice(0, 10);
+        const rules = slotRules(step);
         
-        const params = new URLSearchParams();
-        if (sessionTypeIds) params.append('sessionTypeIds', sessionTypeIds);
-        if (locationIds) params.append('locationIds', locationIds);
-        if (staffId) params.append('staffIds', staffId);
+        log.info('Booking itinerary', { clientId, sessionTypeIds, staffIds, locationId, startDateTime });
         
-        const start = startDate || new Date().toISOString().split('T')[0];
-        const end = endDate || new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-        params.append('startDate', start);
-        params.append('endDate', end);
+        const items = await getDayAvailability(
+            { sessionTypeIds: Array.from(new Set(legTypes)).join(','), locationIds: locationId ? String(locationId) : null, day },
+            userToken,
+            { fresh: true }
+        );
+        const [itinerary] = findItineraries(items, legTypes, {
+            rules, day, startDateTime, staffIds: staffIds ? staffIds.split(',') : null, limit: 1
+        });
         
-        const endpoint = `/appointment/bookableitems?${params.toString()}`;
-        const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
+        if (!itinerary) {
+            log.info('Itinerary no longer available', { startDateTime, sessionTypeIds });
+            countItinerary('slot_unavailable');
+            return sendError(res, 409, 'SLOT_NO_LONGER_AVAILABLE',
+                'Los horarios seleccionados ya no están disponibles. Por favor elige otros.', {
+                    options: findItineraries(items, legTypes, { rules, day, limit: 3 }).map(formatItinerary)
+                });
+        }
         
-        // NOTE: Mindbody returns "Availabilities" not "ScheduleItems"
-        const scheduleItems = data.Availabilities || data.ScheduleItems || [];
+        const reference = `IT-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+        const appointments = itinerary.legs.map((leg, i) => ({
+            StartDateTime: leg.startDateTime,
+            LocationId: itinerary.locationId || locationId,
+            StaffId: leg.staffId,
+            ClientId: clientId,
+            SessionTypeId: leg.sessionTypeId,
+            ApplyPayment: false,
+            SendEmail: sendEmail,
+            Notes: `Itinerario ${reference} (${i + 1}/${itinerary.legs.length})${notes ? ` - ${notes}` : ''}`,
+            ...(useRequestMode ? { IsRequest: true } : {})
+        }));
         
-        // Group by date
-        const slotsByDate = {};
-        scheduleItems.forEach(item => {
-            const date = item.StartDateTime.split('T')[0];
-            if (!slotsByDate[date]) {
-                slotsByDate[date] = [];
-            }
-            slotsByDate[date].push({
-                startDateTime: item.StartDateTime,
-                endDateTime: item.EndDateTime,
-                staff: item.Staff,
-                sessionType: item.SessionType
+        let created;
+        try {
+            created = await addAppointmentsAtomically(appointments, userToken);
+        } catch (legError) {
+            const { rollback } = legError;
+            invalidateAvailability(day);
+            countItinerary(rollback.failed.length ? 'rollback_failed' : 'rolled_back');
+            log.error('Itinerary leg failed', {
+                reference, leg: legError.failedIndex + 1, ...errorFields(legError),
+                cancelled: rollback.cancelled.length, notCancelled: rollback.failed.length
             });
-        });
+            return sendError(res, 502, 'ITINERARY_FAILED', rollback.failed.length
+                ? 'No se pudo reservar el itinerario completo y algunas citas no pudieron cancelarse. Por favor contacta al spa.'
+                : 'No se pudo reservar el itinerario completo. No quedó ninguna cita reservada.', {
+                    upstream: describeUpstreamError(legError),
+                    failedLeg: legError.failedIndex + 1,
+                    rollback,
+                    details: legError.response?.data
+                });
+        }
+        const booked = itinerary.legs.map((leg, i) => ({
+            ...leg,
+            appointmentId: created[i].Id ?? null,
+            status: created[i].Status || null
+        }));
+        
+        invalidateAvailability(day);
+        countItinerary('success');
+        log.info('Itinerary booked', { reference, appointmentIds: booked.map(b => b.appointmentId) });
         
         res.json({
             success: true,
-            slots: scheduleItems,
-            slotsByDate: slotsByDate,
-            totalSlots: scheduleItems.length
+            itinerary: formatItinerary({ reference, ...itinerary, legs: booked }),
+            isRequest: useRequestMode,
+            timeZone: currentTimeZone(),
+            message: useRequestMode
+                ? 'Solicitud de itinerario creada. Pendiente de aprobación.'
+                : 'Itinerario reservado'
         });
         
     } catch (error) {
-        console.error('Available slots error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        countItinerary('failure');
+        log.error('Itinerary booking failed', errorFields(error));
+        sendRouteError(res, error, { details: error.response?.data });
     }
 });
 
 /**
- * 7b. Get Client's Upcoming Appointments
+ * 8f. Group Availability - start times with several therapists free together
+ * 
+ * For couples and group treatments: only start times on `date` where at least `size`
+ * different therapists offer sessionTypeId at the same location are returned, each
+ * with every therapist free then.
  */
-app.get('/api/clients/:clientId/appointments', async (req, res) => {
+app.get('/api/groups/availability', withSiteTimeZone, validate({
+    query: {
+        sessionTypeId: { type: 'integer', required: true },
+        size: { type: 'integer', default: GROUP_MIN_SIZE },
+        locationIds: { type: 'ids' },
+        date: { type: 'date' },
+        step: { type: 'integer' }
+    }
+}, checkGroupInput), async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        const { clientId } = req.params;
-        
-        console.log('📋 Fetching appointments for client:', clientId);
+        const { sessionTypeId, size, locationIds, step } = req.input;
+        const date = req.input.date || siteToday();
         
-        // Get appointments from today onwards
-        const today = new Date();
-        const startDate = today.toISOString().split('T')[0];
+        const items = await getDayAvailability({ sessionTypeIds: String(sessionTypeId), locationIds, day: date }, userToken);
+        const slots = findGroupSlots(items, { size, rules: slotRules(step) });
         
-        // Get appointments for next 60 days
-        const futureDate = new Date(today);
-        futureDate.setDate(today.getDate() + 60);
-        const endDate = futureDate.toISOString().split('T')[0];
-        
-        const data = await callMindbodyAPI(
-            `/appointment/clientappointments?ClientId=${clientId}&StartDate=${startDate}&EndDate=${endDate}`,
-            'GET',
-            null,
-            userToken
-        );
-        
-        const appointments = data.Appointments || [];
-        
-        // Filter only future appointments (not past, not cancelled)
-        const upcomingAppointments = appointments.filter(apt => {
-            const aptDate = new Date(apt.StartDateTime);
-            return aptDate >= today && apt.Status !== 'Cancelled';
-        });
-        
-        console.log('✅ Found', upcomingAppointments.length, 'upcoming appointments');
+        log.debug('Group availability', { sessionTypeId, size, locationIds, date, windows: items.length, slots: slots.length });
         
         res.json({
             success: true,
-            appointments: upcomingAppointments.map(apt => ({
-                id: apt.Id,
-                startDateTime: apt.StartDateTime,
-                endDateTime: apt.EndDateTime,
-                serviceName: apt.SessionType?.Name || apt.ServiceName || 'Servicio',
-                staffName: apt.Staff?.Name || `${apt.Staff?.FirstName || ''} ${apt.Staff?.LastName || ''}`.trim() || 'Terapeuta',
-                locationName: apt.Location?.Name || 'Ubicación',
-                status: apt.Status
-            }))
+            slots: slots.map(formatGroupSlot),
+            totalSlots: slots.length,
+            size,
+            date,
+            timeZone: currentTimeZone()
         });
         
     } catch (error) {
-        console.error('Client appointments error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message,
-            appointments: []
-        });
+        log.error('Group availability failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 8. Book Appointment
- * 
- * APPOINTMENT REQUEST MODE (November 2024):
- * The AddAppointment endpoint supports IsRequest parameter to create pending requests.
- * 
- * IMPORTANT: For IsRequest to work, one of these conditions must be met:
- * 1. Anonymous call (no authentication token) - WE USE THIS
- * 2. Consumer token authentication
- * 3. Staff without BookAppointmentsForAllStaff permission booking for other staff
+ * 8g. Book a Group - one appointment per person, all or none
  * 
- * Additionally, AllowClientsToBookAppointments must be DISABLED in Mindbody settings.
+ * Books `size` appointments of sessionTypeId at startDateTime, each with a different
+ * therapist (staffIds, or the lowest staff IDs free then), after checking the group
+ * slot again against Mindbody. clientIds names the client of each appointment; it
+ * must include the session's client and defaults to that client for every one. Any
+ * other client proves who they are with their own session token, sent in the
+ * X-Guest-Session-Tokens header (comma-separated). If an appointment fails, the
+ * ones already booked are cancelled, as with itineraries.
+ * Requires a client session; honors Idempotency-Key like single bookings.
  */
-app.post('/api/appointments/book', async (req, res) => {
+app.post('/api/groups/book',
+    rateLimit({ name: 'booking-ip', limit: CONFIG.rateLimits.bookingPerIp, key: byIp }),
+    requireClientSession,
+    rateLimit({ name: 'booking-client', limit: CONFIG.rateLimits.bookingPerClient, key: req => req.clientSession.clientId }),
+    withSiteTimeZone,
+    validate({
+        body: {
+            sessionTypeId: { type: 'integer', required: true, aliases: ['SessionTypeId'] },
+            startDateTime: { type: 'datetime', required: true, aliases: ['StartDateTime'] },
+            size: { type: 'integer', aliases: ['Size'] },
+            clientIds: { type: 'idList', aliases: ['ClientIds'] },
+            staffIds: { type: 'ids', aliases: ['StaffIds'] },
+            locationId: { type: 'integer', aliases: ['LocationId'] },
+            clientId: { type: 'id', required: true, aliases: ['ClientId'] },
+            sendEmail: { type: 'boolean', aliases: ['SendEmail'], default: true },
+            notes: { type: 'string', aliases: ['Notes'] },
+            isRequest: { type: 'boolean', aliases: ['IsRequest'] },
+            step: { type: 'integer', aliases: ['Step'] }
+        }
+    }, checkGroupInput),
+    idempotent('groups/book'),
+    async (req, res) => {
+    const useRequestMode = req.input.isRequest !== undefined
+        ? req.input.isRequest
+        : currentTenant().appointmentRequestMode;
+    const countGroup = (outcome) => metrics.groupBookings.inc({
+        tenant: currentTenant().id,
+        mode: useRequestMode ? 'request' : 'direct',
+        outcome
+    });
+    
     try {
         const userToken = req.headers.authorization;
-        
-        // Handle both camelCase and PascalCase
-        const startDateTime = req.body.startDateTime || req.body.StartDateTime;
-        const locationId = req.body.locationId || req.body.LocationId;
-        const staffId = req.body.staffId || req.body.StaffId;
-        const clientId = req.body.clientId || req.body.ClientId;
-        const sessionTypeId = req.body.sessionTypeId || req.body.SessionTypeId;
-        const applyPayment = req.body.applyPayment || req.body.ApplyPayment || false;
-        const sendEmail = req.body.sendEmail !== undefined ? req.body.sendEmail : true;
-        const notes = req.body.notes || req.body.Notes;
-        
-        // Appointment Request Mode
-        const useRequestMode = req.body.isRequest !== undefined 
-            ? req.body.isRequest 
-            : (process.env.APPOINTMENT_REQUEST_MODE === 'true');
-        
-        console.log('📅 ' + (useRequestMode ? 'Creating appointment REQUEST:' : 'Booking appointment:'));
-        console.log('   Client:', clientId);
-        console.log('   SessionType:', sessionTypeId);
-        console.log('   Staff:', staffId);
-        console.log('   Location:', locationId);
-        console.log('   DateTime:', startDateTime);
-        console.log('   Mode:', useRequestMode ? '📋 REQUEST (anonymous call, pending approval)' : '✅ DIRECT BOOKING');
-        
-        const appointmentData = {
-            StartDateTime: startDateTime,
-            LocationId: locationId,
-            StaffId: staffId,
-            ClientId: clientId,
-            SessionTypeId: sessionTypeId,
-            ApplyPayment: applyPayment,
-            SendEmail: sendEmail
-        };
-        
-        if (useRequestMode) {
-            appointmentData.IsRequest = true;
+        const { sessionTypeId, startDateTime, staffIds, locationId, clientId, sendEmail, notes, step } = req.input;
+        const size = req.input.size ?? req.input.clientIds?.split(',').length ?? GROUP_MIN_SIZE;
+        const clientIds = req.input.clientIds ? req.input.clientIds.split(',') : Array(size).fill(clientId);
+        const day = startDateTime.slice(0, 10);
+        const rules = slotRules(step);
+        
+        if (!clientIds.includes(clientId)) {
+            log.warn('Group booking without the session client', { clientId, clientIds });
+            return sendError(res, 403, 'CLIENT_MISMATCH', 'Debes incluirte en la reserva del grupo', {
+                field: 'clientIds'
+            });
         }
         
-        if (notes) {
-            appointmentData.Notes = notes;
+        const guestClientIds = new Set((req.get('X-Guest-Session-Tokens') || '').split(',')
+            .map(token => verifyClientSession(token.trim())?.clientId)
+            .filter(Boolean));
+        const unverified = clientIds.filter(id => id !== clientId && !guestClientIds.has(id));
+        if (unverified.length) {
+            log.warn('Group booking for clients without their session', { clientId, unverified: unverified.length });
+            return sendError(res, 403, 'CLIENT_MISMATCH',
+                'Cada persona del grupo debe iniciar sesión para reservar a su nombre', {
+                    field: 'clientIds'
+                });
         }
         
-        console.log('📤 Sending to Mindbody:', JSON.stringify(appointmentData, null, 2));
+        log.info('Booking group', { clientId, clientIds, sessionTypeId, size, staffIds, locationId, startDateTime });
         
-        let data;
+        const items = await getDayAvailability(
+            { sessionTypeIds: String(sessionTypeId), locationIds: locationId ? String(locationId) : null, day },
+            userToken,
+            { fresh: true }
+        );
+        const slot = findGroupSlots(items, { size, rules, startDateTime })
+            .map(candidate => ({
+                ...candidate,
+                staff: staffIds
+                    ? staffIds.split(',').map(id => candidate.staff.find(member => String(member.staffId) === id))
+                    : candidate.staff.slice(0, size)
+            }))
+            .find(candidate => candidate.staff.every(Boolean));
+        
+        if (!slot) {
+            log.info('Group slot no longer available', { startDateTime, sessionTypeId, size });
+            countGroup('slot_unavailable');
+            return sendError(res, 409, 'SLOT_NO_LONGER_AVAILABLE',
+                'El horario seleccionado ya no está disponible para todo el grupo. Por favor elige otro.', {
+                    groupSlots: findGroupSlots(items, { size, rules }).slice(0, 3).map(formatGroupSlot)
+                });
+        }
         
-        if (useRequestMode) {
-            // For IsRequest to work, we need to make an ANONYMOUS call (no auth token)
-            // This is one of the conditions specified in Mindbody's documentation
-            const axios = require('axios');
-            
-            console.log('🔓 Making ANONYMOUS call for appointment request...');
-            
-            const response = await axios.post(
-                `${CONFIG.baseUrl}/appointment/addappointment`,
-                appointmentData,
-                {
-                    headers: {
-                        'Api-Key': CONFIG.apiKey,
-                        'SiteId': CONFIG.siteId,
-                        'Content-Type': 'application/json'
-                        // NOTE: No Authorization header - anonymous call
-                    }
-                }
-            );
-            data = response.data;
-        } else {
-            // Normal authenticated booking
-            data = await callMindbodyAPI(
-                '/appointment/addappointment',
-                'POST',
-                appointmentData,
-                userToken
-            );
+        const reference = `GR-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+        const appointments = slot.staff.map((member, i) => ({
+            StartDateTime: slot.startDateTime,
+            LocationId: slot.locationId || locationId,
+            StaffId: member.staffId,
+            ClientId: clientIds[i],
+            SessionTypeId: sessionTypeId,
+            ApplyPayment: false,
+            SendEmail: sendEmail,
+            Notes: `Grupo ${reference} (${i + 1}/${size})${notes ? ` - ${notes}` : ''}`,
+            ...(useRequestMode ? { IsRequest: true } : {})
+        }));
+        
+        let created;
+        try {
+            created = await addAppointmentsAtomically(appointments, userToken);
+        } catch (bookingError) {
+            const { rollback } = bookingError;
+            invalidateAvailability(day);
+            countGroup(rollback.failed.length ? 'rollback_failed' : 'rolled_back');
+            log.error('Group appointment failed', {
+                reference, appointment: bookingError.failedIndex + 1, ...errorFields(bookingError),
+                cancelled: rollback.cancelled.length, notCancelled: rollback.failed.length
+            });
+            return sendError(res, 502, 'GROUP_BOOKING_FAILED', rollback.failed.length
+                ? 'No se pudo reservar para todo el grupo y algunas citas no pudieron cancelarse. Por favor contacta al spa.'
+                : 'No se pudo reservar para todo el grupo. No quedó ninguna cita reservada.', {
+                    upstream: describeUpstreamError(bookingError),
+                    failedAppointment: bookingError.failedIndex + 1,
+                    rollback,
+                    details: bookingError.response?.data
+                });
         }
         
-        console.log('✅ Appointment created! ID:', data.Appointment?.Id);
-        console.log('   Status:', data.Appointment?.Status);
-        console.log('   Full response:', JSON.stringify(data, null, 2));
+        invalidateAvailability(day);
+        countGroup('success');
+        log.info('Group booked', { reference, appointmentIds: created.map(apt => apt.Id) });
         
+        const { staff, ...groupSlot } = slot;
         res.json({
             success: true,
-            appointment: data.Appointment,
+            group: {
+                reference,
+                ...formatGroupSlot(groupSlot),
+                appointments: staff.map((member, i) => ({
+                    appointmentId: created[i].Id ?? null,
+                    clientId: clientIds[i],
+                    staffId: member.staffId,
+                    staffName: member.staffName,
+                    status: created[i].Status || null
+                }))
+            },
             isRequest: useRequestMode,
-            message: useRequestMode 
-                ? 'Solicitud de cita creada. Pendiente de aprobación.'
-                : 'Appointment booked successfully!'
+            timeZone: currentTimeZone(),
+            message: useRequestMode
+                ? 'Solicitud de reserva en grupo creada. Pendiente de aprobación.'
+                : 'Reserva en grupo confirmada'
         });
         
     } catch (error) {
-        console.error('❌ Booking error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message,
-            details: error.response?.data
-        });
+        countGroup('failure');
+        log.error('Group booking failed', errorFields(error));
+        sendRouteError(res, error, { details: error.response?.data });
     }
 });
 
 /**
  * 9. Get Client Info / Search Clients
+ * 
+ * Returns full client records (contact details included) for any search, so it is
+ * for the spa's own tools only: admin key required.
  */
-app.get('/api/clients', async (req, res) => {
+app.get('/api/clients', requireAdminKey, validate({
+    query: {
+        searchText: { type: 'string' },
+        email: { type: 'email' }
+    }
+}), async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        const { searchText, email } = req.query;
+        const { searchText, email } = req.input;
         
         let endpoint = '/client/clients';
         const params = new URLSearchParams();
@@ -1575,217 +4751,239 @@ app.get('/api/clients', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Clients error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        log.error('Client search failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 10. Client Login - Find client by email or phone
- * Uses SearchText which searches across name, email, and phone fields
- * Returns ALL matching clients so user can select their account
+ * Find the clients matching a login identifier (email or phone)
+ * Uses SearchText which searches across name, email, and phone fields; only
+ * exact matches (whole email, or whole local phone number) are returned
  */
-app.post('/api/clients/login', async (req, res) => {
-    try {
-        const userToken = req.headers.authorization;
-        const { username, searchType } = req.body;
-        
-        console.log('🔐 Client login attempt:', username, '| Type:', searchType || 'auto');
-        
-        // First, get a fresh staff token if needed
-        let authToken = userToken;
-        if (!authToken) {
-            const tokenResponse = await axios.post(
-                `${CONFIG.baseUrl}/usertoken/issue`,
-                { Username: CONFIG.username, Password: CONFIG.password },
-                {
-                    headers: {
-                        'Api-Key': CONFIG.apiKey,
-                        'SiteId': CONFIG.siteId,
-                        'Content-Type': 'application/json'
-                    }
-                }
+async function findClientsByLogin(username, searchType, userToken = null) {
+    // Normalize phone for comparison (remove all non-digits)
+    const normalizePhone = (phone) => phone ? phone.replace(/\D/g, '') : '';
+    
+    // For phone searches, extract the local number (last 8 digits for Panama)
+    const getLocalNumber = (phone) => {
+        const normalized = normalizePhone(phone);
+        return normalized.length > 8 ? normalized.slice(-8) : normalized;
+    };
+    
+    const isPhone = searchType === 'phone' || (/^[\d\s\-\+\(\)\.]+$/.test(username) && !username.includes('@'));
+    const searchLocal = getLocalNumber(username);
+    
+    // For phone searches, we need to search multiple formats because Mindbody 
+    // stores phones differently (66124546 vs 5.076.612.4546)
+    let allClients = [];
+    const searchQueries = [username];
+    
+    if (isPhone) {
+        // Add different phone format searches
+        const digits = normalizePhone(username);
+        
+        // If 8 digits (local), also search with country code formats
+        if (digits.length === 8) {
+            searchQueries.push(`507${digits}`);  // 50766124546
+            searchQueries.push(`+507${digits}`); // +50766124546
+        }
+        // If has country code, also search without it
+        if (digits.length > 8) {
+            searchQueries.push(digits.slice(-8)); // Last 8 digits
+        }
+    }
+    
+    // Search with each query and combine results
+    for (const query of searchQueries) {
+        try {
+            const data = await callMindbodyAPI(
+                `/client/clients?searchText=${encodeURIComponent(query)}&limit=100`,
+                'GET',
+                null,
+                userToken
             );
-            authToken = tokenResponse.data.AccessToken;
+            
+            const clients = data.Clients || [];
+            log.debug('Client search', { searchText: query, found: clients.length });
+            
+            // Add new clients (avoid duplicates by Id)
+            clients.forEach(c => {
+                if (!allClients.find(existing => existing.Id === c.Id)) {
+                    allClients.push(c);
+                }
+            });
+        } catch (err) {
+            // Without every search we can't tell which account is logging in
+            log.warn('Client search failed', { searchText: query, ...errorFields(err) });
+            throw err;
         }
+    }
+    
+    log.debug('Unique clients found', { count: allClients.length });
+    
+    // Filter to matching clients based on search type
+    let matchingClients = [];
+    
+    if (searchType === 'email' || username.includes('@')) {
+        // Email search - exact match (case insensitive)
+        matchingClients = allClients.filter(c => 
+            c.Email && c.Email.toLowerCase() === username.toLowerCase()
+        );
+    } else if (isPhone) {
+        // Phone search - match against MobilePhone, HomePhone, WorkPhone
+        // Use local number (last 8 digits) for flexible matching
+        matchingClients = allClients.filter(c => {
+            const mobileLocal = getLocalNumber(c.MobilePhone);
+            const homeLocal = getLocalNumber(c.HomePhone);
+            const workLocal = getLocalNumber(c.WorkPhone);
+            
+            // Match if local numbers are equal
+            return (mobileLocal && mobileLocal === searchLocal) ||
+                   (homeLocal && homeLocal === searchLocal) ||
+                   (workLocal && workLocal === searchLocal);
+        });
+    } else {
+        // Fallback - try email first, then phone
+        matchingClients = allClients.filter(c => 
+            c.Email && c.Email.toLowerCase() === username.toLowerCase()
+        );
+        if (matchingClients.length === 0) {
+            matchingClients = allClients.filter(c => {
+                const mobileLocal = getLocalNumber(c.MobilePhone);
+                return mobileLocal && mobileLocal === searchLocal;
+            });
+        }
+    }
+    
+    return matchingClients;
+}
+
+/**
+ * 10. Client Login - Validate password and issue a client session
+ * 
+ * Accepts an email or phone as username. Phone logins are resolved to the
+ * matching accounts' emails, then the password is checked by Mindbody's
+ * validateclientcredentials. On success the proxy issues a signed session
+ * token that the client sends back in the X-Session-Token header.
+ */
+app.post('/api/clients/login',
+    rateLimit(
+        { name: 'login-ip', limit: CONFIG.rateLimits.loginPerIp, key: byIp },
+        { name: 'login-identifier', limit: CONFIG.rateLimits.loginPerIdentifier, key: req => identifierKey(req.body?.username) }
+    ),
+    validate({
+        body: {
+            username: { type: 'string', required: true },
+            password: { type: 'string', required: true, trim: false },
+            searchType: { type: 'enum', values: ['email', 'phone'] }
+        }
+    }),
+    async (req, res) => {
+    try {
+        const userToken = req.headers.authorization;
+        const { username, password, searchType } = req.input;
         
-        // Normalize phone for comparison (remove all non-digits)
-        const normalizePhone = (phone) => phone ? phone.replace(/\D/g, '') : '';
-        
-        // For phone searches, extract the local number (last 8 digits for Panama)
-        const getLocalNumber = (phone) => {
-            const normalized = normalizePhone(phone);
-            return normalized.length > 8 ? normalized.slice(-8) : normalized;
-        };
-        
-        const isPhone = searchType === 'phone' || (/^[\d\s\-\+\(\)\.]+$/.test(username) && !username.includes('@'));
-        const searchLocal = getLocalNumber(username);
-        
-        // For phone searches, we need to search multiple formats because Mindbody 
-        // stores phones differently (66124546 vs 5.076.612.4546)
-        let allClients = [];
-        const searchQueries = [username];
+        log.info('Client login attempt', { searchType: searchType || 'auto' });
         
-        if (isPhone) {
-            // Add different phone format searches
-            const digits = normalizePhone(username);
-            
-            // If 8 digits (local), also search with country code formats
-            if (digits.length === 8) {
-                searchQueries.push(`507${digits}`);  // 50766124546
-                searchQueries.push(`+507${digits}`); // +50766124546
-            }
-            // If has country code, also search without it
-            if (digits.length > 8) {
-                searchQueries.push(digits.slice(-8)); // Last 8 digits
-            }
+        // Mindbody validates credentials by login username (the client's email)
+        let loginNames = [username];
+        if (!username.includes('@')) {
+            const matchingClients = await findClientsByLogin(username, searchType, userToken);
+            loginNames = [...new Set(matchingClients.filter(c => c.Email).map(c => c.Email.toLowerCase()))];
         }
         
-        // Search with each query and combine results
-        for (const query of searchQueries) {
-            console.log('   Searching Mindbody with:', query);
+        // Every candidate's password is checked, so the answer without it never depends
+        // on how many accounts share a phone
+        const accepted = [];
+        for (const loginName of loginNames) {
             try {
-                const searchResponse = await axios.get(
-                    `${CONFIG.baseUrl}/client/clients?searchText=${encodeURIComponent(query)}&limit=100`,
-                    {
-                        headers: {
-                            'Api-Key': CONFIG.apiKey,
-                            'SiteId': CONFIG.siteId,
-                            'Authorization': authToken,
-                            'Content-Type': 'application/json'
-                        }
-                    }
+                const data = await callMindbodyAPI(
+                    '/client/validateclientcredentials',
+                    'POST',
+                    { Username: loginName, Password: password },
+                    userToken
                 );
-                
-                const clients = searchResponse.data.Clients || [];
-                console.log('   -> Found', clients.length, 'clients');
-                
-                // Add new clients (avoid duplicates by Id)
-                clients.forEach(c => {
-                    if (!allClients.find(existing => existing.Id === c.Id)) {
-                        allClients.push(c);
-                        console.log('   + ', c.FirstName, c.LastName, '| Mobile:', c.MobilePhone, '| Email:', c.Email);
-                    }
-                });
+                if (data.Client) accepted.push(data.Client);
             } catch (err) {
-                console.log('   Search error for', query, ':', err.message);
+                // Mindbody answers a wrong password with a 4xx; anything else is not the client's fault
+                const credentialsRejected = err.response && err.response.status < 500 && !isInvalidTokenError(err);
+                if (!credentialsRejected) throw err;
+                log.debug('Credentials rejected for a candidate login', errorFields(err));
             }
         }
         
-        console.log('   Total unique clients found:', allClients.length);
-        
-        // Filter to matching clients based on search type
-        let matchingClients = [];
-        
-        if (searchType === 'email' || username.includes('@')) {
-            // Email search - exact match (case insensitive)
-            matchingClients = allClients.filter(c => 
-                c.Email && c.Email.toLowerCase() === username.toLowerCase()
-            );
-        } else if (isPhone) {
-            // Phone search - match against MobilePhone, HomePhone, WorkPhone
-            // Use local number (last 8 digits) for flexible matching
-            matchingClients = allClients.filter(c => {
-                const mobileLocal = getLocalNumber(c.MobilePhone);
-                const homeLocal = getLocalNumber(c.HomePhone);
-                const workLocal = getLocalNumber(c.WorkPhone);
-                
-                // Match if local numbers are equal
-                const matches = (mobileLocal && mobileLocal === searchLocal) ||
-                       (homeLocal && homeLocal === searchLocal) ||
-                       (workLocal && workLocal === searchLocal);
-                
-                if (matches) {
-                    console.log('   ✓ Match:', c.FirstName, c.LastName, '| Mobile:', c.MobilePhone);
-                }
-                return matches;
-            });
-            
-            // If strict matching found nothing but we found results, use all of them
-            if (matchingClients.length === 0 && allClients.length > 0) {
-                console.log('   Strict matching found 0, returning all', allClients.length, 'results');
-                matchingClients = allClients;
-            }
-        } else {
-            // Fallback - try email first, then phone
-            matchingClients = allClients.filter(c => 
-                c.Email && c.Email.toLowerCase() === username.toLowerCase()
-            );
-            if (matchingClients.length === 0) {
-                matchingClients = allClients.filter(c => {
-                    const mobileLocal = getLocalNumber(c.MobilePhone);
-                    return mobileLocal && mobileLocal === searchLocal;
-                });
-            }
+        if (accepted.length === 0) {
+            log.info('Client login rejected', { candidates: loginNames.length });
+            return sendError(res, 401, 'INVALID_CREDENTIALS', 'Email, teléfono o contraseña incorrectos');
         }
         
-        if (matchingClients.length > 0) {
-            console.log('✅ Found', matchingClients.length, 'matching client(s):', 
-                matchingClients.map(c => `${c.FirstName} ${c.LastName}`).join(', '));
-            
-            res.json({
-                success: true,
-                clients: matchingClients,
-                client: matchingClients.length === 1 ? matchingClients[0] : null,
-                message: matchingClients.length === 1 ? 'Cliente encontrado' : `${matchingClients.length} cuentas encontradas`
-            });
-        } else {
-            console.log('❌ No clients found with:', username);
-            res.status(401).json({
-                success: false,
-                error: 'No se encontró una cuenta con este email o teléfono. ¿Necesitas crear una cuenta?',
-                notFound: true
-            });
+        // Several accounts on one phone with the same password can't say which one is logging in
+        if (accepted.length > 1) {
+            log.info('Client login ambiguous', { candidates: accepted.length });
+            return sendError(res, 409, 'LOGIN_AMBIGUOUS',
+                'Este teléfono está registrado en varias cuentas. Inicia sesión con tu email.');
         }
         
-    } catch (error) {
-        console.error('❌ Client login error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: 'Error al buscar la cuenta. Intenta de nuevo.'
+        const client = accepted[0];
+        const session = issueClientSession(client.Id);
+        log.info('Client authenticated', { clientId: client.Id });
+        
+        res.json({
+            success: true,
+            client,
+            clients: [client],
+            sessionToken: session.token,
+            expiresAt: session.expiresAt,
+            message: 'Cliente encontrado'
         });
+        
+    } catch (error) {
+        log.error('Client login failed', errorFields(error));
+        if (error.httpStatus) return sendRouteError(res, error);
+        sendError(res, error.response ? 502 : 500, error.response ? 'UPSTREAM_ERROR' : 'INTERNAL_ERROR',
+            'Error al iniciar sesión. Intenta de nuevo.', { upstream: describeUpstreamError(error) });
     }
 });
 
 /**
  * 10b. Client Forgot Password - Send reset email
  */
-app.post('/api/clients/forgot-password', async (req, res) => {
+app.post('/api/clients/forgot-password',
+    rateLimit(
+        { name: 'forgot-password-ip', limit: CONFIG.rateLimits.forgotPasswordPerIp, key: byIp },
+        { name: 'forgot-password-identifier', limit: CONFIG.rateLimits.forgotPasswordPerIdentifier, key: req => identifierKey(req.body?.email) }
+    ),
+    validate({
+        body: {
+            email: { type: 'email', required: true }
+        }
+    }),
+    async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        const { email } = req.body;
-        
-        console.log('🔑 Password reset request for:', email);
+        const { email } = req.input;
         
         // Use Mindbody's send password reset email endpoint
-        const response = await axios.post(
-            `${CONFIG.baseUrl}/client/sendpasswordresetemail`,
+        await callMindbodyAPI(
+            '/client/sendpasswordresetemail',
+            'POST',
             {
                 UserEmail: email,
                 UserFirstName: '',  // Optional, will be looked up
                 UserLastName: ''    // Optional, will be looked up
             },
-            {
-                headers: {
-                    'Api-Key': CONFIG.apiKey,
-                    'SiteId': CONFIG.siteId,
-                    'Authorization': userToken,
-                    'Content-Type': 'application/json'
-                }
-            }
+            userToken
         );
         
-        console.log('✅ Password reset email sent to:', email);
+        log.info('Password reset email sent');
         res.json({
             success: true,
             message: 'Email de recuperación enviado'
         });
         
     } catch (error) {
-        console.error('❌ Forgot password error:', error.response?.data || error.message);
+        log.error('Forgot password failed', errorFields(error));
         // Even if there's an error, we don't want to reveal if the email exists or not
         // So we return success anyway for security
         res.json({
@@ -1797,20 +4995,34 @@ app.post('/api/clients/forgot-password', async (req, res) => {
 
 /**
  * 11. Add New Client (with password for account creation)
+ * Retries carrying the same Idempotency-Key header replay the first response.
  */
-app.post('/api/clients', async (req, res) => {
+app.post('/api/clients',
+    rateLimit(
+        { name: 'create-client-ip', limit: CONFIG.rateLimits.createClientPerIp, key: byIp },
+        { name: 'create-client-identifier', limit: CONFIG.rateLimits.createClientPerIdentifier, key: req => identifierKey(req.body?.email || req.body?.Email) }
+    ),
+    validate({
+        body: {
+            firstName: { type: 'string', required: true, aliases: ['FirstName'] },
+            lastName: { type: 'string', required: true, aliases: ['LastName'] },
+            email: { type: 'email', required: true, aliases: ['Email'] },
+            phone: { type: 'string', aliases: ['MobilePhone'] },
+            birthDate: { type: 'date', aliases: ['BirthDate'] },
+            address: { type: 'string', aliases: ['AddressLine1'] },
+            gender: { type: 'string', aliases: ['Gender'] },
+            referredBy: { type: 'string', aliases: ['ReferredBy'] },
+            password: { type: 'string', aliases: ['Password'], trim: false }
+        }
+    }),
+    idempotent('clients/create'),
+    async (req, res) => {
     try {
         const userToken = req.headers.authorization;
-        // Handle both camelCase and PascalCase
-        const firstName = req.body.firstName || req.body.FirstName;
-        const lastName = req.body.lastName || req.body.LastName;
-        const email = req.body.email || req.body.Email;
-        const phone = req.body.phone || req.body.MobilePhone;
-        const birthDate = req.body.birthDate || req.body.BirthDate;
-        const address = req.body.address || req.body.AddressLine1;
-        const gender = req.body.gender || req.body.Gender;
-        const referredBy = req.body.referredBy || req.body.ReferredBy;
-        const password = req.body.password || req.body.Password;
+        const {
+            firstName, lastName, email, phone, birthDate,
+            address, gender, referredBy, password
+        } = req.input;
         
         const clientData = {
             FirstName: firstName,
@@ -1833,11 +5045,7 @@ app.post('/api/clients', async (req, res) => {
             clientData.Password = password;
         }
         
-        console.log('📝 Creating client:', firstName, lastName, email);
-        console.log('   Address:', clientData.AddressLine1);
-        console.log('   Gender:', clientData.Gender);
-        console.log('   ReferredBy:', clientData.ReferredBy);
-        console.log('   SendAccountEmails:', clientData.SendAccountEmails);
+        log.debug('Creating client', { referredBy: clientData.ReferredBy, sendAccountEmails: clientData.SendAccountEmails });
         
         const data = await callMindbodyAPI(
             '/client/addclient',
@@ -1846,7 +5054,7 @@ app.post('/api/clients', async (req, res) => {
             userToken
         );
         
-        console.log('✅ Client created:', data.Client?.Id);
+        log.info('Client created', { clientId: data.Client?.Id });
         
         res.json({
             success: true,
@@ -1854,18 +5062,15 @@ app.post('/api/clients', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Add client error:', error.response?.data || error.message);
-        res.status(500).json({
-            success: false,
-            error: error.response?.data?.Error?.Message || error.message
-        });
+        log.error('Add client failed', errorFields(error));
+        sendRouteError(res, error);
     }
 });
 
 /**
- * 11. Debug endpoint - Raw API call
+ * 11. Debug endpoint - Raw API call (GET only, allow-listed Mindbody paths)
  */
-app.get('/api/debug/raw', async (req, res) => {
+app.get('/api/debug/raw', debugOnly, async (req, res) => {
     try {
         const userToken = req.headers.authorization;
         const { endpoint } = req.query;
@@ -1874,6 +5079,13 @@ app.get('/api/debug/raw', async (req, res) => {
             return res.status(400).json({ error: 'endpoint query param required' });
         }
         
+        if (!isAllowedDebugPath(endpoint)) {
+            return res.status(403).json({
+                error: 'endpoint is not in the debug allow-list',
+                allowedPaths: CONFIG.debugRawAllowedPaths
+            });
+        }
+        
         const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
         res.json(data);
         
@@ -1887,16 +5099,14 @@ app.get('/api/debug/raw', async (req, res) => {
 /**
  * 12. Debug endpoint - Test bookable items with full logging
  */
-app.get('/api/debug/bookable-items', async (req, res) => {
+app.get('/api/debug/bookable-items', debugOnly, withSiteTimeZone, async (req, res) => {
     try {
         const userToken = req.headers.authorization;
         const { sessionTypeIds, locationIds, staffIds, date } = req.query;
         
-        // Use specific date if provided, otherwise today
-        const start = date || new Date().toISOString().split('T')[0];
-        const endDate = new Date(start);
-        endDate.setDate(endDate.getDate() + 1);
-        const end = endDate.toISOString().split('T')[0];
+        // Use specific date if provided, otherwise today at the site
+        const start = date || siteToday();
+        const end = addDays(start, 1);
         
         // Build endpoint with all params
         const params = new URLSearchParams();
@@ -1909,7 +5119,7 @@ app.get('/api/debug/bookable-items', async (req, res) => {
         
         const endpoint = `/appointment/bookableitems?${params.toString()}`;
         
-        console.log('🔍 DEBUG: Calling endpoint:', endpoint);
+        log.debug('DEBUG: bookable items endpoint', { endpoint });
         
         const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
         
@@ -1944,7 +5154,7 @@ app.get('/api/debug/bookable-items', async (req, res) => {
 /**
  * 13. Debug endpoint - Get all session types to verify IDs
  */
-app.get('/api/debug/session-types', async (req, res) => {
+app.get('/api/debug/session-types', debugOnly, async (req, res) => {
     try {
         const userToken = req.headers.authorization;
         const data = await callMindbodyAPI('/site/sessiontypes', 'GET', null, userToken);
@@ -1972,7 +5182,7 @@ app.get('/api/debug/session-types', async (req, res) => {
 /**
  * 14. Debug endpoint - Get staff for a session type
  */
-app.get('/api/debug/staff', async (req, res) => {
+app.get('/api/debug/staff', debugOnly, async (req, res) => {
     try {
         const userToken = req.headers.authorization;
         const { sessionTypeIds, locationId } = req.query;
@@ -2007,7 +5217,7 @@ app.get('/api/debug/staff', async (req, res) => {
  * 15. Debug endpoint - Get ALL available slots for a staff member on a specific date
  * Use this to verify what Mindbody actually returns
  */
-app.get('/api/debug/staff-slots', async (req, res) => {
+app.get('/api/debug/staff-slots', debugOnly, async (req, res) => {
     try {
         const userToken = req.headers.authorization;
         const { staffId, sessionTypeId, locationId, date } = req.query;
@@ -2019,11 +5229,9 @@ app.get('/api/debug/staff-slots', async (req, res) => {
         }
         
         const startDate = date;
-        const nextDay = new Date(date);
-        nextDay.setDate(nextDay.getDate() + 1);
-        const endDate = nextDay.toISOString().split('T')[0];
+        const endDate = addDays(date, 1);
         
-        console.log(`🔍 DEBUG: Getting ALL slots for staff ${staffId} on ${date}`);
+        log.debug('DEBUG: fetching all slots for staff', { staffId, date });
         
         // Fetch all pages
         let allSlots = [];
@@ -2042,12 +5250,10 @@ app.get('/api/debug/staff-slots', async (req, res) => {
             });
             
             const endpoint = `/appointment/bookableitems?${params.toString()}`;
-            console.log(`📅 Fetching: ${endpoint}`);
-            
             const data = await callMindbodyAPI(endpoint, 'GET', null, userToken);
             const pageSlots = data.Availabilities || [];
             
-            console.log(`📦 Page at offset ${offset}: ${pageSlots.length} slots`);
+            log.debug('DEBUG: staff slots page', { endpoint, offset, slots: pageSlots.length });
             
             allSlots = allSlots.concat(pageSlots);
             
@@ -2080,7 +5286,7 @@ app.get('/api/debug/staff-slots', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Debug staff-slots error:', error);
+        log.error('DEBUG: staff slots failed', errorFields(error));
         res.status(500).json({
             error: error.message,
             fullError: error.response?.data
@@ -2088,26 +5294,49 @@ app.get('/api/debug/staff-slots', async (req, res) => {
     }
 });
 
-// Start server
+// ============================================
+// FALLBACKS
+// ============================================
+
+// Unknown paths get the error envelope too, not Express's HTML page
+app.use((req, res) => {
+    sendError(res, 404, 'NOT_FOUND', 'Ruta no encontrada');
+});
+
+/**
+ * Errors raised outside a route's own try/catch, e.g. a body express.json() can't parse.
+ * Express recognises an error handler by its four arguments.
+ */
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', 'El cuerpo de la solicitud no es un JSON válido');
+    }
+    
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        log.error('Unhandled error', errorFields(err));
+        return sendError(res, 500, 'INTERNAL_ERROR', 'Error interno del servidor');
+    }
+    sendError(res, status, 'VALIDATION_ERROR', 'La solicitud no es válida');
+});
+
+if (CONFIG.debugRoutesEnabled) {
+    log.warn(CONFIG.adminApiKey ? 'Debug routes enabled' : 'Debug routes enabled but ADMIN_API_KEY is not set - they will reject every call');
+}
+
+// Start server (unless loaded by the tests, which listen on their own port)
 const PORT = process.env.PORT || 3000;
-const REQUEST_MODE = process.env.APPOINTMENT_REQUEST_MODE === 'true';
-app.listen(PORT, () => {
-    console.log(`
-╔════════════════════════════════════════════════════════════╗
-║     Mindbody Proxy Server (CORRECTED VERSION)              ║
-╠════════════════════════════════════════════════════════════╣
-║  🚀 Running on port: ${PORT}                                   ║
-║  📍 Site ID: ${CONFIG.siteId}                                       ║
-║  🔑 API Key: ${CONFIG.apiKey ? 'Configured' : 'NOT SET'}                            ║
-║  📋 Appointment Request Mode: ${REQUEST_MODE ? 'ENABLED' : 'Disabled'}               ║
-╠════════════════════════════════════════════════════════════╣
-║  KEY ENDPOINTS:                                            ║
-║  • GET  /api/bookable-items      ← Primary availability!   ║
-║  • GET  /api/staff-with-availability ← Staff + slots       ║
-║  • GET  /api/available-slots     ← Time slots for booking  ║
-║  • POST /api/appointments/book   ← Book or Request appt    ║
-╚════════════════════════════════════════════════════════════╝
-    `);
+if (require.main === module) app.listen(PORT, () => {
+    log.info('Mindbody proxy server started', {
+        port: Number(PORT),
+        tenants: tenants.map(t => t.id),
+        credentialsConfigured: !!(defaultTenant.apiKey && defaultTenant.siteId),
+        appointmentRequestMode: defaultTenant.appointmentRequestMode,
+        logLevel: CONFIG.logLevel,
+        docs: '/api/docs'
+    });
 });
 
 module.exports = app;
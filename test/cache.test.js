@@ -0,0 +1,34 @@
+/**
+ * Availability cache bounds (AVAILABILITY_CACHE_MAX_ENTRIES): varied public queries
+ * can't pile up in memory; past the cap the oldest entries make way.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday } = require('./helpers');
+
+let proxy;
+
+before(async () => {
+    proxy = await startProxy({ AVAILABILITY_CACHE_MAX_ENTRIES: '2' });
+});
+
+after(() => proxy.close());
+
+const availability = async (day) => {
+    const { status, headers } = await proxy.call('get', `/api/bookable-items?sessionTypeIds=11&startDate=${day}&endDate=${day}`);
+    assert.strictEqual(status, 200);
+    return headers.get('x-cache');
+};
+
+test('the oldest query is dropped once the cache is full', async () => {
+    const [first, second, third] = [7, 14, 21].map(offset => nextWeekday([2, 4], offset));
+
+    assert.strictEqual(await availability(first), 'MISS');
+    assert.strictEqual(await availability(second), 'MISS');
+    assert.strictEqual(await availability(second), 'HIT');
+
+    assert.strictEqual(await availability(third), 'MISS');
+    assert.strictEqual(await availability(second), 'HIT');
+    assert.strictEqual(await availability(first), 'MISS', 'evicted to make room');
+});
@@ -0,0 +1,86 @@
+/**
+ * Shared setup for the test suites: the proxy running against the bundled mock Mindbody
+ *
+ * Each test file runs in its own process (node --test), so each gets a fresh
+ * server.js module with the environment set here.
+ */
+
+const { startMockMindbody } = require('../mock/mindbody');
+
+const ADMIN_KEY = 'test-admin-key';
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+/**
+ * Start the mock Mindbody and the proxy pointed at it. `env` overrides the defaults
+ * (which lift the inbound rate limits out of the way of the suites).
+ */
+async function startProxy(env = {}) {
+    const mindbody = await startMockMindbody();
+
+    Object.assign(process.env, {
+        MINDBODY_BASE_URL: mindbody.url,
+        MINDBODY_SITE_ID: mindbody.credentials.siteId,
+        MINDBODY_API_KEY: mindbody.credentials.apiKey,
+        MINDBODY_USERNAME: mindbody.credentials.username,
+        MINDBODY_PASSWORD: mindbody.credentials.password,
+        SESSION_SECRET: 'test-session-secret',
+        ADMIN_API_KEY: ADMIN_KEY,
+        UPSTREAM_MAX_RETRIES: '0',
+        // stdout carries the test runner's own results, so the proxy's JSON logs stay off
+        LOG_LEVEL: 'silent',
+        RATE_LIMIT_LOGIN_IP: '1000/60',
+        RATE_LIMIT_LOGIN_IDENTIFIER: '1000/60',
+        RATE_LIMIT_FORGOT_PASSWORD_IP: '1000/60',
+        RATE_LIMIT_FORGOT_PASSWORD_IDENTIFIER: '1000/60',
+        RATE_LIMIT_CREATE_CLIENT_IP: '1000/60',
+        RATE_LIMIT_CREATE_CLIENT_IDENTIFIER: '1000/60',
+        RATE_LIMIT_BOOKING_IP: '1000/60',
+        RATE_LIMIT_BOOKING_CLIENT: '1000/60',
+        ...env
+    });
+
+    const app = require('../server');
+    const proxy = await listen(app);
+
+    async function call(method, path, { body, headers = {} } = {}) {
+        const response = await fetch(proxy.url + path, {
+            method: method.toUpperCase(),
+            headers: { 'Content-Type': 'application/json', ...headers },
+            // A string goes out as-is, for bodies that are not valid JSON
+            body: typeof body === 'string' ? body : body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get('content-type') || '').includes('application/json')) parsed = JSON.parse(text);
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    return {
+        app,
+        mindbody,
+        call,
+        close: () => {
+            proxy.server.close();
+            mindbody.server.close();
+        }
+    };
+}
+
+/**
+ * First day at least `minOffset` days from today falling on one of `weekdays` (0 = Sunday)
+ */
+function nextWeekday(weekdays, minOffset = 7) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + minOffset);
+    while (!weekdays.includes(date.getUTCDay())) date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = { startProxy, nextWeekday, ADMIN_KEY };
@@ -0,0 +1,66 @@
+/**
+ * File-backed idempotency store (IDEMPOTENCY_STORE_FILE): completed responses are
+ * written to disk one write at a time, so concurrent requests leave a whole file,
+ * and records past their TTL (a few seconds here) are dropped from it.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startProxy } = require('./helpers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+const file = path.join(dir, 'store.json');
+
+const TTL_SECONDS = 4;
+
+let proxy;
+
+before(async () => {
+    proxy = await startProxy({ IDEMPOTENCY_STORE_FILE: file, IDEMPOTENCY_TTL_HOURS: String(TTL_SECONDS / 3600) });
+});
+
+after(() => {
+    proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const createClient = (i, key) => proxy.call('post', '/api/clients', {
+    body: { firstName: 'Cliente', lastName: `Número ${i}`, email: `cliente${i}@example.com` },
+    headers: { 'Idempotency-Key': key }
+});
+const readSaved = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// The last write lands after the last response; give it a moment
+async function waitForSaved(count) {
+    const deadline = Date.now() + 2000;
+    let saved = readSaved();
+    while (Object.keys(saved).length !== count && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        saved = readSaved();
+    }
+    return saved;
+}
+
+test('responses finishing together are all saved to a readable file', async () => {
+    const keys = Array.from({ length: 8 }, (_, i) => `create-${i}`);
+    const responses = await Promise.all(keys.map((key, i) => createClient(i, key)));
+    assert.ok(responses.every(response => response.status === 200));
+
+    const saved = await waitForSaved(keys.length);
+    assert.strictEqual(Object.keys(saved).length, keys.length);
+    assert.ok(Object.values(saved).every(entry => entry.record.status === 'completed'));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['store.json'], 'no temp files are left behind');
+});
+
+test('expired records are dropped from the file at the next write', async () => {
+    assert.strictEqual(Object.keys(readSaved()).length, 8);
+    await new Promise(resolve => setTimeout(resolve, TTL_SECONDS * 1000));
+
+    assert.strictEqual((await createClient(8, 'create-8')).status, 200);
+    const saved = await waitForSaved(1);
+    assert.strictEqual(Object.keys(saved).length, 1);
+    assert.match(Object.keys(saved)[0], /create-8/);
+});
@@ -0,0 +1,793 @@
+/**
+ * Integration tests: every proxy route against the bundled mock Mindbody
+ *
+ * The mock's state carries over between tests in this file (bookings made in one
+ * block show up in the next), so blocks use distinct days, slots and appointments.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday, ADMIN_KEY } = require('./helpers');
+
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+// Tuesdays/Thursdays: Ana (1) and Carlos (2) at location 1, María (3) does facials
+const DAY = nextWeekday([2, 4]);
+const LATER_DAY = nextWeekday([2, 4], 14);
+const ITINERARY_DAY = nextWeekday([2, 4], 21);
+const GROUP_DAY = nextWeekday([2, 4], 28);
+
+let proxy;
+let call;
+let mindbody;
+
+before(async () => {
+    proxy = await startProxy({ ENABLE_DEBUG_ROUTES: 'true', READINESS_CACHE_SECONDS: '0.2' });
+    call = proxy.call;
+    mindbody = proxy.mindbody;
+});
+
+after(() => proxy.close());
+
+async function login(username = 'eva@example.com', password = 'Clave123') {
+    const { status, body } = await call('post', '/api/clients/login', { body: { username, password } });
+    assert.strictEqual(status, 200);
+    return { 'X-Session-Token': body.sessionToken };
+}
+
+const mockAppointment = (id) => mindbody.state.appointments.get(id);
+
+describe('system', () => {
+    test('GET /api/health reports the tenant and a closed circuit', async () => {
+        const { status, body } = await call('get', '/api/health');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.tenant, 'default');
+        assert.strictEqual(body.upstream.circuit, 'closed');
+        assert.strictEqual('siteId' in body, false);
+        assert.deepStrictEqual(Object.keys((await call('get', '/api/health/live')).body), Object.keys(body));
+    });
+
+    test('GET /api/health/ready checks the token and Mindbody, reusing the result briefly', async () => {
+        const ready = await call('get', '/api/health/ready');
+        assert.strictEqual(ready.status, 200);
+        assert.strictEqual(ready.headers.get('x-cache'), 'MISS');
+        assert.deepStrictEqual(
+            Object.fromEntries(Object.entries(ready.body.components).map(([name, c]) => [name, c.status])),
+            { config: 'ok', staffAuth: 'ok', mindbody: 'ok' }
+        );
+        assert.strictEqual((await call('get', '/api/health/ready')).headers.get('x-cache'), 'HIT');
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        mindbody.failNext('/site/locations', 500);
+        const degraded = await call('get', '/api/health/ready');
+        assert.strictEqual(degraded.status, 503);
+        assert.strictEqual(degraded.body.status, 'degraded');
+        assert.strictEqual(degraded.body.components.staffAuth.status, 'ok');
+        assert.strictEqual(degraded.body.components.mindbody.status, 'fail');
+        assert.strictEqual(degraded.body.components.mindbody.error.status, 500);
+    });
+
+    test('GET /api/tenant, also under a /t/:tenantId prefix', async () => {
+        assert.strictEqual((await call('get', '/api/tenant')).body.tenant.id, 'default');
+        assert.strictEqual((await call('get', '/t/default/api/tenant')).body.tenant.id, 'default');
+    });
+
+    test('unknown tenants are rejected', async () => {
+        const { status, body } = await call('get', '/api/tenant', { headers: { 'X-Tenant-Id': 'nope' } });
+        assert.strictEqual(status, 404);
+        assert.strictEqual(body.code, 'UNKNOWN_TENANT');
+    });
+
+    test('a malformed tenant prefix is an unknown tenant', async () => {
+        const { status, body } = await call('get', '/t/%E0/api/health');
+        assert.strictEqual(status, 404);
+        assert.strictEqual(body.code, 'UNKNOWN_TENANT');
+    });
+
+    test('every response carries a request ID, which Mindbody also receives', async () => {
+        const { headers } = await call('get', '/api/locations', { headers: { 'X-Request-Id': 'trace-42' } });
+        assert.strictEqual(headers.get('x-request-id'), 'trace-42');
+        assert.strictEqual(mindbody.state.calls.at(-1).requestId, 'trace-42');
+
+        const generated = await call('get', '/api/health', { headers: { 'X-Request-Id': 'not a valid id!' } });
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+
+    test('a body that is not JSON gets the error envelope and a request ID', async () => {
+        const { status, headers, body } = await call('post', '/api/clients/login', {
+            body: '{bad',
+            headers: { 'X-Request-Id': 'bad-json-1' }
+        });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.code, 'INVALID_JSON');
+        assert.strictEqual(body.success, false);
+        assert.strictEqual(headers.get('x-request-id'), 'bad-json-1');
+    });
+
+    test('an unknown route gets a JSON 404', async () => {
+        const { status, headers, body } = await call('get', '/api/no-such-route');
+        assert.strictEqual(status, 404);
+        assert.strictEqual(body.code, 'NOT_FOUND');
+        assert.ok(headers.get('x-request-id'));
+    });
+
+    test('GET /api/openapi.json and /api/docs', async () => {
+        assert.strictEqual((await call('get', '/api/openapi.json')).body.openapi, '3.0.3');
+        const docs = await call('get', '/api/docs');
+        assert.strictEqual(docs.status, 200);
+        assert.match(docs.body, /openapi\.json/);
+    });
+});
+
+describe('staff auth', () => {
+    test('POST /api/auth/login issues a Mindbody staff token', async () => {
+        const { status, body } = await call('post', '/api/auth/login', {
+            body: { username: mindbody.credentials.username, password: mindbody.credentials.password }
+        });
+        assert.strictEqual(status, 200);
+        assert.ok(mindbody.state.tokens.has(body.accessToken));
+    });
+
+    test('POST /api/auth/login with a wrong password is a 401', async () => {
+        const { status, body } = await call('post', '/api/auth/login', { body: { username: 'mock-staff', password: 'wrong' } });
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.code, 'INVALID_CREDENTIALS');
+    });
+
+    test('a rejected staff token is reissued and the call retried', async () => {
+        await call('get', '/api/clients?searchText=eva', { headers: admin });
+        mindbody.revokeTokens();
+        const { status, body } = await call('get', '/api/clients?searchText=eva', { headers: admin });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.clients.length, 1);
+    });
+});
+
+describe('catalog', () => {
+    test('GET /api/locations', async () => {
+        const { body } = await call('get', '/api/locations');
+        assert.deepStrictEqual(body.locations.map(l => l.Id), [1, 2]);
+    });
+
+    test('GET /api/session-types loads two locations asked for at once', async () => {
+        const [first, second] = await Promise.all([
+            call('get', '/api/session-types?locationId=1'),
+            call('get', '/api/session-types?locationId=2')
+        ]);
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(second.status, 200);
+        assert.deepStrictEqual(second.body.sessionTypes.map(st => st.Id), [11, 13]);
+        assert.strictEqual(second.body.catalog.stale, false);
+    });
+
+    test('GET /api/session-types lists online-bookable appointments with pre-tax prices', async () => {
+        const { status, body, headers } = await call('get', '/api/session-types');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.sessionTypes.map(st => st.Id), [11, 12, 13, 14]);
+        assert.strictEqual(body.sessionTypes[0].Price, 70);
+        assert.strictEqual(body.sessionTypes[0].CategoryName, 'Masajes');
+        assert.deepStrictEqual(body.categories, ['Masajes', 'Faciales']);
+
+        const again = await call('get', '/api/session-types', { headers: { 'If-None-Match': headers.get('etag') } });
+        assert.strictEqual(again.status, 304);
+    });
+
+    test('GET /api/session-types?locationId=2 only lists that location', async () => {
+        const { body } = await call('get', '/api/session-types?locationId=2');
+        assert.deepStrictEqual(body.sessionTypes.map(st => st.Id), [11, 13]);
+    });
+
+    test('GET /api/staff filters by location', async () => {
+        const { body } = await call('get', '/api/staff?locationId=2');
+        assert.deepStrictEqual(body.staff.map(s => s.FirstName), ['Luis']);
+    });
+
+    test('POST /api/admin/catalog/refresh needs the admin key', async () => {
+        assert.strictEqual((await call('post', '/api/admin/catalog/refresh')).status, 401);
+        const { status, body } = await call('post', '/api/admin/catalog/refresh', { headers: admin });
+        assert.strictEqual(status, 200);
+        assert.ok(body.sessionTypes > 0);
+    });
+
+    test('GET /api/admin/usage counts Mindbody calls', async () => {
+        const { status, body } = await call('get', '/api/admin/usage', { headers: admin });
+        assert.strictEqual(status, 200);
+        assert.ok(body.totalCalls > 0);
+        assert.ok(body.byEndpoint.some(e => e.endpoint === '/site/locations'));
+    });
+});
+
+describe('availability', () => {
+    test('GET /api/available-dates only returns days the therapist works', async () => {
+        const { status, body } = await call('get', `/api/available-dates?sessionTypeIds=13&staffIds=3&startDate=${DAY}&endDate=${LATER_DAY}`);
+        assert.strictEqual(status, 200);
+        assert.ok(body.availableDates.length > 0);
+        body.availableDates.forEach(date => {
+            assert.ok([2, 4, 6].includes(new Date(`${date.slice(0, 10)}T00:00:00Z`).getUTCDay()));
+        });
+    });
+
+    test('GET /api/bookable-items returns windows per staff and caches them', async () => {
+        const url = `/api/bookable-items?sessionTypeIds=11&locationIds=1&startDate=${DAY}&endDate=${DAY}`;
+        const first = await call('get', url);
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+        assert.deepStrictEqual(first.body.staffWithAvailability.map(s => s.id).sort(), [1, 2]);
+        assert.strictEqual(first.body.pagination.truncated, false);
+
+        const second = await call('get', url);
+        assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+    });
+
+    test('GET /api/bookable-items rejects bad input', async () => {
+        const missing = await call('get', '/api/bookable-items');
+        assert.strictEqual(missing.status, 400);
+        assert.strictEqual(missing.body.field, 'sessionTypeIds');
+
+        const backwards = await call('get', `/api/bookable-items?sessionTypeIds=11&startDate=${LATER_DAY}&endDate=${DAY}`);
+        assert.strictEqual(backwards.status, 400);
+        assert.strictEqual(backwards.body.field, 'endDate');
+    });
+
+    test('GET /api/staff-with-availability', async () => {
+        const { body } = await call('get', `/api/staff-with-availability?sessionTypeIds=13&startDate=${DAY}&endDate=${DAY}`);
+        assert.deepStrictEqual(body.staff.map(s => s.Name).sort(), ['Luis Vega', 'María Gómez']);
+    });
+
+    test('GET /api/available-slots groups one therapist by day', async () => {
+        const { body } = await call('get', `/api/available-slots?sessionTypeIds=11&staffId=2&startDate=${DAY}&endDate=${DAY}`);
+        assert.deepStrictEqual(Object.keys(body.slotsByDate), [DAY]);
+        assert.ok(body.slots.every(slot => slot.Staff.Id === 2));
+    });
+
+    test('availability routes list concrete start times per therapist and day', async () => {
+        const { body } = await call('get', `/api/available-slots?sessionTypeIds=11&staffId=2&startDate=${DAY}&endDate=${DAY}`);
+        const [carlos] = body.slotsByStaff;
+        assert.deepStrictEqual([carlos.date, carlos.staffId, carlos.staffName], [DAY, 2, 'Carlos Pérez']);
+        // 10:00-18:00 every 15 minutes, the last one ending at 18:00
+        assert.strictEqual(carlos.slots.length, 29);
+        assert.strictEqual(carlos.slots[0].startDateTime, `${DAY}T10:00:00-05:00`);
+        assert.strictEqual(carlos.slots[28].endDateTime, `${DAY}T18:00:00-05:00`);
+
+        const hourly = await call('get', `/api/bookable-items?sessionTypeIds=11&staffIds=2&startDate=${DAY}&endDate=${DAY}&step=60`);
+        assert.strictEqual(hourly.body.slotsByStaff[0].slots.length, 8);
+
+        const odd = await call('get', `/api/bookable-items?sessionTypeIds=11&step=20`);
+        assert.strictEqual(odd.status, 400);
+        assert.strictEqual(odd.body.field, 'step');
+    });
+
+    test('GET /api/next-available returns the soonest slots across therapists and locations', async () => {
+        const { status, body } = await call('get', `/api/next-available?sessionTypeIds=13&startDate=${DAY}&limit=5`);
+        assert.strictEqual(status, 200);
+        // Luis (location 2) starts at 08:00; at 09:00 María (location 1) joins him
+        assert.deepStrictEqual(
+            body.slots.map(slot => [slot.startDateTime.slice(11, 16), slot.staff.name, slot.location.id]),
+            [['08:00', 'Luis Vega', 2], ['08:15', 'Luis Vega', 2], ['08:30', 'Luis Vega', 2], ['08:45', 'Luis Vega', 2],
+                ['09:00', 'María Gómez', 1]]
+        );
+        assert.strictEqual(body.slots[0].endDateTime, `${DAY}T09:00:00-05:00`);
+        assert.strictEqual(body.searched.startDate, DAY);
+    });
+
+    test('GET /api/next-available offers every start time of a window, not just its first', async () => {
+        const { body } = await call('get', `/api/next-available?sessionTypeIds=13&staffIds=3&startDate=${DAY}&limit=4`);
+        assert.deepStrictEqual(
+            body.slots.map(slot => slot.startDateTime),
+            ['09:00', '09:15', '09:30', '09:45'].map(time => `${DAY}T${time}:00-05:00`)
+        );
+        assert.strictEqual(body.searched.daysChecked, 1);
+    });
+
+    test('GET /api/next-available skips days the preferred therapist does not work', async () => {
+        // The day after DAY is a Wednesday or Friday, when María is off
+        const dayAfter = new Date(Date.parse(`${DAY}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+        const { body } = await call('get', `/api/next-available?sessionTypeIds=13&staffIds=3&gender=female&startDate=${dayAfter}&limit=2`);
+        assert.ok(body.slots.every(slot => slot.staff.id === 3 && slot.staff.gender === 'Female'));
+        assert.ok(body.slots.every(slot => [2, 4, 6].includes(new Date(`${slot.startDateTime.slice(0, 10)}T00:00:00Z`).getUTCDay())));
+        assert.strictEqual(body.searched.daysChecked, 1, 'the day off is never fetched');
+
+        const dates = mindbody.state.calls.filter(c => c.path === '/appointment/availabledates').pop();
+        assert.strictEqual(dates.query.staffId, '3');
+
+        const tooMany = await call('get', '/api/next-available?sessionTypeIds=13&limit=50');
+        assert.strictEqual(tooMany.status, 400);
+        assert.strictEqual(tooMany.body.field, 'limit');
+    });
+
+    test('Mindbody failures come back as 502 UPSTREAM_ERROR', async () => {
+        mindbody.failNext('/site/locations', 500);
+        const { status, body } = await call('get', '/api/locations');
+        assert.strictEqual(status, 502);
+        assert.strictEqual(body.code, 'UPSTREAM_ERROR');
+        assert.strictEqual(body.upstream.status, 500);
+    });
+});
+
+describe('clients', () => {
+    test('GET /api/clients searches by text and filters by email', async () => {
+        const byText = await call('get', '/api/clients?searchText=mora', { headers: admin });
+        assert.deepStrictEqual(byText.body.clients.map(c => c.Id), ['100001']);
+        const byEmail = await call('get', '/api/clients?searchText=example.com&email=juan@example.com', { headers: admin });
+        assert.deepStrictEqual(byEmail.body.clients.map(c => c.Id), ['100002']);
+    });
+
+    test('GET /api/clients needs the admin key', async () => {
+        const { status, body } = await call('get', '/api/clients?searchText=example');
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.code, 'ADMIN_AUTH_REQUIRED');
+        assert.strictEqual(body.clients, undefined);
+    });
+
+    test('POST /api/clients/login by email or phone', async () => {
+        const byEmail = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'Clave123' } });
+        assert.strictEqual(byEmail.body.client.Id, '100001');
+        assert.ok(byEmail.body.sessionToken);
+
+        const byPhone = await call('post', '/api/clients/login', { body: { username: '6700 1122', password: 'Clave456' } });
+        assert.strictEqual(byPhone.status, 200);
+        assert.strictEqual(byPhone.body.client.Id, '100002');
+    });
+
+    test('POST /api/clients/login by phone needs the whole number', async () => {
+        const { status, body } = await call('post', '/api/clients/login', { body: { username: '1122', password: 'Clave456' } });
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.code, 'INVALID_CREDENTIALS');
+    });
+
+    test('POST /api/clients/login by a phone shared by two accounts logs in the one the password opens', async () => {
+        const twin = { ...mindbody.state.clients.get('100001'), Id: '100099', Email: 'eva.twin@example.com', password: 'Gemela789' };
+        mindbody.state.clients.set(twin.Id, twin);
+        try {
+            const login = (password) => call('post', '/api/clients/login', { body: { username: '6612-4546', password } });
+
+            const eva = await login('Clave123');
+            assert.strictEqual(eva.status, 200);
+            assert.strictEqual(eva.body.client.Id, '100001');
+            assert.strictEqual((await login('Gemela789')).body.client.Id, '100099');
+
+            // A wrong password gets the same answer as for a phone with one account or none
+            const wrong = await login('incorrecta');
+            assert.strictEqual(wrong.status, 401);
+            assert.strictEqual(wrong.body.code, 'INVALID_CREDENTIALS');
+        } finally {
+            mindbody.state.clients.delete(twin.Id);
+        }
+    });
+
+    test('POST /api/clients/login is refused when the password opens several accounts on the phone', async () => {
+        const twin = { ...mindbody.state.clients.get('100001'), Id: '100099', Email: 'eva.twin@example.com' };
+        mindbody.state.clients.set(twin.Id, twin);
+        try {
+            const { status, body } = await call('post', '/api/clients/login', { body: { username: '6612-4546', password: 'Clave123' } });
+            assert.strictEqual(status, 409);
+            assert.strictEqual(body.code, 'LOGIN_AMBIGUOUS');
+            assert.strictEqual(body.sessionToken, undefined);
+        } finally {
+            mindbody.state.clients.delete(twin.Id);
+        }
+    });
+
+    test('logins and password resets go through the outbound limiter and metrics', async () => {
+        await call('post', '/api/clients/login', { body: { username: '6700 1122', password: 'Clave456' } });
+        await call('post', '/api/clients/forgot-password', { body: { email: 'nadie@example.com' } });
+        await call('post', '/api/auth/login', { body: { username: 'mock-staff', password: 'mock-password' } });
+
+        const usage = await call('get', '/api/admin/usage', { headers: admin });
+        const endpoints = usage.body.byEndpoint.map(entry => entry.endpoint);
+        ['/client/clients', '/client/sendpasswordresetemail', '/usertoken/issue']
+            .forEach(endpoint => assert.ok(endpoints.includes(endpoint), `${endpoint} is counted`));
+
+        const { body } = await call('get', '/metrics');
+        assert.match(body, /mindbody_proxy_upstream_requests_total\{[^}]*endpoint="\/client\/sendpasswordresetemail",status="400"\}/);
+    });
+
+    test('POST /api/clients/login reissues a revoked staff token', async () => {
+        mindbody.revokeTokens();
+        const { status, body } = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'Clave123' } });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.client.Id, '100001');
+    });
+
+    test('POST /api/clients/login reports a Mindbody failure as one, not as a wrong password', async () => {
+        mindbody.failNext('/client/validateclientcredentials', 500);
+        const { status, body } = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'Clave123' } });
+        assert.strictEqual(status, 502);
+        assert.strictEqual(body.code, 'UPSTREAM_ERROR');
+    });
+
+    test('POST /api/clients/login with a wrong password is a 401', async () => {
+        const { status, body } = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'nope' } });
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.code, 'INVALID_CREDENTIALS');
+    });
+
+    test('POST /api/clients/forgot-password never reveals whether the email exists', async () => {
+        const known = await call('post', '/api/clients/forgot-password', { body: { email: 'eva@example.com' } });
+        const unknown = await call('post', '/api/clients/forgot-password', { body: { email: 'nadie@example.com' } });
+        assert.strictEqual(known.status, 200);
+        assert.strictEqual(unknown.status, 200);
+        assert.deepStrictEqual(mindbody.state.passwordResets, ['eva@example.com']);
+    });
+
+    test('POST /api/clients creates the client once per Idempotency-Key', async () => {
+        const request = {
+            body: { firstName: 'Luz', lastName: 'Paz', email: 'luz@example.com', password: 'Clave789' },
+            headers: { 'Idempotency-Key': 'create-luz' }
+        };
+        const first = await call('post', '/api/clients', request);
+        assert.strictEqual(first.status, 200);
+        const replay = await call('post', '/api/clients', request);
+        assert.strictEqual(replay.headers.get('idempotent-replayed'), 'true');
+        assert.deepStrictEqual(replay.body, first.body);
+
+        const created = Array.from(mindbody.state.clients.values()).filter(c => c.Email === 'luz@example.com');
+        assert.strictEqual(created.length, 1);
+    });
+
+    test('POST /api/clients with an email already in Mindbody is rejected', async () => {
+        const { status, body } = await call('post', '/api/clients', {
+            body: { firstName: 'Eva', lastName: 'Mora', email: 'eva@example.com' }
+        });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.code, 'UPSTREAM_BAD_REQUEST');
+    });
+});
+
+describe('appointments', () => {
+    test('GET /api/clients/:clientId/appointments needs the matching session', async () => {
+        assert.strictEqual((await call('get', '/api/clients/100001/appointments')).status, 401);
+
+        const session = await login();
+        assert.strictEqual((await call('get', '/api/clients/100002/appointments', { headers: session })).status, 403);
+
+        const { status, body } = await call('get', '/api/clients/100001/appointments', { headers: session });
+        assert.strictEqual(status, 200);
+        // The completed appointment from two days ago is not upcoming
+        assert.deepStrictEqual(body.appointments.map(a => a.id), [5001, 5002]);
+    });
+
+    test('POST /api/appointments/book books the slot in Mindbody', async () => {
+        const session = await login();
+        const booking = { startDateTime: `${DAY}T10:00:00`, staffId: 1, sessionTypeId: 11, locationId: 1, isRequest: false };
+
+        const { status, body } = await call('post', '/api/appointments/book', { headers: session, body: booking });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(mockAppointment(body.appointment.Id).Status, 'Booked');
+        assert.strictEqual(mockAppointment(body.appointment.Id).ClientId, '100001');
+
+        const taken = await call('post', '/api/appointments/book', { headers: session, body: booking });
+        assert.strictEqual(taken.status, 409);
+        assert.strictEqual(taken.body.code, 'SLOT_NO_LONGER_AVAILABLE');
+        assert.ok(taken.body.alternatives.length > 0);
+    });
+
+    test('POST /api/appointments/book in request mode makes an anonymous request', async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/appointments/book', {
+            headers: session,
+            body: { startDateTime: `${DAY}T13:00:00`, staffId: 2, sessionTypeId: 11, locationId: 1, isRequest: true }
+        });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.isRequest, true);
+        assert.strictEqual(mockAppointment(body.appointment.Id).Status, 'Requested');
+
+        const add = mindbody.state.calls.filter(c => c.path === '/appointment/addappointment').pop();
+        assert.strictEqual(add.authorization, null);
+    });
+
+    test('POST /api/appointments/book validates the body', async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/appointments/book', {
+            headers: session,
+            body: { startDateTime: 'tomorrow', staffId: 1, sessionTypeId: 11 }
+        });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.field, 'startDateTime');
+    });
+
+    test('POST /api/appointments/:id/reschedule moves the appointment', async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/appointments/5001/reschedule', {
+            headers: session,
+            body: { startDateTime: `${LATER_DAY}T15:00:00`, staffId: 2 }
+        });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(mockAppointment(5001).StartDateTime, `${LATER_DAY}T15:00:00`);
+        assert.strictEqual(mockAppointment(5001).StaffId, 2);
+        assert.strictEqual(body.previous.id, 5001);
+    });
+
+    test('POST /api/appointments/:id/reschedule to a busy slot keeps the original', async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/appointments/5001/reschedule', {
+            headers: session,
+            body: { startDateTime: `${DAY}T10:30:00`, staffId: 1 }
+        });
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.code, 'SLOT_NO_LONGER_AVAILABLE');
+        assert.strictEqual(mockAppointment(5001).StartDateTime, `${LATER_DAY}T15:00:00`);
+    });
+
+    test('POST /api/appointments/:id/reschedule can overlap the appointment\'s own time', async () => {
+        const session = await login();
+        const { status } = await call('post', '/api/appointments/5001/reschedule', {
+            headers: session,
+            body: { startDateTime: `${LATER_DAY}T15:30:00`, staffId: 2 }
+        });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(mockAppointment(5001).StartDateTime, `${LATER_DAY}T15:30:00`);
+        assert.strictEqual(mockAppointment(5001).EndDateTime, `${LATER_DAY}T16:30:00`);
+    });
+
+    test('POST /api/appointments/:id/cancel cancels once', async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/appointments/5002/cancel', { headers: session, body: {} });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.lateCancel, false);
+        assert.strictEqual(mockAppointment(5002).Status, 'Cancelled');
+
+        const again = await call('post', '/api/appointments/5002/cancel', { headers: session, body: {} });
+        assert.strictEqual(again.status, 409);
+        assert.strictEqual(again.body.code, 'APPOINTMENT_ALREADY_CANCELLED');
+    });
+
+    test('POST /api/appointments/:id/cancel inside the late-cancel window needs lateCancel', async () => {
+        // An appointment two hours from now, on the site's clock (the mock locations are in Panama, UTC-5)
+        const local = new Date(Date.now() + (2 - 5) * 60 * 60 * 1000).toISOString().slice(0, 19);
+        mindbody.state.appointments.set(5999, {
+            ...mockAppointment(5004), Id: 5999, Status: 'Booked', StartDateTime: local, EndDateTime: local
+        });
+
+        const session = await login();
+        const refused = await call('post', '/api/appointments/5999/cancel', { headers: session, body: {} });
+        assert.strictEqual(refused.status, 409);
+        assert.strictEqual(refused.body.code, 'LATE_CANCEL_WINDOW');
+
+        const late = await call('post', '/api/appointments/5999/cancel', { headers: session, body: { lateCancel: true } });
+        assert.strictEqual(late.status, 200);
+        assert.strictEqual(mockAppointment(5999).Status, 'LateCancelled');
+    });
+
+    test('appointments that have started or finished can be neither cancelled nor moved', async () => {
+        const session = await login();
+
+        // 5004 was two days ago
+        const late = await call('post', '/api/appointments/5004/cancel', { headers: session, body: { lateCancel: true } });
+        assert.strictEqual(late.status, 409);
+        assert.strictEqual(late.body.code, 'APPOINTMENT_ALREADY_STARTED');
+        assert.strictEqual(mockAppointment(5004).Status, 'Completed');
+
+        const moved = await call('post', '/api/appointments/5004/reschedule', {
+            headers: session,
+            body: { startDateTime: `${LATER_DAY}T15:00:00`, staffId: 1 }
+        });
+        assert.strictEqual(moved.status, 409);
+        assert.strictEqual(moved.body.code, 'APPOINTMENT_ALREADY_STARTED');
+
+        // Checked in for one later today: started as far as the client is concerned
+        const local = new Date(Date.now() + (3 - 5) * 60 * 60 * 1000).toISOString().slice(0, 19);
+        mindbody.state.appointments.set(5998, {
+            ...mockAppointment(5004), Id: 5998, Status: 'Arrived', StartDateTime: local, EndDateTime: local
+        });
+        const arrived = await call('post', '/api/appointments/5998/cancel', { headers: session, body: { lateCancel: true } });
+        assert.strictEqual(arrived.body.code, 'APPOINTMENT_ALREADY_STARTED');
+    });
+
+    test("another client's appointment looks like it does not exist", async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/appointments/5003/cancel', { headers: session, body: { clientId: '100001' } });
+        assert.strictEqual(status, 404);
+        assert.strictEqual(body.code, 'APPOINTMENT_NOT_FOUND');
+    });
+});
+
+describe('itineraries', () => {
+    const times = (legs) => legs.map(leg => [leg.staffId, leg.startDateTime.slice(11, 16), leg.endDateTime.slice(11, 16)]);
+
+    test('GET /api/itineraries/options chains treatments back to back', async () => {
+        const { status, body } = await call('get', `/api/itineraries/options?sessionTypeIds=11,13&locationIds=1&date=${ITINERARY_DAY}`);
+        assert.strictEqual(status, 200);
+        const [first] = body.options;
+        assert.strictEqual(first.locationId, 1);
+        // Ana's massage, then María's facial as soon as it ends
+        assert.deepStrictEqual(times(first.legs), [[1, '09:00', '10:00'], [3, '10:00', '11:00']]);
+        assert.strictEqual(first.endDateTime, `${ITINERARY_DAY}T11:00:00-05:00`);
+    });
+
+    test('GET /api/itineraries/options keeps the same therapist when they are free', async () => {
+        const { body } = await call('get', `/api/itineraries/options?sessionTypeIds=11,12&locationIds=1&date=${ITINERARY_DAY}&limit=1`);
+        assert.deepStrictEqual(times(body.options[0].legs), [[1, '09:00', '10:00'], [1, '10:00', '11:30']]);
+    });
+
+    test('POST /api/itineraries/book books every leg under one reference', async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/itineraries/book', {
+            headers: session,
+            body: { sessionTypeIds: [11, 13], startDateTime: `${ITINERARY_DAY}T09:00:00`, locationId: 1, isRequest: false }
+        });
+        assert.strictEqual(status, 200);
+        assert.match(body.itinerary.reference, /^IT-[0-9A-F]{8}$/);
+        assert.deepStrictEqual(times(body.itinerary.legs), [[1, '09:00', '10:00'], [3, '10:00', '11:00']]);
+
+        const appointments = body.itinerary.legs.map(leg => mockAppointment(leg.appointmentId));
+        assert.ok(appointments.every(apt => apt.Status === 'Booked' && apt.Notes.includes(body.itinerary.reference)));
+    });
+
+    test('POST /api/itineraries/book cancels the booked legs when a later one fails', async () => {
+        const session = await login();
+        const before = mindbody.state.nextAppointmentId;
+        mindbody.failNext('/appointment/addappointment', 500, 1, 'InternalError', { skip: 1 });
+
+        const { status, body } = await call('post', '/api/itineraries/book', {
+            headers: session,
+            body: { sessionTypeIds: [11, 13], startDateTime: `${ITINERARY_DAY}T11:00:00`, locationId: 1, isRequest: false }
+        });
+        assert.strictEqual(status, 502);
+        assert.strictEqual(body.code, 'ITINERARY_FAILED');
+        assert.strictEqual(body.failedLeg, 2);
+        assert.deepStrictEqual(body.rollback, { cancelled: [before], failed: [] });
+        assert.strictEqual(mockAppointment(before).Status, 'Cancelled');
+    });
+
+    test('POST /api/itineraries/book needs one staff ID per leg', async () => {
+        const session = await login();
+        const { status, body } = await call('post', '/api/itineraries/book', {
+            headers: session,
+            body: { sessionTypeIds: [11, 13], staffIds: [1], startDateTime: `${ITINERARY_DAY}T13:00:00` }
+        });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.field, 'staffIds');
+    });
+});
+
+describe('group bookings', () => {
+    const groupSlots = async (query = '') => {
+        const { status, body } = await call('get', `/api/groups/availability?sessionTypeId=14&locationIds=1&date=${GROUP_DAY}${query}`);
+        assert.strictEqual(status, 200);
+        return body.slots;
+    };
+    const book = async (body, headers = {}) => call('post', '/api/groups/book', {
+        headers: { ...await login(), ...headers },
+        body: { sessionTypeId: 14, locationId: 1, isRequest: false, ...body }
+    });
+
+    test('GET /api/groups/availability only offers times with enough therapists free together', async () => {
+        const [first] = await groupSlots();
+        // Ana starts at 09:00, but Carlos only at 10:00
+        assert.strictEqual(first.startDateTime, `${GROUP_DAY}T10:00:00-05:00`);
+        assert.deepStrictEqual(first.staff.map(member => member.staffId), [1, 2]);
+
+        assert.deepStrictEqual(await groupSlots('&size=3'), [], 'only two therapists do couples massages');
+    });
+
+    test('POST /api/groups/book books one appointment per therapist under one reference', async () => {
+        const { status, body } = await book({ startDateTime: `${GROUP_DAY}T10:00:00` });
+        assert.strictEqual(status, 200);
+        assert.match(body.group.reference, /^GR-[0-9A-F]{8}$/);
+        assert.deepStrictEqual(body.group.appointments.map(apt => [apt.staffId, apt.clientId]), [[1, '100001'], [2, '100001']]);
+
+        const appointments = body.group.appointments.map(apt => mockAppointment(apt.appointmentId));
+        assert.ok(appointments.every(apt => apt.Status === 'Booked' && apt.StartDateTime === `${GROUP_DAY}T10:00:00` &&
+            apt.Notes.includes(body.group.reference)));
+        assert.notStrictEqual((await groupSlots())[0].startDateTime, `${GROUP_DAY}T10:00:00-05:00`);
+    });
+
+    test('POST /api/groups/book books for another client only with their own session', async () => {
+        const clientIds = ['100002', '100001'];
+        const unproven = await book({ startDateTime: `${GROUP_DAY}T12:00:00`, clientIds });
+        assert.strictEqual(unproven.status, 403);
+        assert.strictEqual(unproven.body.code, 'CLIENT_MISMATCH');
+
+        const juan = await login('juan@example.com', 'Clave456');
+        const guests = { 'X-Guest-Session-Tokens': juan['X-Session-Token'] };
+        const { status, body } = await book({ startDateTime: `${GROUP_DAY}T12:00:00`, clientIds }, guests);
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.group.appointments.map(apt => apt.clientId), ['100002', '100001']);
+
+        const without = await book({ startDateTime: `${GROUP_DAY}T13:00:00`, clientIds: ['100002', '100002'] }, guests);
+        assert.strictEqual(without.status, 403, 'the session client must be in the group');
+        assert.strictEqual(without.body.code, 'CLIENT_MISMATCH');
+    });
+
+    test('POST /api/groups/book cancels the booked appointments when one fails', async () => {
+        const before = mindbody.state.nextAppointmentId;
+        mindbody.failNext('/appointment/addappointment', 500, 1, 'InternalError', { skip: 1 });
+
+        const { status, body } = await book({ startDateTime: `${GROUP_DAY}T14:00:00` });
+        assert.strictEqual(status, 502);
+        assert.strictEqual(body.code, 'GROUP_BOOKING_FAILED');
+        assert.strictEqual(body.failedAppointment, 2);
+        assert.deepStrictEqual(body.rollback, { cancelled: [before], failed: [] });
+        assert.strictEqual(mockAppointment(before).Status, 'Cancelled');
+    });
+
+    test('POST /api/groups/book needs a different therapist for each appointment', async () => {
+        const { status, body } = await book({ startDateTime: `${GROUP_DAY}T15:00:00`, staffIds: [1, 1] });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.field, 'staffIds');
+    });
+});
+
+describe('debug routes (ENABLE_DEBUG_ROUTES=true)', () => {
+    const debugGets = [
+        `/api/test-bookable?sessionTypeId=11&locationId=1`,
+        '/api/test-session-types',
+        '/api/test-service-categories',
+        '/api/test-programs',
+        '/api/test-services',
+        '/api/debug-prices',
+        '/api/test-pricing-options',
+        '/api/test-available-dates?sessionTypeId=11',
+        '/api/debug/raw?endpoint=/site/locations',
+        `/api/debug/bookable-items?sessionTypeIds=11&date=${DAY}`,
+        '/api/debug/session-types',
+        '/api/debug/staff?sessionTypeIds=11',
+        `/api/debug/staff-slots?staffId=1&sessionTypeId=11&locationId=1&date=${DAY}`
+    ];
+
+    for (const url of debugGets) {
+        test(`GET ${url.split('?')[0]}`, async () => {
+            assert.strictEqual((await call('get', url)).status, 401);
+            const { status } = await call('get', url, { headers: admin });
+            assert.strictEqual(status, 200);
+        });
+    }
+
+    test('POST /api/test-client-login', async () => {
+        const { status, body } = await call('post', '/api/test-client-login', {
+            headers: admin,
+            body: { email: 'eva@example.com', password: 'Clave123' }
+        });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.success, true);
+    });
+
+    test('POST /api/auth/auto-login redacts the token', async () => {
+        const { status, body } = await call('post', '/api/auth/auto-login', { headers: admin });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.accessToken, '[REDACTED]');
+    });
+
+    test('GET /api/debug/raw refuses paths outside the allow-list', async () => {
+        const { status } = await call('get', '/api/debug/raw?endpoint=/client/clients', { headers: admin });
+        assert.strictEqual(status, 403);
+    });
+
+    test('GET /api/debug/raw refuses encoded dot segments that resolve outside the allow-list', async () => {
+        const before = mindbody.state.calls.length;
+        for (const endpoint of ['/site/%2e%2e/client/clients?searchText=eva', '/site/%2E./client/clients', '/site%2f..%2fclient/clients']) {
+            const { status } = await call('get', `/api/debug/raw?endpoint=${encodeURIComponent(endpoint)}`, { headers: admin });
+            assert.strictEqual(status, 403, endpoint);
+        }
+        assert.strictEqual(mindbody.state.calls.length, before, 'nothing reaches Mindbody');
+    });
+});
+
+// Runs last, once the blocks above have booked, cached and called Mindbody
+describe('metrics', () => {
+    test('GET /metrics reports routes, Mindbody calls, tokens, caches, bookings, itineraries and groups', async () => {
+        const { status, headers, body } = await call('get', '/metrics');
+        assert.strictEqual(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain/);
+
+        const value = (series) => {
+            const line = body.split('\n').find(l => l.startsWith(series + ' '));
+            return line ? Number(line.slice(series.length + 1)) : 0;
+        };
+        assert.ok(value('mindbody_proxy_http_requests_total{tenant="default",method="GET",route="/api/locations",status="200"}') >= 2);
+        assert.ok(value('mindbody_proxy_http_requests_total{tenant="default",method="GET",route="/api/locations",status="502"}') >= 1);
+        assert.ok(value('mindbody_proxy_http_request_duration_seconds_count{tenant="default",method="GET",route="/api/bookable-items"}') >= 2);
+        assert.ok(value('mindbody_proxy_upstream_requests_total{tenant="default",method="GET",endpoint="/site/locations",status="500"}') >= 1);
+        assert.ok(value('mindbody_proxy_upstream_request_duration_seconds_bucket{tenant="default",method="GET",endpoint="/site/locations",le="+Inf"}') >= 2);
+        assert.ok(value('mindbody_proxy_token_refreshes_total{tenant="default",outcome="success"}') >= 2);
+        assert.ok(value('mindbody_proxy_cache_lookups_total{cache="availability",result="hit"}') >= 1);
+        assert.ok(value('mindbody_proxy_cache_lookups_total{cache="availability",result="miss"}') >= 1);
+        assert.strictEqual(value('mindbody_proxy_bookings_total{tenant="default",mode="direct",outcome="success"}'), 1);
+        assert.strictEqual(value('mindbody_proxy_bookings_total{tenant="default",mode="direct",outcome="slot_unavailable"}'), 1);
+        assert.strictEqual(value('mindbody_proxy_bookings_total{tenant="default",mode="request",outcome="success"}'), 1);
+        assert.strictEqual(value('mindbody_proxy_itineraries_total{tenant="default",mode="direct",outcome="success"}'), 1);
+        assert.strictEqual(value('mindbody_proxy_itineraries_total{tenant="default",mode="direct",outcome="rolled_back"}'), 1);
+        assert.strictEqual(value('mindbody_proxy_group_bookings_total{tenant="default",mode="direct",outcome="success"}'), 2);
+        assert.strictEqual(value('mindbody_proxy_group_bookings_total{tenant="default",mode="direct",outcome="rolled_back"}'), 1);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Structured logs: one JSON object per line, tagged with the request ID, with client
+ * PII and secrets redacted even at LOG_LEVEL=debug.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday, ADMIN_KEY } = require('./helpers');
+
+const DAY = nextWeekday([2, 4]);
+
+let proxy;
+let lines = [];
+
+// Take the proxy's log lines off stdout (the test runner reports through it too)
+const write = process.stdout.write.bind(process.stdout);
+process.stdout.write = (chunk, ...rest) => {
+    if (String(chunk).startsWith('{"time"')) {
+        lines.push(...String(chunk).trim().split('\n'));
+        return true;
+    }
+    return write(chunk, ...rest);
+};
+
+before(async () => {
+    proxy = await startProxy({ LOG_LEVEL: 'debug' });
+});
+
+after(() => {
+    process.stdout.write = write;
+    proxy.close();
+});
+
+test('requests are logged as JSON tagged with their request ID', async () => {
+    lines = [];
+    await proxy.call('get', '/api/locations?searchText=x', { headers: { 'X-Request-Id': 'log-test-1' } });
+    const entries = lines.map(line => JSON.parse(line)).filter(entry => entry.requestId === 'log-test-1');
+
+    const access = entries.find(entry => entry.msg === 'request');
+    assert.deepStrictEqual(
+        { level: access.level, tenant: access.tenant, path: access.path, route: access.route, status: access.status },
+        { level: 'info', tenant: 'default', path: '/api/locations', route: '/api/locations', status: 200 }
+    );
+    assert.ok(entries.some(entry => entry.msg === 'Mindbody call' && entry.endpoint === '/site/locations'));
+});
+
+test('emails, phones, passwords and tokens never reach the logs', async () => {
+    lines = [];
+    const login = await proxy.call('post', '/api/clients/login', { body: { username: '6612-4546', password: 'Clave123' } });
+    assert.strictEqual(login.status, 200);
+    const session = { 'X-Session-Token': login.body.sessionToken };
+
+    await proxy.call('get', '/api/clients?searchText=6612-4546', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+    await proxy.call('post', '/api/clients/forgot-password', { body: { email: 'eva@example.com' } });
+    await proxy.call('post', '/api/clients', {
+        body: { firstName: 'Ada', lastName: 'Ríos', email: 'ada@example.com', mobilePhone: '+507 6123-9876', password: 'Secreta1' }
+    });
+    await proxy.call('post', '/api/appointments/book', {
+        headers: session,
+        body: { startDateTime: `${DAY}T10:00:00`, staffId: 1, sessionTypeId: 11, locationId: 1, notes: 'Llamar al 6612-4546' }
+    });
+
+    const output = lines.join('\n');
+    assert.ok(lines.length > 0);
+    const staffTokens = Array.from(proxy.mindbody.state.tokens.keys());
+    const leaks = ['eva@example.com', 'ada@example.com', '6612-4546', '6123-9876', 'Clave123', 'Secreta1', login.body.sessionToken, ...staffTokens]
+        .filter(secret => output.includes(secret));
+    assert.deepStrictEqual(leaks, []);
+});
+
+test('every line is a JSON object with time, level and message', () => {
+    lines.map(line => JSON.parse(line)).forEach(entry => {
+        assert.ok(['debug', 'info', 'warn', 'error'].includes(entry.level));
+        assert.ok(entry.time && entry.msg);
+    });
+});
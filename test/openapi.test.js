@@ -0,0 +1,217 @@
+/**
+ * Contract test: every public route is described in openapi.js, and what each
+ * route actually returns matches the schema declared for its status code.
+ *
+ * Runs against the bundled mock Mindbody (mock/mindbody.js); run with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday, ADMIN_KEY } = require('./helpers');
+
+// A Tuesday or Thursday, when the mock's therapists all work
+const DAY = nextWeekday([2, 4]);
+
+// Routes that are deliberately left out of the public document
+const UNDOCUMENTED = [
+    /^\/api\/test-/,
+    /^\/api\/debug/,
+    /^\/api\/auth\/auto-login$/,
+    /^\/api\/openapi\.json$/,
+    /^\/api\/docs$/
+];
+
+/**
+ * Check a value against an OpenAPI schema object (the subset openapi.js uses)
+ */
+function schemaErrors(schema, value, doc, at = '$') {
+    if (schema.$ref) {
+        return schemaErrors(doc.components.schemas[schema.$ref.split('/').pop()], value, doc, at);
+    }
+    if (value === null) {
+        return schema.nullable ? [] : [`${at} is null`];
+    }
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    const typeOk = schema.type === 'integer' ? Number.isInteger(value) : actual === schema.type;
+    if (schema.type && !typeOk) return [`${at} should be ${schema.type}, got ${actual}`];
+    if (schema.enum && !schema.enum.includes(value)) return [`${at} should be one of ${schema.enum.join(', ')}, got ${value}`];
+
+    if (schema.type === 'array') {
+        return value.flatMap((item, i) => schemaErrors(schema.items, item, doc, `${at}[${i}]`));
+    }
+    if (schema.type !== 'object') return [];
+
+    const properties = schema.properties || {};
+    const errors = (schema.required || [])
+        .filter(name => !(name in value))
+        .map(name => `${at}.${name} is missing`);
+
+    Object.entries(value).forEach(([name, item]) => {
+        if (properties[name]) {
+            errors.push(...schemaErrors(properties[name], item, doc, `${at}.${name}`));
+        } else if (schema.additionalProperties === false) {
+            errors.push(`${at}.${name} is not in the schema`);
+        } else if (typeof schema.additionalProperties === 'object') {
+            errors.push(...schemaErrors(schema.additionalProperties, item, doc, `${at}.${name}`));
+        }
+    });
+    return errors;
+}
+
+let proxy;
+let app;
+let doc;
+let sessionToken;
+
+before(async () => {
+    proxy = await startProxy();
+    app = proxy.app;
+    doc = require('../openapi');
+});
+
+after(() => proxy.close());
+
+const call = (...args) => proxy.call(...args);
+
+const session = () => ({ 'X-Session-Token': sessionToken });
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+const range = `startDate=${DAY}&endDate=${DAY}`;
+
+// One call per documented operation (in order: login comes before the session routes),
+// plus error cases so the error envelope is checked too
+const cases = [
+    { op: 'get /api/health', url: '/api/health', status: 200 },
+    { op: 'get /api/health/live', url: '/api/health/live', status: 200 },
+    { op: 'get /api/health/ready', url: '/api/health/ready', status: 200 },
+    { op: 'get /api/tenant', url: '/api/tenant', status: 200 },
+    { op: 'get /metrics', url: '/metrics', status: 200 },
+    { op: 'post /api/auth/login', url: '/api/auth/login', body: { username: 'mock-staff', password: 'mock-password' }, status: 200 },
+    { op: 'get /api/locations', url: '/api/locations', status: 200 },
+    { op: 'get /api/session-types', url: '/api/session-types', status: 200 },
+    { op: 'get /api/staff', url: '/api/staff?locationId=1', status: 200 },
+    { op: 'get /api/available-dates', url: `/api/available-dates?sessionTypeIds=11&${range}`, status: 200 },
+    { op: 'get /api/available-dates', url: '/api/available-dates', status: 400 },
+    { op: 'get /api/bookable-items', url: `/api/bookable-items?sessionTypeIds=11&${range}`, status: 200 },
+    { op: 'get /api/bookable-items', url: '/api/bookable-items?sessionTypeIds=abc', status: 400 },
+    { op: 'get /api/staff-with-availability', url: `/api/staff-with-availability?sessionTypeIds=11&${range}`, status: 200 },
+    { op: 'get /api/available-slots', url: `/api/available-slots?sessionTypeIds=11&staffId=1&${range}`, status: 200 },
+    { op: 'get /api/next-available', url: '/api/next-available?sessionTypeIds=11,13&limit=3', status: 200 },
+    { op: 'get /api/next-available', url: '/api/next-available?sessionTypeIds=11&gender=any', status: 400 },
+    { op: 'post /api/clients/login', url: '/api/clients/login', body: { username: 'eva@example.com', password: 'Clave123' }, status: 200 },
+    { op: 'post /api/clients/login', url: '/api/clients/login', body: { username: 'eva@example.com' }, status: 400 },
+    { op: 'get /api/clients/{clientId}/appointments', url: '/api/clients/100001/appointments', headers: session, status: 200 },
+    { op: 'get /api/clients/{clientId}/appointments', url: '/api/clients/100001/appointments', status: 401 },
+    { op: 'get /api/clients/{clientId}/appointments', url: '/api/clients/100002/appointments', headers: session, status: 403 },
+    {
+        op: 'post /api/appointments/book',
+        url: '/api/appointments/book',
+        headers: session,
+        body: { startDateTime: `${DAY}T10:00:00`, staffId: 1, sessionTypeId: 11, locationId: 1, isRequest: false },
+        status: 200
+    },
+    {
+        op: 'post /api/appointments/book',
+        url: '/api/appointments/book',
+        headers: session,
+        body: { startDateTime: `${DAY}T10:00:00`, staffId: 1, sessionTypeId: 11, locationId: 1 },
+        status: 409
+    },
+    {
+        op: 'post /api/appointments/{id}/reschedule',
+        url: '/api/appointments/5001/reschedule',
+        headers: session,
+        body: { startDateTime: `${DAY}T12:00:00`, staffId: 1 },
+        status: 200
+    },
+    { op: 'get /api/itineraries/options', url: `/api/itineraries/options?sessionTypeIds=11,13&locationIds=1&date=${DAY}`, status: 200 },
+    { op: 'get /api/itineraries/options', url: '/api/itineraries/options?sessionTypeIds=11,13,11,13,11', status: 400 },
+    {
+        op: 'post /api/itineraries/book',
+        url: '/api/itineraries/book',
+        headers: session,
+        body: { sessionTypeIds: [11, 13], startDateTime: `${DAY}T13:00:00`, locationId: 1, isRequest: false },
+        status: 200
+    },
+    {
+        op: 'post /api/itineraries/book',
+        url: '/api/itineraries/book',
+        headers: session,
+        body: { sessionTypeIds: [11, 13], startDateTime: `${DAY}T13:00:00`, locationId: 1, isRequest: false },
+        status: 409
+    },
+    { op: 'get /api/groups/availability', url: `/api/groups/availability?sessionTypeId=14&locationIds=1&date=${DAY}`, status: 200 },
+    { op: 'get /api/groups/availability', url: '/api/groups/availability?sessionTypeId=14&size=1', status: 400 },
+    {
+        op: 'post /api/groups/book',
+        url: '/api/groups/book',
+        headers: session,
+        body: { sessionTypeId: 14, startDateTime: `${DAY}T15:00:00`, locationId: 1, isRequest: false },
+        status: 200
+    },
+    {
+        op: 'post /api/groups/book',
+        url: '/api/groups/book',
+        headers: session,
+        body: { sessionTypeId: 14, startDateTime: `${DAY}T15:00:00`, locationId: 1, isRequest: false },
+        status: 409
+    },
+    { op: 'post /api/appointments/{id}/cancel', url: '/api/appointments/5002/cancel', headers: session, body: {}, status: 200 },
+    { op: 'post /api/appointments/{id}/cancel', url: '/api/appointments/5002/cancel', headers: session, body: {}, status: 409 },
+    { op: 'get /api/clients', url: '/api/clients?searchText=eva', headers: admin, status: 200 },
+    { op: 'get /api/clients', url: '/api/clients?searchText=eva', status: 401 },
+    {
+        op: 'post /api/clients',
+        url: '/api/clients',
+        body: { firstName: 'Luz', lastName: 'Paz', email: 'luz@example.com' },
+        status: 200
+    },
+    { op: 'post /api/clients/forgot-password', url: '/api/clients/forgot-password', body: { email: 'eva@example.com' }, status: 200 },
+    { op: 'post /api/admin/catalog/refresh', url: '/api/admin/catalog/refresh', headers: admin, status: 200 },
+    { op: 'post /api/admin/catalog/refresh', url: '/api/admin/catalog/refresh', status: 401 },
+    { op: 'get /api/admin/usage', url: '/api/admin/usage', headers: admin, status: 200 }
+];
+
+test('every public route is documented', () => {
+    const routes = app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+            method,
+            path: layer.route.path.replace(/:(\w+)/g, '{$1}')
+        })))
+        .filter(route => !UNDOCUMENTED.some(pattern => pattern.test(route.path)));
+
+    const missing = routes.filter(route => !doc.paths[route.path]?.[route.method]);
+    assert.deepStrictEqual(missing, [], 'routes missing from openapi.js');
+
+    const documented = Object.entries(doc.paths).flatMap(([path, ops]) => Object.keys(ops).map(method => `${method} ${path}`));
+    const untested = documented.filter(op => !cases.some(c => c.op === op));
+    assert.deepStrictEqual(untested, [], 'documented operations without a contract case below');
+});
+
+test('GET /api/openapi.json serves the document', async () => {
+    const { status, body } = await call('get', '/api/openapi.json');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.openapi, doc.openapi);
+    assert.deepStrictEqual(Object.keys(body.paths), Object.keys(doc.paths));
+});
+
+test('responses match their declared schemas', async (t) => {
+    for (const c of cases) {
+        await t.test(`${c.op} -> ${c.status}`, async () => {
+            const [method, path] = c.op.split(' ');
+            const headers = typeof c.headers === 'function' ? c.headers() : c.headers;
+            const { status, body } = await call(method, c.url, { body: c.body, headers });
+
+            assert.strictEqual(status, c.status, `unexpected status, body: ${JSON.stringify(body)}`);
+            if (c.op === 'post /api/clients/login' && status === 200) sessionToken = body.sessionToken;
+
+            const declared = doc.paths[path][method].responses[status];
+            assert.ok(declared, `status ${status} is not documented for ${c.op}`);
+
+            const schema = declared.content?.['application/json']?.schema;
+            if (!schema) return;
+            assert.deepStrictEqual(schemaErrors(schema, body, doc), []);
+        });
+    }
+});
@@ -0,0 +1,40 @@
+/**
+ * Outbound limits: the token bucket in front of Mindbody. A burst beyond the bucket
+ * waits in the queue and is sent as tokens refill; once the queue is full, further
+ * calls fail fast with UPSTREAM_RATE_LIMITED without touching the circuit.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday, ADMIN_KEY } = require('./helpers');
+
+let proxy;
+let call;
+
+before(async () => {
+    proxy = await startProxy({ MINDBODY_CALLS_PER_SECOND: '5', MINDBODY_BURST: '1', MINDBODY_QUEUE_LIMIT: '2' });
+    call = proxy.call;
+});
+
+after(() => proxy.close());
+
+const availability = (day) => call('get', `/api/bookable-items?sessionTypeIds=11&startDate=${day}&endDate=${day}`);
+
+test('a burst queues up to the limit and the rest is turned away', async () => {
+    // Staff token and site time zone first, so each request below needs one call
+    assert.strictEqual((await availability(nextWeekday([2, 4]))).status, 200);
+
+    const startedAt = Date.now();
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(week => availability(nextWeekday([2, 4], 7 + 7 * week))));
+    const served = responses.filter(response => response.status === 200);
+    const refused = responses.filter(response => response.status !== 200);
+
+    // At most one call goes straight out and two wait their turn
+    assert.ok(served.length >= 2 && served.length <= 3, `served ${served.length}`);
+    assert.ok(refused.every(response => response.status === 503 && response.body.code === 'UPSTREAM_RATE_LIMITED'));
+    assert.ok(Date.now() - startedAt >= 150, 'queued calls wait for the bucket to refill');
+
+    const usage = await call('get', '/api/admin/usage', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+    assert.strictEqual(usage.body.queued, 0);
+    assert.strictEqual((await call('get', '/api/health')).body.upstream.circuit, 'closed');
+});
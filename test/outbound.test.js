@@ -0,0 +1,43 @@
+/**
+ * Outbound limits: the daily Mindbody call budget. Refusals by the proxy's own
+ * limiter are not Mindbody failures, so they must never open the circuit.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday, ADMIN_KEY } = require('./helpers');
+
+const DAY = nextWeekday([2, 4]);
+
+let proxy;
+let call;
+
+before(async () => {
+    proxy = await startProxy({ MINDBODY_DAILY_BUDGET: '3', CIRCUIT_FAILURE_THRESHOLD: '2', UPSTREAM_MAX_RETRIES: '2' });
+    call = proxy.call;
+});
+
+after(() => proxy.close());
+
+const availability = (date) => call('get', `/api/bookable-items?sessionTypeIds=11&startDate=${date}&endDate=${date}`);
+
+test('an exhausted daily budget fails fast without opening the circuit', async () => {
+    // Staff token plus one availability read
+    assert.strictEqual((await availability(DAY)).status, 200);
+    const spent = proxy.mindbody.state.calls.length;
+
+    for (const offset of [1, 2, 3]) {
+        const { status, headers, body } = await availability(nextWeekday([2, 4], 7 * offset + 7));
+        assert.strictEqual(status, 503);
+        assert.strictEqual(body.code, 'UPSTREAM_QUOTA_EXHAUSTED');
+        assert.ok(Number(headers.get('retry-after')) > 0);
+    }
+    assert.strictEqual(proxy.mindbody.state.calls.length, spent, 'refused calls never reach Mindbody');
+
+    const { body } = await call('get', '/api/health');
+    assert.strictEqual(body.upstream.circuit, 'closed');
+    assert.strictEqual(body.upstream.consecutiveFailures, 0);
+
+    const usage = await call('get', '/api/admin/usage', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+    assert.strictEqual(usage.body.today.calls, 3);
+});
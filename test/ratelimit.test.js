@@ -0,0 +1,61 @@
+/**
+ * Inbound rate limits, set low enough to hit: bookings per client session, logins
+ * per identifier and per IP. Each answers 429 RATE_LIMITED with Retry-After.
+ *
+ * The tests share one IP's login budget, so they run in order.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday } = require('./helpers');
+
+const DAY = nextWeekday([2, 4]);
+
+let proxy;
+let call;
+
+before(async () => {
+    proxy = await startProxy({
+        RATE_LIMIT_LOGIN_IP: '5/60',
+        RATE_LIMIT_LOGIN_IDENTIFIER: '2/60',
+        RATE_LIMIT_BOOKING_CLIENT: '1/60'
+    });
+    call = proxy.call;
+});
+
+after(() => proxy.close());
+
+const login = (username, password = 'wrong') => call('post', '/api/clients/login', { body: { username, password } });
+
+const assertLimited = ({ status, headers, body }) => {
+    assert.strictEqual(status, 429);
+    assert.strictEqual(body.code, 'RATE_LIMITED');
+    const retryAfter = Number(headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After ${headers.get('retry-after')}`);
+    assert.strictEqual(body.retryAfter, retryAfter);
+};
+
+test('bookings are limited per client session', async () => {
+    const { body } = await login('eva@example.com', 'Clave123');
+    const session = { 'X-Session-Token': body.sessionToken };
+    const book = () => call('post', '/api/appointments/book', {
+        headers: session,
+        body: { startDateTime: `${DAY}T10:00:00`, staffId: 1, sessionTypeId: 11, locationId: 1, isRequest: false }
+    });
+
+    assert.strictEqual((await book()).status, 200);
+    assertLimited(await book());
+});
+
+test('logins for one identifier are limited, whatever its case or spacing', async () => {
+    assert.strictEqual((await login('juan@example.com')).status, 401);
+    assert.strictEqual((await login(' JUAN@example.com ')).status, 401);
+    // Even the right password waits out the window
+    assertLimited(await login('juan@example.com', 'Clave456'));
+});
+
+test('logins from one IP are limited across identifiers', async () => {
+    // Four attempts so far from this IP
+    assert.strictEqual((await login('uno@example.com')).status, 401);
+    assertLimited(await login('dos@example.com'));
+});
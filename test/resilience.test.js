@@ -0,0 +1,76 @@
+/**
+ * Upstream resilience: transient Mindbody failures are retried for GETs only, and
+ * consecutive failures open the circuit, which fails fast until a trial call after
+ * the cooldown succeeds.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, nextWeekday } = require('./helpers');
+
+let proxy;
+let call;
+let mindbody;
+let week = 0;
+
+before(async () => {
+    proxy = await startProxy({
+        UPSTREAM_MAX_RETRIES: '2',
+        UPSTREAM_RETRY_BASE_MS: '10',
+        CIRCUIT_FAILURE_THRESHOLD: '2',
+        CIRCUIT_COOLDOWN_SECONDS: '0.3'
+    });
+    call = proxy.call;
+    mindbody = proxy.mindbody;
+});
+
+after(() => proxy.close());
+
+// A different day each time, so the availability cache never answers
+const availability = () => {
+    const day = nextWeekday([2, 4], 7 * ++week);
+    return call('get', `/api/bookable-items?sessionTypeIds=11&startDate=${day}&endDate=${day}`);
+};
+const callsTo = (path) => mindbody.state.calls.filter(c => c.path === path).length;
+const upstream = async () => (await call('get', '/api/health')).body.upstream;
+
+test('a GET that fails once is retried and succeeds', async () => {
+    assert.strictEqual((await availability()).status, 200);
+    const before = callsTo('/appointment/bookableitems');
+
+    mindbody.failNext('/appointment/bookableitems', 503);
+    assert.strictEqual((await availability()).status, 200);
+    assert.strictEqual(callsTo('/appointment/bookableitems'), before + 2);
+});
+
+test('a POST is never retried', async () => {
+    const before = callsTo('/client/validateclientcredentials');
+    mindbody.failNext('/client/validateclientcredentials', 503);
+
+    const { status } = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'Clave123' } });
+    assert.strictEqual(status, 502);
+    assert.strictEqual(callsTo('/client/validateclientcredentials'), before + 1);
+});
+
+test('consecutive failures open the circuit until a trial call succeeds', async () => {
+    assert.strictEqual((await availability()).status, 200);
+    assert.strictEqual((await upstream()).consecutiveFailures, 0);
+
+    // Two requests, each failing on every attempt (1 + 2 retries)
+    mindbody.failNext('/appointment/bookableitems', 500, 6);
+    assert.strictEqual((await availability()).status, 502);
+    assert.strictEqual((await upstream()).circuit, 'closed');
+    assert.strictEqual((await availability()).status, 502);
+    assert.strictEqual((await upstream()).circuit, 'open');
+
+    const before = callsTo('/appointment/bookableitems');
+    const { status, headers, body } = await availability();
+    assert.strictEqual(status, 503);
+    assert.strictEqual(body.code, 'UPSTREAM_UNAVAILABLE');
+    assert.ok(Number(headers.get('retry-after')) >= 1);
+    assert.strictEqual(callsTo('/appointment/bookableitems'), before, 'an open circuit fails fast');
+
+    await new Promise(resolve => setTimeout(resolve, 350));
+    assert.strictEqual((await availability()).status, 200);
+    assert.strictEqual((await upstream()).circuit, 'closed');
+});
@@ -0,0 +1,109 @@
+/**
+ * Slot generation: availability windows become start times on a 30-minute step,
+ * with 15 minutes kept free around each treatment, a two-hour lead time and a
+ * one-week booking horizon, and bookings are held to the same rules.
+ *
+ * The clock is pinned to 09:10 on a Tuesday in Panama (the mock site's zone).
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { startProxy } = require('./helpers');
+
+const NOW = Date.parse('2026-10-20T14:10:00Z');
+const TODAY = '2026-10-20';
+const TOMORROW = '2026-10-21';
+
+let proxy;
+let call;
+let session;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    proxy = await startProxy({
+        SLOT_STEP_MINUTES: '30',
+        SLOT_PADDING_BEFORE_MINUTES: '15',
+        SLOT_PADDING_AFTER_MINUTES: '15',
+        BOOKING_LEAD_TIME_MINUTES: '120',
+        BOOKING_HORIZON_DAYS: '7',
+        // The pinned clock never refills the outbound call budget
+        MINDBODY_BURST: '1000'
+    });
+    call = proxy.call;
+
+    const login = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'Clave123' } });
+    session = { 'X-Session-Token': login.body.sessionToken };
+});
+
+after(() => {
+    proxy.close();
+    mock.timers.reset();
+});
+
+const anaSlots = async (date, query = '') => {
+    const { body } = await call('get', `/api/available-slots?sessionTypeIds=11&staffId=1&startDate=${date}&endDate=${date}${query}`);
+    return (body.slotsByStaff.find(group => group.date === date)?.slots || []).map(slot => slot.startDateTime.slice(11, 16));
+};
+
+test('today starts after the lead time and stops where the padding still fits', async () => {
+    // Ana works 09:00-17:00: nothing before 11:10 (lead time), nothing ending after 16:45 (padding)
+    const slots = await anaSlots(TODAY);
+    assert.strictEqual(slots[0], '11:30');
+    assert.strictEqual(slots[slots.length - 1], '15:30');
+    assert.ok(slots.every(time => time.endsWith(':00') || time.endsWith(':30')));
+});
+
+test('the step can be chosen per request', async () => {
+    assert.deepStrictEqual(await anaSlots(TODAY, '&step=60'), ['12:00', '13:00', '14:00', '15:00']);
+});
+
+test('nothing is offered past the booking horizon', async () => {
+    const { body } = await call('get', '/api/available-slots?sessionTypeIds=11&staffId=1&startDate=2026-10-26&endDate=2026-10-28');
+    assert.deepStrictEqual(body.slotsByStaff.map(group => group.date), ['2026-10-26', '2026-10-27']);
+    assert.ok(body.slots.every(window => window.StartDateTime < '2026-10-28'));
+});
+
+test('next-available offers the same first start time', async () => {
+    const { body } = await call('get', '/api/next-available?sessionTypeIds=11&staffIds=1&limit=1');
+    assert.strictEqual(body.slots[0].startDateTime, `${TODAY}T11:30:00-05:00`);
+});
+
+test('bookings must use an offered start time', async () => {
+    const book = (time) => call('post', '/api/appointments/book', {
+        headers: session,
+        body: { startDateTime: `${TOMORROW}T${time}:00`, staffId: 1, sessionTypeId: 11, locationId: 1, isRequest: false }
+    });
+
+    // 09:00 leaves no padding before the treatment; the nearest offered time is 09:30
+    const refused = await book('09:00');
+    assert.strictEqual(refused.status, 409);
+    assert.strictEqual(refused.body.code, 'SLOT_NO_LONGER_AVAILABLE');
+    assert.strictEqual(refused.body.alternatives[0].startDateTime, `${TOMORROW}T09:30:00-05:00`);
+
+    assert.strictEqual((await book('09:45')).status, 409, 'off the 30-minute step');
+    assert.strictEqual((await book('09:30')).status, 200);
+
+    // 09:30-10:30 is taken now, and the next start keeps 15 minutes after it
+    assert.strictEqual((await anaSlots(TOMORROW))[0], '11:00');
+});
+
+test('a start time offered with a finer step can be booked with that step', async () => {
+    const day = '2026-10-22';
+    assert.strictEqual((await anaSlots(day, '&step=15'))[0], '09:15');
+
+    const book = (step) => call('post', '/api/appointments/book', {
+        headers: session,
+        body: { startDateTime: `${day}T09:15:00`, staffId: 1, sessionTypeId: 11, locationId: 1, isRequest: false, step }
+    });
+    assert.strictEqual((await book()).status, 409, 'off the default 30-minute step');
+    assert.strictEqual((await book(15)).status, 200);
+
+    const itinerary = (step) => call('post', '/api/itineraries/book', {
+        headers: session,
+        body: { sessionTypeIds: [11], startDateTime: '2026-10-23T09:15:00', locationId: 1, isRequest: false, step }
+    });
+    const options = await call('get', '/api/itineraries/options?sessionTypeIds=11&locationIds=1&date=2026-10-23&step=15&limit=1');
+    assert.strictEqual(options.body.options[0].startDateTime, '2026-10-23T09:15:00-05:00');
+    assert.strictEqual((await itinerary()).status, 409);
+    assert.strictEqual((await itinerary(15)).status, 200);
+});
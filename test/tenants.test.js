@@ -0,0 +1,100 @@
+/**
+ * Several Mindbody sites from TENANTS_FILE: requests pick their tenant by path prefix
+ * or header, and each tenant keeps its own site ID, staff token, caches,
+ * client sessions, settings and metrics.
+ *
+ * Both tenants point at the one mock Mindbody; the SiteId header tells them apart.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startProxy, nextWeekday } = require('./helpers');
+
+const DAY = nextWeekday([2, 4]);
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+const file = path.join(dir, 'tenants.json');
+
+fs.writeFileSync(file, JSON.stringify({
+    tenants: [
+        {
+            id: 'centro',
+            default: true,
+            siteId: '$MINDBODY_SITE_ID',
+            username: '$MINDBODY_USERNAME',
+            password: '$MINDBODY_PASSWORD',
+            branding: { name: 'Spa Centro' }
+        },
+        {
+            id: 'costa',
+            siteId: '-98',
+            username: '$MINDBODY_USERNAME',
+            password: '$MINDBODY_PASSWORD',
+            appointmentRequestMode: true,
+            timezone: 'America/Bogota',
+            branding: { name: 'Spa Costa' }
+        }
+    ]
+}));
+
+let proxy;
+let call;
+let mindbody;
+
+before(async () => {
+    proxy = await startProxy({ TENANTS_FILE: file });
+    call = proxy.call;
+    mindbody = proxy.mindbody;
+});
+
+after(() => {
+    proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const lastCall = (endpoint) => mindbody.state.calls.filter(c => c.path === endpoint).pop();
+
+test('the tenant comes from the path prefix or the X-Tenant-Id header, else the default', async () => {
+    const tenantOf = async (url, headers) => (await call('get', url, { headers })).body.tenant;
+
+    assert.deepStrictEqual(await tenantOf('/api/tenant'),
+        { id: 'centro', appointmentRequestMode: false, branding: { name: 'Spa Centro' } });
+    assert.strictEqual((await tenantOf('/t/costa/api/tenant')).id, 'costa');
+    assert.strictEqual((await tenantOf('/api/tenant', { 'X-Tenant-Id': 'costa' })).appointmentRequestMode, true);
+});
+
+test('each tenant calls Mindbody with its own site ID and staff token', async () => {
+    const query = `sessionTypeIds=11&startDate=${DAY}&endDate=${DAY}`;
+
+    assert.strictEqual((await call('get', `/api/bookable-items?${query}`)).status, 200);
+    const centro = lastCall('/appointment/bookableitems');
+    assert.strictEqual(centro.siteId, mindbody.credentials.siteId);
+
+    // The same query under the other tenant is not answered from the first one's cache
+    const costa = await call('get', `/t/costa/api/bookable-items?${query}`);
+    assert.strictEqual(costa.status, 200);
+    assert.strictEqual(costa.headers.get('x-cache'), 'MISS');
+    assert.strictEqual(costa.body.timeZone, 'America/Bogota');
+    const costaCall = lastCall('/appointment/bookableitems');
+    assert.strictEqual(costaCall.siteId, '-98');
+    assert.notStrictEqual(costaCall.authorization, centro.authorization);
+});
+
+test('a client session from one tenant is refused by another', async () => {
+    const login = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'Clave123' } });
+    const session = { 'X-Session-Token': login.body.sessionToken };
+
+    assert.strictEqual((await call('get', '/api/clients/100001/appointments', { headers: session })).status, 200);
+    const elsewhere = await call('get', '/t/costa/api/clients/100001/appointments', { headers: session });
+    assert.strictEqual(elsewhere.status, 401);
+    assert.strictEqual(elsewhere.body.code, 'SESSION_REQUIRED');
+});
+
+test('metrics are labelled by tenant', async () => {
+    const { body } = await call('get', '/metrics');
+    assert.match(body, /mindbody_proxy_http_requests_total\{tenant="costa",method="GET",route="\/api\/bookable-items",status="200"\} 1/);
+    assert.match(body, /mindbody_proxy_token_refreshes_total\{tenant="costa",outcome="success"\} 1/);
+    assert.match(body, /mindbody_proxy_token_refreshes_total\{tenant="centro",outcome="success"\} 1/);
+});
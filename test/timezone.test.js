@@ -0,0 +1,92 @@
+/**
+ * Site time: "today", "upcoming" and late-cancel windows follow the site's zone
+ * (America/Panama in the mock, UTC-5), not the server's clock.
+ *
+ * The clock is pinned to 01:30 UTC on a Wednesday, which is still 20:30 on the
+ * Tuesday in Panama: the evening when a UTC "today" would already be tomorrow.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { startProxy } = require('./helpers');
+
+const NOW = Date.parse('2026-10-21T01:30:00Z');
+const SITE_TODAY = '2026-10-20';
+const SITE_TOMORROW = '2026-10-21';
+
+let proxy;
+let call;
+let session;
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    proxy = await startProxy();
+    call = proxy.call;
+
+    const login = await call('post', '/api/clients/login', { body: { username: 'eva@example.com', password: 'Clave123' } });
+    session = { 'X-Session-Token': login.body.sessionToken };
+});
+
+after(() => {
+    proxy.close();
+    mock.timers.reset();
+});
+
+const mindbodyCall = (path) => proxy.mindbody.state.calls.filter(c => c.path === path).pop();
+
+const addAppointment = (id, startDateTime, endDateTime) => proxy.mindbody.state.appointments.set(id, {
+    ...proxy.mindbody.state.appointments.get(5001), Id: id, Status: 'Booked', StartDateTime: startDateTime, EndDateTime: endDateTime
+});
+
+test('date ranges default to today in the site time zone', async () => {
+    const items = await call('get', '/api/bookable-items?sessionTypeIds=11');
+    assert.strictEqual(items.status, 200);
+    assert.deepStrictEqual(items.body.dateRange, { start: SITE_TODAY, end: SITE_TOMORROW });
+    assert.strictEqual(items.body.timeZone, 'America/Panama');
+    assert.strictEqual(mindbodyCall('/appointment/bookableitems').query.startDate, SITE_TODAY);
+
+    const dates = await call('get', '/api/available-dates?sessionTypeIds=11');
+    assert.deepStrictEqual(dates.body.dateRange, { start: SITE_TODAY, end: '2026-11-18' });
+});
+
+test('proxy-built slot times carry the site UTC offset', async () => {
+    const { body } = await call('get', `/api/available-slots?sessionTypeIds=11&staffId=1&startDate=${SITE_TOMORROW}&endDate=${SITE_TOMORROW}`);
+    const slot = body.slotsByDate[SITE_TOMORROW][0];
+    assert.strictEqual(slot.startDateTime, `${body.slots[0].StartDateTime}-05:00`);
+    assert.ok(!body.slots[0].StartDateTime.endsWith('-05:00'), 'Mindbody records are passed through as they are');
+});
+
+test('upcoming appointments are filtered against the site clock', async () => {
+    addAppointment(5901, `${SITE_TODAY}T19:00:00`, `${SITE_TODAY}T20:00:00`);
+    addAppointment(5902, `${SITE_TODAY}T21:00:00`, `${SITE_TODAY}T22:00:00`);
+
+    const { status, body } = await call('get', '/api/clients/100001/appointments', { headers: session });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(mindbodyCall('/appointment/clientappointments').query.StartDate, SITE_TODAY);
+
+    const ids = body.appointments.map(apt => apt.id);
+    assert.ok(!ids.includes(5901), 'an appointment earlier this evening is past');
+    assert.ok(ids.includes(5902), 'an appointment later tonight is upcoming');
+    const tonight = body.appointments.find(apt => apt.id === 5902);
+    assert.strictEqual(tonight.startDateTime, `${SITE_TODAY}T21:00:00-05:00`);
+    assert.strictEqual(body.timeZone, 'America/Panama');
+});
+
+test('a start time with an offset is booked at the matching site time', async () => {
+    const { status, body } = await call('post', '/api/appointments/book', {
+        headers: session,
+        body: { startDateTime: `${SITE_TOMORROW}T15:00:00Z`, staffId: 1, sessionTypeId: 11, locationId: 1, isRequest: false }
+    });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.strictEqual(mindbodyCall('/appointment/addappointment').body.StartDateTime, `${SITE_TOMORROW}T10:00:00`);
+});
+
+test('the late-cancel window is measured from the site time of the appointment', async () => {
+    // 12:00 tomorrow in Panama is 17:00 UTC, 15.5 hours from now
+    addAppointment(5903, `${SITE_TOMORROW}T12:00:00`, `${SITE_TOMORROW}T13:00:00`);
+
+    const { status, body } = await call('post', '/api/appointments/5903/cancel', { headers: session, body: {} });
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.code, 'LATE_CANCEL_WINDOW');
+    assert.strictEqual(body.hoursUntilStart, 15.5);
+});